@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { mapLeaderValue } from '../utils/calibration';
+
+const NUMBER_FIELDS = [
+    { key: 'inputMin', label: 'In min', step: 1 },
+    { key: 'inputMax', label: 'In max', step: 1 },
+    { key: 'offset', label: 'Offset (rad)', step: 0.01 },
+    { key: 'deadZone', label: 'Dead-zone', step: 0.5, min: 0 }
+];
+
+/**
+ * Leader calibration: per-joint input range, offset, sign and dead-zone with a live preview,
+ * a min/max sweep recorder and named profiles saved on the server
+ * @param {Object} props
+ * @param {Object} props.calibration - State and actions from useCalibration
+ * @param {Object} props.joints - Joint configuration object
+ * @param {boolean} props.streaming - True while the leader arm is connected over the WebSocket
+ */
+const CalibrationPanel = ({ calibration, joints, streaming }) => {
+    const {
+        getJoint, updateJoint, resetJoint, resetAll, liveActions, sweep, startSweep, finishSweep, cancelSweep,
+        profiles, profileName, setProfileName, loadProfile, saveProfile, deleteProfile, busy, error
+    } = calibration;
+    const [selectedProfile, setSelectedProfile] = useState('');
+
+    const fieldStyle = {
+        width: '100%',
+        padding: '4px',
+        fontSize: '12px',
+        border: '1px solid #ccc',
+        borderRadius: '4px',
+        boxSizing: 'border-box'
+    };
+
+    const buttonStyle = (active, color = '#2196F3') => ({
+        flex: 1,
+        padding: '8px',
+        background: active ? color : '#e0e0e0',
+        color: active ? 'white' : '#666',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '13px'
+    });
+
+    const labelStyle = { flex: 1, fontSize: '11px', color: '#666' };
+
+    const jointNames = Object.keys(joints);
+    const profile = profiles.includes(selectedProfile) ? selectedProfile : profiles[0] || '';
+    const canSave = !busy && /^[\w-]+$/.test(profileName.trim());
+
+    const renderPreview = (name) => {
+        const raw = liveActions?.[name];
+        if (typeof raw !== 'number') {
+            return <span style={{ color: '#999' }}>no leader data</span>;
+        }
+        const { min, max } = joints[name];
+        const value = mapLeaderValue(raw, getJoint(name), joints[name]);
+        const fraction = max > min ? (value - min) / (max - min) : 0;
+        return (
+            <>
+                <span style={{ fontFamily: 'monospace' }}>{raw.toFixed(1)} → {value.toFixed(2)}</span>
+                <div style={{ height: '4px', background: '#eee', borderRadius: '2px', marginTop: '2px' }}>
+                    <div style={{ width: `${fraction * 100}%`, height: '100%', background: '#2196F3', borderRadius: '2px' }} />
+                </div>
+            </>
+        );
+    };
+
+    return (
+        <div style={{
+            marginBottom: '20px',
+            padding: '15px',
+            background: '#fff',
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+        }}>
+            <h3 style={{ marginTop: 0, marginBottom: '10px', fontSize: '16px' }}>
+                Leader Calibration
+            </h3>
+
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+                <select
+                    value={profile}
+                    onChange={(e) => setSelectedProfile(e.target.value)}
+                    disabled={busy || profiles.length === 0}
+                    style={{ ...fieldStyle, flex: 2, padding: '6px' }}
+                >
+                    {profiles.length === 0 && <option value="">No saved profiles</option>}
+                    {profiles.map(name => (
+                        <option key={name} value={name}>{name}</option>
+                    ))}
+                </select>
+                <button onClick={() => loadProfile(profile)} disabled={busy || !profile} style={buttonStyle(!busy && Boolean(profile))}>
+                    Load
+                </button>
+                <button onClick={() => deleteProfile(profile)} disabled={busy || !profile} style={buttonStyle(!busy && Boolean(profile), '#f44336')}>
+                    Delete
+                </button>
+            </div>
+
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+                <input
+                    type="text"
+                    value={profileName}
+                    onChange={(e) => setProfileName(e.target.value)}
+                    placeholder="Profile name (e.g. left-leader)"
+                    style={{ ...fieldStyle, flex: 2, padding: '6px' }}
+                />
+                <button onClick={saveProfile} disabled={!canSave} style={buttonStyle(canSave, '#4CAF50')}>
+                    Save
+                </button>
+                <button onClick={resetAll} disabled={busy} style={buttonStyle(!busy, '#607D8B')}>
+                    Defaults
+                </button>
+            </div>
+
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+                {sweep ? (
+                    <>
+                        <button onClick={finishSweep} style={buttonStyle(true, '#4CAF50')}>
+                            Apply Sweep
+                        </button>
+                        <button onClick={cancelSweep} style={buttonStyle(true, '#f44336')}>
+                            Cancel
+                        </button>
+                    </>
+                ) : (
+                    <button onClick={startSweep} disabled={!streaming} style={buttonStyle(streaming)}>
+                        Record Min/Max Sweep
+                    </button>
+                )}
+            </div>
+            {sweep && (
+                <div style={{ fontSize: '12px', color: '#666', marginBottom: '10px' }}>
+                    Move every leader joint through its full range, then apply.
+                </div>
+            )}
+
+            {jointNames.length === 0 && (
+                <p style={{ color: '#666', fontStyle: 'italic', fontSize: '12px' }}>Loading joints...</p>
+            )}
+
+            {jointNames.map(name => {
+                const entry = getJoint(name);
+                const recorded = sweep?.[name];
+                return (
+                    <div key={name} style={{ borderTop: '1px solid #e0e0e0', padding: '8px 0' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', marginBottom: '4px' }}>
+                            <strong>{name}</strong>
+                            <div style={{ width: '55%', textAlign: 'right' }}>{renderPreview(name)}</div>
+                        </div>
+                        {recorded && (
+                            <div style={{ fontSize: '11px', color: '#2e7d32', marginBottom: '4px' }}>
+                                Sweep: {recorded.min.toFixed(1)} .. {recorded.max.toFixed(1)}
+                            </div>
+                        )}
+                        <div style={{ display: 'flex', gap: '4px', alignItems: 'flex-end' }}>
+                            {NUMBER_FIELDS.map(({ key, label, step, min }) => (
+                                <label key={key} style={labelStyle}>
+                                    {label}
+                                    <input
+                                        type="number"
+                                        step={step}
+                                        min={min}
+                                        value={entry[key]}
+                                        onChange={(e) => {
+                                            const value = parseFloat(e.target.value) || 0;
+                                            updateJoint(name, { [key]: min !== undefined ? Math.max(min, value) : value });
+                                        }}
+                                        style={fieldStyle}
+                                    />
+                                </label>
+                            ))}
+                            <label style={{ ...labelStyle, flex: 'none', textAlign: 'center' }}>
+                                Invert
+                                <input
+                                    type="checkbox"
+                                    checked={entry.sign < 0}
+                                    onChange={(e) => updateJoint(name, { sign: e.target.checked ? -1 : 1 })}
+                                    style={{ display: 'block', margin: '6px auto 0' }}
+                                />
+                            </label>
+                            <button
+                                onClick={() => resetJoint(name)}
+                                title="Reset to the default mapping"
+                                style={{ ...buttonStyle(true, '#607D8B'), flex: 'none', padding: '5px 8px' }}
+                            >
+                                ↺
+                            </button>
+                        </div>
+                    </div>
+                );
+            })}
+
+            {error && (
+                <div style={{ fontSize: '12px', color: '#c62828', marginTop: '8px' }}>
+                    {error}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CalibrationPanel;
@@ -0,0 +1,147 @@
+import React from 'react';
+import * as THREE from 'three';
+
+const TARGET_MODES = [
+    { value: 'translate', label: 'Move' },
+    { value: 'rotate', label: 'Rotate' }
+];
+
+const AXES = ['X', 'Y', 'Z'];
+
+/**
+ * End-effector control: drag a target gizmo or type a pose, solved with IK
+ * @param {Object} props
+ * @param {Object} props.control - State and actions from useCartesianControl
+ * @param {boolean} props.ready - True once the robot is loaded
+ * @param {boolean} props.disabled - True while something else drives the joints (teleop, playback, rendering)
+ */
+const CartesianControlPanel = ({ control, ready, disabled }) => {
+    const {
+        showTarget, setShowTarget, targetMode, setTargetMode, matchOrientation, setMatchOrientation,
+        form, setForm, result, goToForm, syncFromRobot
+    } = control;
+
+    const fieldStyle = {
+        width: '100%',
+        padding: '6px',
+        fontSize: '13px',
+        border: '1px solid #ccc',
+        borderRadius: '4px',
+        boxSizing: 'border-box'
+    };
+
+    const buttonStyle = (active, color = '#2196F3') => ({
+        flex: 1,
+        padding: '8px',
+        background: active ? color : '#e0e0e0',
+        color: active ? 'white' : '#666',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '13px'
+    });
+
+    const updateField = (key, index, value) => {
+        const values = [...form[key]];
+        values[index] = parseFloat(value) || 0;
+        setForm({ ...form, [key]: values });
+    };
+
+    const renderFields = (key, labels, step) => (
+        <div style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+            {labels.map((label, index) => (
+                <label key={label} style={{ flex: 1, fontSize: '11px', color: '#666' }}>
+                    {label}
+                    <input
+                        type="number"
+                        step={step}
+                        value={form[key][index]}
+                        onChange={(e) => updateField(key, index, e.target.value)}
+                        disabled={disabled}
+                        style={fieldStyle}
+                    />
+                </label>
+            ))}
+        </div>
+    );
+
+    const canControl = ready && !disabled;
+
+    return (
+        <div style={{
+            marginBottom: '20px',
+            padding: '15px',
+            background: '#fff',
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+        }}>
+            <h3 style={{ marginTop: 0, marginBottom: '10px', fontSize: '16px' }}>
+                End-Effector Control
+            </h3>
+
+            <label style={{ display: 'block', fontSize: '13px', marginBottom: '6px', cursor: 'pointer' }}>
+                <input
+                    type="checkbox"
+                    checked={showTarget}
+                    onChange={(e) => setShowTarget(e.target.checked)}
+                    disabled={!canControl}
+                    style={{ marginRight: '8px' }}
+                />
+                Drag target in the view
+            </label>
+
+            <label style={{ display: 'block', fontSize: '13px', marginBottom: '8px', cursor: 'pointer' }}>
+                <input
+                    type="checkbox"
+                    checked={matchOrientation}
+                    onChange={(e) => setMatchOrientation(e.target.checked)}
+                    style={{ marginRight: '8px' }}
+                />
+                Match orientation
+            </label>
+
+            {showTarget && (
+                <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+                    {TARGET_MODES.map(({ value, label }) => (
+                        <button
+                            key={value}
+                            onClick={() => setTargetMode(value)}
+                            style={buttonStyle(targetMode === value)}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {form ? (
+                <>
+                    {renderFields('position', AXES.map(axis => `${axis} (m)`), 0.005)}
+                    {matchOrientation && renderFields('rotation', AXES.map(axis => `R${axis.toLowerCase()} (°)`), 5)}
+                </>
+            ) : (
+                <div style={{ fontSize: '12px', color: '#666', marginBottom: '8px' }}>
+                    Start from the gripper's current pose to type a target.
+                </div>
+            )}
+
+            <div style={{ display: 'flex', gap: '6px' }}>
+                <button onClick={syncFromRobot} disabled={!ready} style={buttonStyle(ready, '#607D8B')}>
+                    Current Pose
+                </button>
+                <button onClick={goToForm} disabled={!canControl || !form} style={buttonStyle(canControl && !!form, '#4CAF50')}>
+                    Go
+                </button>
+            </div>
+
+            {result && (
+                <div style={{ fontSize: '12px', marginTop: '8px', color: result.reachable ? '#2e7d32' : '#c62828' }}>
+                    {result.reachable ? 'Reached' : 'Unreachable'}: {(result.positionError * 1000).toFixed(1)} mm
+                    {matchOrientation && `, ${THREE.MathUtils.radToDeg(result.orientationError).toFixed(1)}°`} off
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CartesianControlPanel;
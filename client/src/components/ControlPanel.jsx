@@ -4,22 +4,80 @@ import React from 'react';
  * Control panel for WebSocket connection and continuous capture
  * @param {Object} props
  * @param {boolean} props.wsConnected - WebSocket connection status
+ * @param {boolean} props.wsActive - True from connecting until the connection is stopped (including reconnects)
  * @param {string} props.wsStatus - WebSocket status text
+ * @param {string} props.wsUrl - WebSocket endpoint
+ * @param {Function} props.onWsUrlChange - Callback when the endpoint changes
+ * @param {Object|null} props.wsStats - Stream statistics from useWebSocket, null before the first connection
+ * @param {Object|null} props.wsSession - Handshake of the current stream (utils/teleopProtocol.js), null before it
+ * @param {string|null} props.wsError - Last protocol problem of the stream, or null
  * @param {Function} props.onConnect - Callback to connect WebSocket
  * @param {Function} props.onDisconnect - Callback to disconnect WebSocket
  * @param {boolean} props.isCapturing - Continuous capture status
- * @param {Function} props.onStartCapture - Callback to start continuous capture
- * @param {Function} props.onStopCapture - Callback to stop continuous capture
+ * @param {Function} props.onStartCapture - Callback to start an episode and continuous capture
+ * @param {Function} props.onStopCapture - Callback to stop capture, called with the episode's success label
+ * @param {string} props.taskDescription - Task for the next episode
+ * @param {Function} props.onTaskDescriptionChange - Callback when the task text changes
+ * @param {string} props.currentSessionId - Open session, or null
+ * @param {Object} props.currentEpisode - Episode being recorded, or null
+ * @param {number} props.episodeCount - Number of episodes in the open session
+ * @param {Function} props.onNewSession - Callback to close the open session
+ * @param {string} props.captureMode - 'interval', 'teleop' or 'manual'
+ * @param {Function} props.onCaptureModeChange - Callback when the capture mode changes
+ * @param {number} props.captureRateHz - Capture rate in interval mode
+ * @param {Function} props.onCaptureRateChange - Callback when the capture rate changes
+ * @param {number} props.captureEveryN - Capture every Nth teleop message in teleop mode
+ * @param {Function} props.onCaptureEveryNChange - Callback when N changes
+ * @param {number} props.achievedFps - Measured capture rate
+ * @param {number|null} props.targetFps - Expected capture rate, null in manual mode
+ * @param {Function} props.onCaptureFrame - Callback to capture a single frame of the running episode
+ * @param {number} props.trajectorySamples - Joint samples saved to the episode's trajectory so far
  */
 const ControlPanel = ({
     wsConnected,
+    wsActive,
     wsStatus,
+    wsUrl,
+    onWsUrlChange,
+    wsStats,
+    wsSession,
+    wsError,
     onConnect,
     onDisconnect,
     isCapturing,
     onStartCapture,
-    onStopCapture
+    onStopCapture,
+    taskDescription,
+    onTaskDescriptionChange,
+    currentSessionId,
+    currentEpisode,
+    episodeCount,
+    onNewSession,
+    captureMode,
+    onCaptureModeChange,
+    captureRateHz,
+    onCaptureRateChange,
+    captureEveryN,
+    onCaptureEveryNChange,
+    achievedFps,
+    targetFps,
+    onCaptureFrame,
+    trajectorySamples
 }) => {
+    const fieldStyle = {
+        padding: '6px',
+        fontSize: '13px',
+        border: '1px solid #ccc',
+        borderRadius: '4px'
+    };
+
+    const formatStat = (value, digits, unit) => (value === null || value === undefined ? '–' : `${value.toFixed(digits)} ${unit}`);
+
+    const formatSession = (session) => (session.protocol === 0
+        ? 'No handshake, assuming normalized leader units'
+        : `Protocol v${session.protocol} · ${session.units} · ${session.joints.length} joints · ${session.rate} Hz`
+            + (session.source ? ` · ${session.source}` : ''));
+
     return (
         <div style={{ 
             marginBottom: '20px', 
@@ -35,7 +93,15 @@ const ControlPanel = ({
             {/* WebSocket Control */}
             <div style={{ marginBottom: '20px' }}>
                 <div style={{ display: 'flex', gap: '8px', flexDirection: 'column' }}>
-                    {!wsConnected ? (
+                    <input
+                        type="text"
+                        value={wsUrl}
+                        onChange={(e) => onWsUrlChange(e.target.value)}
+                        placeholder="ws://localhost:8765"
+                        disabled={wsActive}
+                        style={{ ...fieldStyle, fontFamily: 'monospace' }}
+                    />
+                    {!wsActive ? (
                         <button
                             onClick={onConnect}
                             style={{
@@ -73,6 +139,37 @@ const ControlPanel = ({
                             color: wsConnected ? '#4CAF50' : '#666' 
                         }}>{wsStatus}</strong>
                     </div>
+                    {wsSession && (
+                        <div style={{
+                            fontSize: '11px',
+                            color: wsSession.protocol === 0 ? '#FF9800' : '#666',
+                            textAlign: 'center'
+                        }}>
+                            {formatSession(wsSession)}
+                        </div>
+                    )}
+                    {wsError && (
+                        <div style={{ fontSize: '12px', color: '#f44336', textAlign: 'center' }}>
+                            {wsError}
+                        </div>
+                    )}
+                    {wsStats && (
+                        <div style={{
+                            display: 'grid',
+                            gridTemplateColumns: '1fr 1fr',
+                            gap: '2px 12px',
+                            fontSize: '12px',
+                            color: '#666'
+                        }}>
+                            <span>Rate: <strong>{formatStat(wsStats.rate, 1, 'Hz')}</strong></span>
+                            <span>Jitter: <strong>{formatStat(wsStats.jitter, 1, 'ms')}</strong></span>
+                            <span>Latency: <strong>{formatStat(wsStats.latency, 0, 'ms')}</strong></span>
+                            <span>Ping: <strong>{formatStat(wsStats.rtt, 0, 'ms')}</strong></span>
+                            <span>Dropped: <strong>{wsStats.dropped}</strong></span>
+                            <span>Stale: <strong>{wsStats.stale}</strong></span>
+                            <span>Invalid: <strong>{wsStats.invalid}</strong></span>
+                        </div>
+                    )}
                 </div>
             </div>
 
@@ -82,9 +179,61 @@ const ControlPanel = ({
                 paddingTop: '15px' 
             }}>
                 <div style={{ display: 'flex', gap: '8px', flexDirection: 'column' }}>
+                    <input
+                        type="text"
+                        value={taskDescription}
+                        onChange={(e) => onTaskDescriptionChange(e.target.value)}
+                        placeholder="Task (e.g. Pick up the red cube)"
+                        disabled={isCapturing}
+                        style={{
+                            padding: '8px',
+                            fontSize: '13px',
+                            border: '1px solid #ccc',
+                            borderRadius: '4px'
+                        }}
+                    />
+                    <div style={{ display: 'flex', gap: '8px', alignItems: 'center', fontSize: '13px' }}>
+                        <select
+                            value={captureMode}
+                            onChange={(e) => onCaptureModeChange(e.target.value)}
+                            disabled={isCapturing}
+                            style={{ ...fieldStyle, flex: 1 }}
+                        >
+                            <option value="interval">Fixed rate</option>
+                            <option value="teleop">Teleop messages</option>
+                            <option value="manual">On demand</option>
+                        </select>
+                        {captureMode === 'interval' && (
+                            <label>
+                                <input
+                                    type="number"
+                                    min="0.1"
+                                    max="60"
+                                    step="0.5"
+                                    value={captureRateHz}
+                                    onChange={(e) => onCaptureRateChange(Math.max(0.1, parseFloat(e.target.value) || 1))}
+                                    disabled={isCapturing}
+                                    style={{ ...fieldStyle, width: '55px' }}
+                                /> Hz
+                            </label>
+                        )}
+                        {captureMode === 'teleop' && (
+                            <label>
+                                every <input
+                                    type="number"
+                                    min="1"
+                                    step="1"
+                                    value={captureEveryN}
+                                    onChange={(e) => onCaptureEveryNChange(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                                    disabled={isCapturing}
+                                    style={{ ...fieldStyle, width: '45px' }}
+                                />
+                            </label>
+                        )}
+                    </div>
                     {!isCapturing ? (
                         <button
-                            onClick={onStartCapture}
+                            onClick={() => onStartCapture()}
                             style={{
                                 padding: '10px 16px',
                                 background: '#2196F3',
@@ -96,30 +245,94 @@ const ControlPanel = ({
                                 fontSize: '14px'
                             }}
                         >
-                            Start Capture
+                            Start Episode
                         </button>
                     ) : (
+                        <div style={{ display: 'flex', gap: '8px' }}>
+                            <button
+                                onClick={() => onStopCapture(true)}
+                                style={{
+                                    flex: 1,
+                                    padding: '10px 8px',
+                                    background: '#4CAF50',
+                                    color: 'white',
+                                    border: 'none',
+                                    borderRadius: '4px',
+                                    cursor: 'pointer',
+                                    fontWeight: 'bold',
+                                    fontSize: '13px'
+                                }}
+                            >
+                                ✓ Success
+                            </button>
+                            <button
+                                onClick={() => onStopCapture(false)}
+                                style={{
+                                    flex: 1,
+                                    padding: '10px 8px',
+                                    background: '#f44336',
+                                    color: 'white',
+                                    border: 'none',
+                                    borderRadius: '4px',
+                                    cursor: 'pointer',
+                                    fontWeight: 'bold',
+                                    fontSize: '13px'
+                                }}
+                            >
+                                ✗ Failure
+                            </button>
+                        </div>
+                    )}
+                    {isCapturing && captureMode === 'manual' && (
                         <button
-                            onClick={onStopCapture}
+                            onClick={onCaptureFrame}
                             style={{
-                                padding: '10px 16px',
-                                background: '#FF9800',
+                                padding: '8px 16px',
+                                background: '#2196F3',
                                 color: 'white',
                                 border: 'none',
                                 borderRadius: '4px',
                                 cursor: 'pointer',
                                 fontWeight: 'bold',
-                                fontSize: '14px'
+                                fontSize: '13px'
                             }}
                         >
-                            Stop Capture
+                            📸 Capture Frame
                         </button>
                     )}
                     <div style={{ fontSize: '12px', color: '#666', textAlign: 'center' }}>
                         Capturing: <strong style={{ 
                             color: isCapturing ? '#2196F3' : '#666' 
-                        }}>{isCapturing ? 'Active (1/sec)' : 'Inactive'}</strong>
+                        }}>{isCapturing ? `Episode ${currentEpisode?.episodeIndex}` : 'Inactive'}</strong>
                     </div>
+                    {isCapturing && (
+                        <div style={{ fontSize: '12px', color: '#666', textAlign: 'center' }}>
+                            {achievedFps.toFixed(1)} fps
+                            {targetFps !== null && ` / target ${targetFps.toFixed(1)} fps`}
+                            {` · ${trajectorySamples} joint samples`}
+                        </div>
+                    )}
+                    {currentSessionId && (
+                        <div style={{ fontSize: '11px', color: '#666', textAlign: 'center' }}>
+                            {currentSessionId} · {episodeCount} episode(s)
+                            {!isCapturing && (
+                                <button
+                                    onClick={onNewSession}
+                                    style={{
+                                        marginLeft: '8px',
+                                        padding: '2px 8px',
+                                        fontSize: '11px',
+                                        border: '1px solid #ccc',
+                                        borderRadius: '4px',
+                                        background: '#fff',
+                                        cursor: 'pointer'
+                                    }}
+                                >
+                                    New Session
+                                </button>
+                            )}
+                        </div>
+                    )}
                 </div>
             </div>
         </div>
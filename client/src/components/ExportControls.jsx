@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+
+/**
+ * Controls for exporting sessions as a LeRobot-style dataset
+ * @param {Object} props
+ * @param {Object[]} props.sessions - Sessions of the current scene
+ * @param {string} props.selectedSession - Session currently shown in the browser
+ * @param {string} props.currentGenerationId - Generation loaded for the selected session
+ * @param {Function} props.formatSessionLabel - Formats a session ID for display
+ * @param {string} props.exportState - Current export state (idle, exporting, complete)
+ * @param {Object} props.exportResult - Server response of the last export
+ * @param {string} props.error - Error message if any
+ * @param {Function} props.onExport - Called with ([{ sessionId, generationId }], task, { successOnly })
+ */
+const ExportControls = ({
+    sessions,
+    selectedSession,
+    currentGenerationId,
+    formatSessionLabel,
+    exportState,
+    exportResult,
+    error,
+    onExport
+}) => {
+    const [checkedSessions, setCheckedSessions] = useState([]);
+    const [useGeneration, setUseGeneration] = useState(false);
+    const [task, setTask] = useState('');
+    const [successOnly, setSuccessOnly] = useState(false);
+
+    const isExporting = exportState === 'exporting';
+    const disabled = isExporting || checkedSessions.length === 0;
+
+    const toggleSession = (sessionId) => {
+        setCheckedSessions(prev => prev.includes(sessionId)
+            ? prev.filter(id => id !== sessionId)
+            : [...prev, sessionId]);
+    };
+
+    const handleExport = () => {
+        // Keep the browser's (newest first) order reversed so episodes are chronological
+        const ordered = sessions
+            .map(s => s.sessionId)
+            .filter(id => checkedSessions.includes(id))
+            .reverse();
+
+        onExport(ordered.map(sessionId => ({
+            sessionId,
+            generationId: useGeneration && sessionId === selectedSession ? currentGenerationId : undefined
+        })), task, { successOnly });
+    };
+
+    return (
+        <div style={{
+            marginTop: '20px',
+            padding: '20px',
+            background: '#fff',
+            borderRadius: '8px',
+            boxShadow: '0 2px 8px rgba(0,0,0,0.1)'
+        }}>
+            <h3 style={{ marginTop: 0, marginBottom: '15px' }}>
+                LeRobot Export
+            </h3>
+
+            {/* Error Display */}
+            {error && (
+                <div style={{
+                    padding: '12px',
+                    background: '#ffebee',
+                    color: '#c62828',
+                    borderRadius: '4px',
+                    marginBottom: '15px',
+                    fontSize: '14px'
+                }}>
+                    <strong>Error:</strong> {error}
+                </div>
+            )}
+
+            {/* Session Selection */}
+            <div style={{
+                maxHeight: '150px',
+                overflowY: 'auto',
+                marginBottom: '15px',
+                border: '1px solid #e0e0e0',
+                borderRadius: '4px',
+                padding: '8px'
+            }}>
+                {sessions.map((session) => (
+                    <label
+                        key={session.sessionId}
+                        style={{ display: 'block', fontSize: '13px', padding: '4px 0', cursor: 'pointer' }}
+                    >
+                        <input
+                            type="checkbox"
+                            checked={checkedSessions.includes(session.sessionId)}
+                            onChange={() => toggleSession(session.sessionId)}
+                            style={{ marginRight: '8px' }}
+                        />
+                        {formatSessionLabel(session.sessionId)} - {session.captureCount} captures
+                    </label>
+                ))}
+            </div>
+
+            <input
+                type="text"
+                value={task}
+                onChange={(e) => setTask(e.target.value)}
+                placeholder="Task for sessions without episodes (e.g. Pick up the red cube)"
+                style={{
+                    width: '100%',
+                    padding: '10px',
+                    fontSize: '13px',
+                    border: '2px solid #e0e0e0',
+                    borderRadius: '4px',
+                    marginBottom: '10px',
+                    boxSizing: 'border-box'
+                }}
+            />
+
+            <label style={{ display: 'block', fontSize: '13px', marginBottom: '10px' }}>
+                <input
+                    type="checkbox"
+                    checked={successOnly}
+                    onChange={(e) => setSuccessOnly(e.target.checked)}
+                    style={{ marginRight: '8px' }}
+                />
+                Only episodes labeled as successful
+            </label>
+
+            <label style={{ display: 'block', fontSize: '13px', marginBottom: '15px', color: currentGenerationId ? '#333' : '#999' }}>
+                <input
+                    type="checkbox"
+                    checked={useGeneration && !!currentGenerationId}
+                    disabled={!currentGenerationId}
+                    onChange={(e) => setUseGeneration(e.target.checked)}
+                    style={{ marginRight: '8px' }}
+                />
+                Use generated images of the selected generation for the current session
+            </label>
+
+            <button
+                onClick={handleExport}
+                disabled={disabled}
+                style={{
+                    width: '100%',
+                    padding: '12px 20px',
+                    background: disabled ? '#ccc' : '#673AB7',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: disabled ? 'not-allowed' : 'pointer',
+                    fontWeight: 'bold',
+                    fontSize: '16px'
+                }}
+            >
+                {isExporting ? 'Exporting...' : `Export ${checkedSessions.length} Session(s)`}
+            </button>
+
+            {/* Export Result */}
+            {exportState === 'complete' && exportResult && (
+                <div style={{
+                    marginTop: '15px',
+                    padding: '12px',
+                    background: '#ede7f6',
+                    color: '#4527a0',
+                    borderRadius: '4px',
+                    fontSize: '13px'
+                }}>
+                    ✅ Exported {exportResult.totalEpisodes} episode(s), {exportResult.totalFrames} frames at {exportResult.fps} fps
+                    <br />
+                    <code style={{ fontSize: '12px' }}>captures/{exportResult.path}</code>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ExportControls;
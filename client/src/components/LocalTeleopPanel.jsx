@@ -0,0 +1,117 @@
+import React from 'react';
+import { BINDING_HELP, TELEOP_MODES } from '../utils/teleopInput.js';
+
+const MODE_LABELS = { joint: 'Joints', cartesian: 'End Effector' };
+
+const SPEED_FIELDS = [
+    { key: 'joint', label: 'Joint (rad/s)', step: 0.1 },
+    { key: 'linear', label: 'Linear (m/s)', step: 0.01 },
+    { key: 'gripper', label: 'Gripper (rad/s)', step: 0.1 }
+];
+
+/**
+ * Keyboard / gamepad teleop: start and stop, mode, speeds and the key bindings
+ * @param {Object} props
+ * @param {Object} props.teleop - State and actions from useLocalTeleop
+ * @param {boolean} props.ready - True once the robot is loaded
+ * @param {boolean} props.disabled - True while something else drives the joints (WebSocket, playback, rendering)
+ */
+const LocalTeleopPanel = ({ teleop, ready, disabled }) => {
+    const { active, start, stop, mode, setMode, speeds, setSpeeds, gripperClosed, toggleGripper, gamepadName } = teleop;
+
+    const fieldStyle = {
+        width: '100%',
+        padding: '6px',
+        fontSize: '13px',
+        border: '1px solid #ccc',
+        borderRadius: '4px',
+        boxSizing: 'border-box'
+    };
+
+    const buttonStyle = (active, color = '#2196F3') => ({
+        flex: 1,
+        padding: '8px',
+        background: active ? color : '#e0e0e0',
+        color: active ? 'white' : '#666',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '13px'
+    });
+
+    const canStart = ready && !disabled;
+
+    const renderBindings = (rows) => rows.map(([keys, action, gamepad]) => (
+        <tr key={action}>
+            <td style={{ padding: '2px 6px 2px 0', fontFamily: 'monospace' }}>{keys}</td>
+            <td style={{ padding: '2px 6px 2px 0' }}>{action}</td>
+            <td style={{ padding: '2px 0', color: '#999' }}>{gamepad}</td>
+        </tr>
+    ));
+
+    return (
+        <div style={{
+            marginBottom: '20px',
+            padding: '15px',
+            background: '#fff',
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+        }}>
+            <h3 style={{ marginTop: 0, marginBottom: '10px', fontSize: '16px' }}>
+                Keyboard / Gamepad Teleop
+            </h3>
+
+            <div style={{ fontSize: '12px', color: '#666', marginBottom: '10px' }}>
+                {gamepadName ? `🎮 ${gamepadName}` : 'No gamepad connected (press a button on it to connect)'}
+            </div>
+
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+                {TELEOP_MODES.map(value => (
+                    <button key={value} onClick={() => setMode(value)} style={buttonStyle(mode === value)}>
+                        {MODE_LABELS[value]}
+                    </button>
+                ))}
+            </div>
+
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+                {SPEED_FIELDS.map(({ key, label, step }) => (
+                    <label key={key} style={{ flex: 1, fontSize: '11px', color: '#666' }}>
+                        {label}
+                        <input
+                            type="number"
+                            min={0}
+                            step={step}
+                            value={speeds[key]}
+                            onChange={(e) => setSpeeds({ ...speeds, [key]: Math.max(0, parseFloat(e.target.value) || 0) })}
+                            style={fieldStyle}
+                        />
+                    </label>
+                ))}
+            </div>
+
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+                {active ? (
+                    <button onClick={stop} style={buttonStyle(true, '#f44336')}>
+                        Stop Teleop
+                    </button>
+                ) : (
+                    <button onClick={start} disabled={!canStart} style={buttonStyle(canStart, '#4CAF50')}>
+                        Start Teleop
+                    </button>
+                )}
+                <button onClick={toggleGripper} disabled={!active} style={buttonStyle(active, '#607D8B')}>
+                    {gripperClosed ? 'Open Gripper' : 'Close Gripper'}
+                </button>
+            </div>
+
+            <table style={{ width: '100%', fontSize: '11px', color: '#444', borderCollapse: 'collapse' }}>
+                <tbody>
+                    {renderBindings(BINDING_HELP[mode])}
+                    {renderBindings(BINDING_HELP.common)}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default LocalTeleopPanel;
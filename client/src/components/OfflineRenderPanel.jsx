@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import { listSessions, fetchTrajectory, listEpisodes } from '../utils/sessionApi';
+import { parseTrajectoryFile } from '../utils/trajectory';
+import { SCENES } from '../config/scenes';
+
+const SCENE_TYPES = SCENES.map(scene => scene.id);
+const FRAME_RATES = [5, 10, 15, 30];
+
+/**
+ * Offline render of a recorded (or hand-written) trajectory into other scenes
+ * @param {Object} props
+ * @param {string} props.sceneType - Scene whose recorded sessions are offered as sources
+ * @param {Object} props.renderer - State and controls from useOfflineRender
+ * @param {boolean} props.disabled - True while teleop or an episode is running
+ */
+const OfflineRenderPanel = ({ sceneType, renderer, disabled }) => {
+    const [sessions, setSessions] = useState([]);
+    const [selectedSource, setSelectedSource] = useState(null); // { sceneType, sessionId }
+    const [file, setFile] = useState(null); // { name, samples }
+    const [targetScenes, setTargetScenes] = useState(SCENE_TYPES);
+    const [fps, setFps] = useState(10);
+    const [task, setTask] = useState('');
+    const [loadError, setLoadError] = useState(null);
+
+    const { isRendering, progress, results, error, render, cancel } = renderer;
+
+    // Recorded sessions of the current scene that have a trajectory
+    useEffect(() => {
+        const fetchSessions = async () => {
+            try {
+                const allSessions = await listSessions(sceneType);
+                setSessions(allSessions.filter(session => session.hasTrajectory));
+            } catch (err) {
+                console.error('Failed to list sessions:', err);
+            }
+        };
+
+        fetchSessions();
+    }, [sceneType]);
+
+    const handleFileChange = async (event) => {
+        const selected = event.target.files[0];
+        if (!selected) return;
+
+        try {
+            const samples = parseTrajectoryFile(await selected.text());
+            setFile({ name: selected.name, samples });
+            setSelectedSource(null);
+            setLoadError(null);
+        } catch (err) {
+            setFile(null);
+            setLoadError(`${selected.name}: ${err.message}`);
+        }
+    };
+
+    const toggleScene = (scene) => {
+        setTargetScenes(prev => prev.includes(scene)
+            ? prev.filter(s => s !== scene)
+            : SCENE_TYPES.filter(s => s === scene || prev.includes(s)));
+    };
+
+    const handleRender = async () => {
+        setLoadError(null);
+        try {
+            if (file) {
+                await render({ samples: file.samples, source: { file: file.name }, targetScenes, fps, task });
+            } else {
+                const [samples, sourceEpisodes] = await Promise.all([
+                    fetchTrajectory(selectedSource.sceneType, selectedSource.sessionId),
+                    listEpisodes(selectedSource.sceneType, selectedSource.sessionId)
+                ]);
+                await render({
+                    samples,
+                    source: { sceneType: selectedSource.sceneType, sessionId: selectedSource.sessionId },
+                    targetScenes,
+                    fps,
+                    task,
+                    sourceEpisodes
+                });
+            }
+        } catch (err) {
+            console.error('Failed to load source trajectory:', err);
+            setLoadError(err.message);
+        }
+    };
+
+    // The source keeps its scene while the render switches scenes
+    const sourceOptions = sessions.map(session => ({ sceneType, sessionId: session.sessionId }));
+    if (selectedSource && selectedSource.sceneType !== sceneType) {
+        sourceOptions.unshift(selectedSource);
+    }
+    const sourceKey = (source) => `${source.sceneType}/${source.sessionId}`;
+
+    const hasSource = !!file || !!selectedSource;
+    const canRender = hasSource && targetScenes.length > 0 && !disabled && !isRendering;
+
+    const fieldStyle = {
+        padding: '6px',
+        fontSize: '13px',
+        border: '1px solid #ccc',
+        borderRadius: '4px'
+    };
+
+    return (
+        <div style={{
+            marginBottom: '20px',
+            padding: '15px',
+            background: '#fff',
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+        }}>
+            <h3 style={{ marginTop: 0, marginBottom: '10px', fontSize: '16px' }}>
+                Offline Render
+            </h3>
+
+            {(loadError || error) && (
+                <div style={{ fontSize: '12px', color: '#c62828', marginBottom: '8px' }}>
+                    {loadError || error}
+                </div>
+            )}
+
+            <select
+                value={selectedSource ? sourceKey(selectedSource) : ''}
+                onChange={(e) => {
+                    setSelectedSource(sourceOptions.find(source => sourceKey(source) === e.target.value) || null);
+                    setFile(null);
+                }}
+                disabled={isRendering}
+                style={{ ...fieldStyle, width: '100%', marginBottom: '6px' }}
+            >
+                <option value="">{file ? `File: ${file.name}` : 'Source trajectory...'}</option>
+                {sourceOptions.map(source => (
+                    <option key={sourceKey(source)} value={sourceKey(source)}>
+                        {source.sceneType}/{source.sessionId.replace('session-', '')}
+                    </option>
+                ))}
+            </select>
+            <input
+                type="file"
+                accept=".jsonl,.json"
+                onChange={handleFileChange}
+                disabled={isRendering}
+                style={{ fontSize: '12px', width: '100%', marginBottom: '8px' }}
+            />
+
+            {file && (
+                <input
+                    type="text"
+                    value={task}
+                    onChange={(e) => setTask(e.target.value)}
+                    placeholder="Task (e.g. Pick up the red cube)"
+                    disabled={isRendering}
+                    style={{ ...fieldStyle, width: '100%', marginBottom: '8px', boxSizing: 'border-box' }}
+                />
+            )}
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', fontSize: '13px', marginBottom: '8px' }}>
+                {SCENE_TYPES.map(scene => (
+                    <label key={scene} style={{ cursor: 'pointer' }}>
+                        <input
+                            type="checkbox"
+                            checked={targetScenes.includes(scene)}
+                            onChange={() => toggleScene(scene)}
+                            disabled={isRendering}
+                            style={{ marginRight: '4px' }}
+                        />
+                        {scene}
+                    </label>
+                ))}
+            </div>
+
+            <select
+                value={fps}
+                onChange={(e) => setFps(parseFloat(e.target.value))}
+                disabled={isRendering}
+                style={{ ...fieldStyle, width: '100%', marginBottom: '8px' }}
+            >
+                {FRAME_RATES.map(rate => (
+                    <option key={rate} value={rate}>{rate} frames per second</option>
+                ))}
+                <option value={0}>One frame per sample</option>
+            </select>
+
+            <button
+                onClick={isRendering ? cancel : handleRender}
+                disabled={!isRendering && !canRender}
+                style={{
+                    width: '100%',
+                    padding: '10px',
+                    background: isRendering ? '#f44336' : (canRender ? '#673AB7' : '#ccc'),
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: isRendering || canRender ? 'pointer' : 'not-allowed',
+                    fontWeight: 'bold',
+                    fontSize: '13px'
+                }}
+            >
+                {isRendering ? '⏹ Cancel' : '🎬 Render into Scenes'}
+            </button>
+
+            {progress && (
+                <div style={{ fontSize: '12px', color: '#666', marginTop: '8px', textAlign: 'center' }}>
+                    {progress.sceneType} ({progress.sceneIndex + 1}/{progress.sceneCount}):
+                    frame {progress.frame}/{progress.frameCount}
+                </div>
+            )}
+
+            {!isRendering && results.length > 0 && (
+                <div style={{ fontSize: '12px', color: '#666', marginTop: '8px' }}>
+                    {results.map(result => (
+                        <div key={result.sceneType}>
+                            ✓ {result.sceneType}/{result.sessionId} · {result.frameCount} frames
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {disabled && !isRendering && (
+                <div style={{ fontSize: '12px', color: '#666', marginTop: '8px' }}>
+                    Stop the episode and disconnect teleop to render.
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OfflineRenderPanel;
@@ -0,0 +1,158 @@
+import React from 'react';
+
+/**
+ * Scripted pick-and-place: object, place target and episode count, run progress and success labels
+ * @param {Object} props
+ * @param {Object} props.script - State and actions from usePickAndPlace
+ * @param {boolean} props.ready - True once the robot is loaded
+ * @param {boolean} props.disabled - True while something else drives the joints or an episode is being captured
+ */
+const PickAndPlacePanel = ({ script, ready, disabled }) => {
+    const {
+        objectNames, objectName, setObjectName, placeTarget, setPlaceTarget, targetFromGripper,
+        episodes, setEpisodes, placementRadius, setPlacementRadius, running, status, results, error, run, stop
+    } = script;
+
+    const fieldStyle = {
+        width: '100%',
+        padding: '6px',
+        fontSize: '13px',
+        border: '1px solid #ccc',
+        borderRadius: '4px',
+        boxSizing: 'border-box'
+    };
+
+    const buttonStyle = (active, color = '#2196F3') => ({
+        flex: 1,
+        padding: '8px',
+        background: active ? color : '#e0e0e0',
+        color: active ? 'white' : '#666',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '13px'
+    });
+
+    const labelStyle = { flex: 1, fontSize: '11px', color: '#666' };
+
+    const editable = ready && !disabled && !running;
+    const canRun = editable && Boolean(objectName);
+    const successes = results.filter(result => result.success).length;
+
+    const updateTarget = (index, value) => {
+        const target = [...placeTarget];
+        target[index] = parseFloat(value) || 0;
+        setPlaceTarget(target);
+    };
+
+    return (
+        <div style={{
+            marginBottom: '20px',
+            padding: '15px',
+            background: '#fff',
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+        }}>
+            <h3 style={{ marginTop: 0, marginBottom: '10px', fontSize: '16px' }}>
+                Scripted Pick-and-Place
+            </h3>
+
+            <label style={{ display: 'block', ...labelStyle, marginBottom: '6px' }}>
+                Object
+                <select
+                    value={objectName}
+                    onChange={(e) => setObjectName(e.target.value)}
+                    disabled={!editable}
+                    style={fieldStyle}
+                >
+                    {objectNames.length === 0 && <option value="">No grippable objects</option>}
+                    {objectNames.map(name => (
+                        <option key={name} value={name}>{name}</option>
+                    ))}
+                </select>
+            </label>
+
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '6px', alignItems: 'flex-end' }}>
+                {['X', 'Z'].map((axis, index) => (
+                    <label key={axis} style={labelStyle}>
+                        Place {axis} (m)
+                        <input
+                            type="number"
+                            step={0.01}
+                            value={placeTarget[index]}
+                            onChange={(e) => updateTarget(index, e.target.value)}
+                            disabled={!editable}
+                            style={fieldStyle}
+                        />
+                    </label>
+                ))}
+                <button onClick={targetFromGripper} disabled={!editable} style={buttonStyle(editable, '#607D8B')}>
+                    Gripper
+                </button>
+            </div>
+
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+                <label style={labelStyle}>
+                    Episodes
+                    <input
+                        type="number"
+                        min={1}
+                        value={episodes}
+                        onChange={(e) => setEpisodes(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                        disabled={!editable}
+                        style={fieldStyle}
+                    />
+                </label>
+                <label style={labelStyle}>
+                    Placement radius (m)
+                    <input
+                        type="number"
+                        min={0}
+                        step={0.01}
+                        value={placementRadius}
+                        onChange={(e) => setPlacementRadius(Math.max(0, parseFloat(e.target.value) || 0))}
+                        disabled={!editable}
+                        style={fieldStyle}
+                    />
+                </label>
+            </div>
+
+            {running ? (
+                <button onClick={stop} style={{ ...buttonStyle(true, '#f44336'), width: '100%' }}>
+                    Stop
+                </button>
+            ) : (
+                <button onClick={run} disabled={!canRun} style={{ ...buttonStyle(canRun, '#4CAF50'), width: '100%' }}>
+                    Record {episodes} Episode{episodes === 1 ? '' : 's'}
+                </button>
+            )}
+
+            {status && (
+                <div style={{ fontSize: '12px', color: '#666', marginTop: '8px' }}>
+                    Episode {status.episode}/{episodes}: {status.phase}
+                </div>
+            )}
+
+            {results.length > 0 && (
+                <div style={{ fontSize: '12px', marginTop: '8px' }}>
+                    <div style={{ marginBottom: '4px' }}>
+                        {successes}/{results.length} succeeded
+                    </div>
+                    {results.map(result => (
+                        <div key={result.episodeIndex} style={{ color: result.success ? '#2e7d32' : '#c62828' }}>
+                            {result.success ? '✓' : '✗'} Episode {result.episodeIndex}: {result.reason}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {error && (
+                <div style={{ fontSize: '12px', color: '#c62828', marginTop: '8px' }}>
+                    {error}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PickAndPlacePanel;
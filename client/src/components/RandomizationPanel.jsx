@@ -0,0 +1,74 @@
+import React from 'react';
+
+/**
+ * Domain randomization settings for recorded episodes and offline renders
+ * @param {Object} props
+ * @param {Object} props.randomization - State and setters from useDomainRandomization
+ * @param {boolean} props.disabled - True while an episode is recorded
+ */
+const RandomizationPanel = ({ randomization, disabled }) => {
+    const { enabled, setEnabled, mode, setMode, seed, setSeed, lastSeed } = randomization;
+
+    const fieldStyle = {
+        padding: '6px',
+        fontSize: '13px',
+        border: '1px solid #ccc',
+        borderRadius: '4px'
+    };
+
+    return (
+        <div style={{
+            marginBottom: '20px',
+            padding: '15px',
+            background: '#fff',
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+        }}>
+            <h3 style={{ marginTop: 0, marginBottom: '10px', fontSize: '16px' }}>
+                Domain Randomization
+            </h3>
+
+            <label style={{ display: 'block', fontSize: '13px', marginBottom: '8px', cursor: 'pointer' }}>
+                <input
+                    type="checkbox"
+                    checked={enabled}
+                    onChange={(e) => setEnabled(e.target.checked)}
+                    disabled={disabled}
+                    style={{ marginRight: '8px' }}
+                />
+                Randomize light, background, objects, cameras and robot color
+            </label>
+
+            {enabled && (
+                <div style={{ display: 'flex', gap: '6px' }}>
+                    <select
+                        value={mode}
+                        onChange={(e) => setMode(e.target.value)}
+                        disabled={disabled}
+                        style={{ ...fieldStyle, flex: 1 }}
+                    >
+                        <option value="episode">Per episode</option>
+                        <option value="frame">Per frame</option>
+                    </select>
+                    <input
+                        type="number"
+                        min="0"
+                        value={seed}
+                        onChange={(e) => setSeed(e.target.value)}
+                        placeholder="Random seed"
+                        disabled={disabled}
+                        style={{ ...fieldStyle, width: '110px' }}
+                    />
+                </div>
+            )}
+
+            {enabled && lastSeed !== null && (
+                <div style={{ fontSize: '12px', color: '#666', marginTop: '8px' }}>
+                    Last episode seed: {lastSeed}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RandomizationPanel;
@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { SCENES } from '../config/scenes';
+
+const TRANSFORM_MODES = [
+    { value: 'translate', label: 'Move' },
+    { value: 'rotate', label: 'Rotate' },
+    { value: 'scale', label: 'Scale' }
+];
+
+const ASSET_TYPES = ['box', 'sphere', 'cylinder', 'obj', 'fbx', 'ply', 'splat'];
+const PRIMITIVE_TYPES = ['box', 'sphere', 'cylinder'];
+
+// Asset files used by any scene, offered as path suggestions
+const KNOWN_ASSETS = [...new Set(SCENES.flatMap(scene => scene.objects.map(object => object.path).filter(Boolean)))];
+
+/**
+ * Scene editor: select, transform, add and remove scene objects and save the layout
+ * @param {Object} props
+ * @param {string} props.sceneType - Scene being edited
+ * @param {Object} props.editor - State and actions from useSceneEditor
+ * @param {boolean} props.disabled - True while an episode is recorded or rendered
+ */
+const SceneEditorPanel = ({ sceneType, editor, disabled }) => {
+    const {
+        editing, setEditing, transformMode, setTransformMode, selection, objectNames,
+        selectObject, snapSelected, removeSelected, addAsset, save, isSaving, message
+    } = editor;
+
+    const [assetType, setAssetType] = useState('obj');
+    const [assetPath, setAssetPath] = useState('');
+    const [assetName, setAssetName] = useState('');
+    const [saveAs, setSaveAs] = useState(sceneType);
+
+    const fieldStyle = {
+        padding: '6px',
+        fontSize: '13px',
+        border: '1px solid #ccc',
+        borderRadius: '4px'
+    };
+
+    const buttonStyle = (active, color = '#2196F3') => ({
+        flex: 1,
+        padding: '8px',
+        background: active ? color : '#e0e0e0',
+        color: active ? 'white' : '#666',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '13px'
+    });
+
+    const needsPath = !PRIMITIVE_TYPES.includes(assetType);
+    const canAdd = !needsPath || assetPath.trim() !== '';
+    const saveId = saveAs.trim();
+    const canSave = /^[\w-]+$/.test(saveId) && saveId !== 'exports' && !isSaving;
+
+    const handleAdd = async () => {
+        await addAsset({ type: assetType, path: needsPath ? assetPath.trim() : undefined, name: assetName.trim() });
+        setAssetName('');
+    };
+
+    return (
+        <div style={{
+            marginBottom: '20px',
+            padding: '15px',
+            background: '#fff',
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+        }}>
+            <h3 style={{ marginTop: 0, marginBottom: '10px', fontSize: '16px' }}>
+                Scene Editor
+            </h3>
+
+            <label style={{ display: 'block', fontSize: '13px', marginBottom: '8px', cursor: 'pointer' }}>
+                <input
+                    type="checkbox"
+                    checked={editing}
+                    onChange={(e) => setEditing(e.target.checked)}
+                    disabled={disabled}
+                    style={{ marginRight: '8px' }}
+                />
+                Edit scene layout
+            </label>
+
+            {editing && (
+                <>
+                    <div style={{ fontSize: '12px', color: '#666', marginBottom: '8px' }}>
+                        Click an object in the view to select it.
+                    </div>
+
+                    <select
+                        value={selection || ''}
+                        onChange={(e) => selectObject(e.target.value)}
+                        style={{ ...fieldStyle, width: '100%', marginBottom: '6px' }}
+                    >
+                        <option value="">No object selected</option>
+                        {objectNames.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                    </select>
+
+                    <div style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+                        {TRANSFORM_MODES.map(({ value, label }) => (
+                            <button
+                                key={value}
+                                onClick={() => setTransformMode(value)}
+                                style={buttonStyle(transformMode === value)}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+
+                    <div style={{ display: 'flex', gap: '6px', marginBottom: '12px' }}>
+                        <button onClick={snapSelected} disabled={!selection} style={buttonStyle(!!selection, '#4CAF50')}>
+                            ⬇ Snap to Table
+                        </button>
+                        <button onClick={removeSelected} disabled={!selection} style={buttonStyle(!!selection, '#f44336')}>
+                            🗑 Remove
+                        </button>
+                    </div>
+
+                    <div style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+                        <select
+                            value={assetType}
+                            onChange={(e) => setAssetType(e.target.value)}
+                            style={{ ...fieldStyle, width: '90px' }}
+                        >
+                            {ASSET_TYPES.map(type => (
+                                <option key={type} value={type}>{type}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="text"
+                            value={assetName}
+                            onChange={(e) => setAssetName(e.target.value)}
+                            placeholder="Name (optional)"
+                            style={{ ...fieldStyle, flex: 1, minWidth: 0 }}
+                        />
+                    </div>
+                    {needsPath && (
+                        <>
+                            <input
+                                type="text"
+                                list="scene-editor-assets"
+                                value={assetPath}
+                                onChange={(e) => setAssetPath(e.target.value)}
+                                placeholder="/assets/model.obj"
+                                style={{ ...fieldStyle, width: '100%', marginBottom: '6px', boxSizing: 'border-box' }}
+                            />
+                            <datalist id="scene-editor-assets">
+                                {KNOWN_ASSETS.map(path => (
+                                    <option key={path} value={path} />
+                                ))}
+                            </datalist>
+                        </>
+                    )}
+                    <button
+                        onClick={handleAdd}
+                        disabled={!canAdd}
+                        style={{ ...buttonStyle(canAdd, '#673AB7'), width: '100%', marginBottom: '12px' }}
+                    >
+                        ＋ Add Asset
+                    </button>
+
+                    <div style={{ display: 'flex', gap: '6px' }}>
+                        <input
+                            type="text"
+                            value={saveAs}
+                            onChange={(e) => setSaveAs(e.target.value)}
+                            placeholder="Scene id"
+                            style={{ ...fieldStyle, flex: 1, minWidth: 0 }}
+                        />
+                        <button
+                            onClick={() => save(saveId)}
+                            disabled={!canSave}
+                            style={{ ...buttonStyle(canSave, '#4CAF50'), flex: 'none', padding: '8px 12px', fontWeight: 'bold' }}
+                        >
+                            {isSaving ? 'Saving...' : '💾 Save'}
+                        </button>
+                    </div>
+                </>
+            )}
+
+            {message && (
+                <div style={{ fontSize: '12px', color: message.type === 'error' ? '#c62828' : '#2e7d32', marginTop: '8px' }}>
+                    {message.text}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SceneEditorPanel;
@@ -0,0 +1,161 @@
+import React from 'react';
+import { FILTER_MODES } from '../utils/jointFilter';
+
+const MODE_LABELS = { none: 'None', lowpass: 'Low-pass', oneEuro: 'One-Euro' };
+
+const MODE_FIELDS = {
+    none: [],
+    lowpass: [{ key: 'cutoff', label: 'Cutoff (Hz)', step: 0.5 }],
+    oneEuro: [
+        { key: 'minCutoff', label: 'Min cutoff (Hz)', step: 0.1 },
+        { key: 'beta', label: 'Beta', step: 0.05 },
+        { key: 'derivativeCutoff', label: 'Speed cutoff (Hz)', step: 0.1 }
+    ]
+};
+
+/**
+ * Teleop filter: smoothing mode and parameters, interpolation, per-joint velocity and acceleration
+ * limits (velocity capped by the URDF) and the ghost robot
+ * @param {Object} props
+ * @param {Object} props.filter - State and actions from useJointFilter
+ * @param {Object} props.joints - Joint configuration object
+ */
+const TeleopFilterPanel = ({ filter, joints }) => {
+    const { settings, setSettings, limits, setJointLimit } = filter;
+
+    const fieldStyle = {
+        width: '100%',
+        padding: '4px',
+        fontSize: '12px',
+        border: '1px solid #ccc',
+        borderRadius: '4px',
+        boxSizing: 'border-box'
+    };
+
+    const buttonStyle = (active, color = '#2196F3') => ({
+        flex: 1,
+        padding: '8px',
+        background: active ? color : '#e0e0e0',
+        color: active ? 'white' : '#666',
+        border: 'none',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '13px'
+    });
+
+    const labelStyle = { flex: 1, fontSize: '11px', color: '#666' };
+    const checkboxStyle = { display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', marginBottom: '4px' };
+
+    const update = (changes) => setSettings({ ...settings, ...changes });
+    const positive = (value) => Math.max(0.01, parseFloat(value) || 0.01);
+
+    return (
+        <div style={{
+            marginBottom: '20px',
+            padding: '15px',
+            background: '#fff',
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+        }}>
+            <h3 style={{ marginTop: 0, marginBottom: '10px', fontSize: '16px' }}>
+                Teleop Filter
+            </h3>
+
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+                {FILTER_MODES.map(mode => (
+                    <button key={mode} onClick={() => update({ mode })} style={buttonStyle(settings.mode === mode)}>
+                        {MODE_LABELS[mode]}
+                    </button>
+                ))}
+            </div>
+
+            {MODE_FIELDS[settings.mode].length > 0 && (
+                <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+                    {MODE_FIELDS[settings.mode].map(({ key, label, step }) => (
+                        <label key={key} style={labelStyle}>
+                            {label}
+                            <input
+                                type="number"
+                                min={key === 'beta' ? 0 : step}
+                                step={step}
+                                value={settings[key]}
+                                onChange={(e) => update({
+                                    [key]: key === 'beta' ? Math.max(0, parseFloat(e.target.value) || 0) : positive(e.target.value)
+                                })}
+                                style={fieldStyle}
+                            />
+                        </label>
+                    ))}
+                </div>
+            )}
+
+            <label style={checkboxStyle}>
+                <input
+                    type="checkbox"
+                    checked={settings.interpolate}
+                    onChange={(e) => update({ interpolate: e.target.checked })}
+                />
+                Interpolate between messages
+            </label>
+            <label style={checkboxStyle}>
+                <input
+                    type="checkbox"
+                    checked={settings.showGhost}
+                    onChange={(e) => update({ showGhost: e.target.checked })}
+                />
+                Show raw target (ghost robot)
+            </label>
+            <label style={checkboxStyle}>
+                <input
+                    type="checkbox"
+                    checked={settings.limitMotion}
+                    onChange={(e) => update({ limitMotion: e.target.checked })}
+                />
+                Limit velocity and acceleration
+            </label>
+
+            {settings.limitMotion && (
+                <table style={{ width: '100%', fontSize: '11px', color: '#444', borderCollapse: 'collapse', marginTop: '6px' }}>
+                    <thead>
+                        <tr style={{ color: '#666', textAlign: 'left' }}>
+                            <th style={{ fontWeight: 'normal' }}>Joint</th>
+                            <th style={{ fontWeight: 'normal' }}>Vel (rad/s)</th>
+                            <th style={{ fontWeight: 'normal' }}>Acc (rad/s²)</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {Object.keys(joints).map(name => limits[name] && (
+                            <tr key={name}>
+                                <td style={{ padding: '2px 6px 2px 0' }}>{name}</td>
+                                <td style={{ padding: '2px 4px 2px 0' }}>
+                                    <input
+                                        type="number"
+                                        min={0.01}
+                                        max={limits[name].maxVelocity}
+                                        step={0.5}
+                                        value={limits[name].velocity}
+                                        title={`URDF limit: ${limits[name].maxVelocity} rad/s`}
+                                        onChange={(e) => setJointLimit(name, { velocity: positive(e.target.value) })}
+                                        style={fieldStyle}
+                                    />
+                                </td>
+                                <td style={{ padding: '2px 0' }}>
+                                    <input
+                                        type="number"
+                                        min={0.01}
+                                        step={5}
+                                        value={limits[name].acceleration}
+                                        onChange={(e) => setJointLimit(name, { acceleration: positive(e.target.value) })}
+                                        style={fieldStyle}
+                                    />
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+};
+
+export default TeleopFilterPanel;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { listSessions, fetchTrajectory } from '../utils/sessionApi';
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Playback of recorded joint trajectories (trajectory.jsonl of a session)
+ * @param {Object} props
+ * @param {string} props.sceneType - Scene whose sessions are listed
+ * @param {Object} props.player - State and controls from useTrajectoryPlayer
+ * @param {boolean} props.disabled - True while live teleop drives the robot
+ */
+const TrajectoryPlayer = ({ sceneType, player, disabled }) => {
+    const [sessions, setSessions] = useState([]);
+    const [selectedSession, setSelectedSession] = useState('');
+    const [samples, setSamples] = useState([]);
+    const [selectedEpisode, setSelectedEpisode] = useState('all');
+    const [error, setError] = useState(null);
+    const [refreshCount, setRefreshCount] = useState(0);
+
+    const { isLoaded, isPlaying, position, duration, speed, load, unload, play, pause, seek, setSpeed } = player;
+
+    // Sessions that have a recorded trajectory
+    useEffect(() => {
+        const fetchSessions = async () => {
+            try {
+                const allSessions = await listSessions(sceneType);
+                setSessions(allSessions.filter(session => session.hasTrajectory));
+                setError(null);
+            } catch (err) {
+                console.error('Failed to list sessions:', err);
+                setError('Could not reach the server');
+            }
+        };
+
+        fetchSessions();
+    }, [sceneType, refreshCount]);
+
+    // Drop the loaded trajectory when the panel goes away (it is remounted per scene)
+    useEffect(() => unload, [unload]);
+
+    const handleSessionChange = async (sessionId) => {
+        setSelectedSession(sessionId);
+        setSelectedEpisode('all');
+        pause();
+        if (!sessionId) {
+            setSamples([]);
+            unload();
+            return;
+        }
+
+        try {
+            const loaded = await fetchTrajectory(sceneType, sessionId);
+            console.log(`🎞️ Loaded ${loaded.length} trajectory samples from ${sessionId}`);
+            setSamples(loaded);
+            load(loaded);
+            setError(null);
+        } catch (err) {
+            console.error('Failed to load trajectory:', err);
+            setError(err.message);
+        }
+    };
+
+    const handleEpisodeChange = (value) => {
+        setSelectedEpisode(value);
+        load(value === 'all' ? samples : samples.filter(sample => String(sample.episodeIndex) === value));
+    };
+
+    const episodeIndices = [...new Set(samples.map(sample => sample.episodeIndex))]
+        .filter(index => index !== null && index !== undefined)
+        .sort((a, b) => a - b);
+
+    const fieldStyle = {
+        padding: '6px',
+        fontSize: '13px',
+        border: '1px solid #ccc',
+        borderRadius: '4px'
+    };
+
+    return (
+        <div style={{
+            marginBottom: '20px',
+            padding: '15px',
+            background: '#fff',
+            borderRadius: '8px',
+            boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+        }}>
+            <h3 style={{ marginTop: 0, marginBottom: '10px', fontSize: '16px' }}>
+                Trajectory Playback
+            </h3>
+
+            {error && (
+                <div style={{ fontSize: '12px', color: '#c62828', marginBottom: '8px' }}>
+                    {error}
+                </div>
+            )}
+
+            <div style={{ display: 'flex', gap: '6px', marginBottom: '8px' }}>
+                <select
+                    value={selectedSession}
+                    onChange={(e) => handleSessionChange(e.target.value)}
+                    style={{ ...fieldStyle, flex: 1, minWidth: 0 }}
+                >
+                    <option value="">Select a recording...</option>
+                    {sessions.map(session => (
+                        <option key={session.sessionId} value={session.sessionId}>
+                            {session.sessionId.replace('session-', '')}
+                        </option>
+                    ))}
+                </select>
+                <button onClick={() => setRefreshCount(count => count + 1)} style={{ ...fieldStyle, cursor: 'pointer' }} title="Refresh">
+                    🔄
+                </button>
+            </div>
+
+            {episodeIndices.length > 1 && (
+                <select
+                    value={selectedEpisode}
+                    onChange={(e) => handleEpisodeChange(e.target.value)}
+                    style={{ ...fieldStyle, width: '100%', marginBottom: '8px' }}
+                >
+                    <option value="all">All episodes</option>
+                    {episodeIndices.map(index => (
+                        <option key={index} value={String(index)}>Episode {index}</option>
+                    ))}
+                </select>
+            )}
+
+            {isLoaded && (
+                <>
+                    <input
+                        type="range"
+                        min={0}
+                        max={duration}
+                        step={0.01}
+                        value={position}
+                        onChange={(e) => seek(parseFloat(e.target.value))}
+                        disabled={disabled}
+                        style={{ width: '100%' }}
+                    />
+                    <div style={{ fontSize: '12px', color: '#666', marginBottom: '8px' }}>
+                        {position.toFixed(1)}s / {duration.toFixed(1)}s
+                    </div>
+
+                    <div style={{ display: 'flex', gap: '6px' }}>
+                        <button
+                            onClick={isPlaying ? pause : play}
+                            disabled={disabled}
+                            style={{
+                                flex: 1,
+                                padding: '8px',
+                                background: disabled ? '#ccc' : (isPlaying ? '#ff9800' : '#2196F3'),
+                                color: 'white',
+                                border: 'none',
+                                borderRadius: '4px',
+                                cursor: disabled ? 'not-allowed' : 'pointer',
+                                fontWeight: 'bold',
+                                fontSize: '13px'
+                            }}
+                        >
+                            {isPlaying ? '⏸ Pause' : '▶ Play'}
+                        </button>
+                        <select
+                            value={speed}
+                            onChange={(e) => setSpeed(parseFloat(e.target.value))}
+                            style={fieldStyle}
+                        >
+                            {SPEEDS.map(s => (
+                                <option key={s} value={s}>{s}x</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {disabled && (
+                        <div style={{ fontSize: '12px', color: '#666', marginTop: '8px' }}>
+                            Disconnect teleop to replay.
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default TrajectoryPlayer;
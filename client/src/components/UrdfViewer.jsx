@@ -1,8 +1,27 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import * as THREE from 'three';
 import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { addSceneObjects } from '../config/sceneObjects.js';
+import { addSceneObjects, addSceneObject, removeSceneObject } from '../config/sceneObjects.js';
+import { DEFAULT_SCENE_TYPE } from '../config/scenes.js';
+import {
+    createRigCamera,
+    createColorTarget,
+    renderToImageData,
+    imageDataToDataURL,
+    createDepthPass,
+    typedArrayToBase64,
+    getCameraIntrinsics,
+    getCameraExtrinsics,
+    getCameraMountTransform
+} from '../utils/cameraRig.js';
+import { buildSegmentationLegend, renderSegmentation } from '../utils/segmentation.js';
+import { applyRandomization, resetRandomization } from '../utils/domainRandomization.js';
+import { createSceneEditor, listSceneObjects, exportSceneObject, snapToTable, getObjectBounds } from '../utils/sceneEditor.js';
+import { createPhysicsWorld } from '../utils/physics.js';
+import { createGraspModel, GRIPPER_JOINT, FIXED_JAW_LINK, MOVING_JAW_LINK } from '../utils/grasp.js';
+import { getEndEffectorPose, solveIK } from '../utils/ik.js';
+import { createIkTarget } from '../utils/ikTarget.js';
 
 // We need to import the urdf-manipulator element definition to register it
 let registrationPromise = null;
@@ -30,13 +49,124 @@ const registerUrdfManipulator = async () => {
     return registrationPromise;
 };
 
-const UrdfViewer = React.forwardRef(({ urdfPath, onJointsLoaded, onCameraPoseChange, sceneType = 'table' }, ref) => {
+// Gripper range: -0.174533 (closed) to 1.74533 (open)
+// The recorded gripper status counts it as closed near the lower limit (grasping is contact-based, see utils/grasp.js)
+const GRIPPER_CLOSED_THRESHOLD = -0.1;
+
+// Capture resolution for cameras that don't configure one
+const DEFAULT_CAPTURE_WIDTH = 640;
+const DEFAULT_CAPTURE_HEIGHT = 480;
+
+// Look of the ghost robot that shows raw teleop targets
+const GHOST_COLOR = 0x2196F3;
+const GHOST_OPACITY = 0.3;
+
+// Translucent copy of the robot (meshes share their geometry with the original)
+const createGhostRobot = (robot) => {
+    const ghost = robot.clone();
+    const material = new THREE.MeshBasicMaterial({ color: GHOST_COLOR, transparent: true, opacity: GHOST_OPACITY, depthWrite: false });
+    ghost.traverse((child) => {
+        if (child.isMesh) {
+            child.material = material;
+            child.castShadow = false;
+            child.receiveShadow = false;
+        }
+    });
+    ghost.name = 'teleop-ghost';
+    ghost.userData.source = robot;
+    return ghost;
+};
+
+// Picture-in-picture preview size (height follows the camera's aspect) and refresh interval
+const PIP_WIDTH = 240;
+const PIP_INTERVAL_MS = 66;
+
+/**
+ * @param {Object} props
+ * @param {Object} [props.pipCamera] - Camera definition shown as a picture-in-picture overlay (e.g. the wrist camera)
+ * @param {boolean} [props.editMode] - Scene editor on: click selects a scene object, a gizmo transforms it
+ * @param {string} [props.transformMode] - Gizmo mode in edit mode ('translate', 'rotate' or 'scale')
+ * @param {Function} [props.onEditorSelect] - Called with the name of the selected scene object, or null
+ * @param {Function} [props.onGraspChange] - Called with the name of the object the gripper grasps, or null on release
+ * @param {boolean} [props.ikTarget] - Show a draggable end-effector target gizmo
+ * @param {string} [props.ikTargetMode] - Target gizmo mode ('translate' or 'rotate')
+ * @param {Function} [props.onIkTargetChange] - Called with the target pose ({ position, quaternion }) while it is dragged
+ */
+const UrdfViewer = React.forwardRef(({ urdfPath, onJointsLoaded, onCameraPoseChange, sceneType = DEFAULT_SCENE_TYPE, pipCamera = null, editMode = false, transformMode = 'translate', onEditorSelect = null, onGraspChange = null, ikTarget = false, ikTargetMode = 'translate', onIkTargetChange = null }, ref) => {
     const internalRef = useRef(null);
-    const grippableObjectsRef = useRef({ cube: null, cup: null });
-    const grippedObjectRef = useRef(null);
+    const pipCanvasRef = useRef(null);
+    const captureTargetsRef = useRef(new Map()); // Offscreen render targets and passes by resolution
+    const [showPip, setShowPip] = useState(true);
+    const grippableObjectsRef = useRef({});
+    const graspRef = useRef(null); // Grasp model: which object the gripper holds
     const gripperJointRef = useRef(null);
     const animationFrameRef = useRef(null);
-    const lastGripperValueRef = useRef({ value: 0, closed: false });
+    const updateGrippingRef = useRef(null);
+    const loadedSceneRef = useRef(null); // Scene type whose objects are fully loaded
+    const editorRef = useRef(null); // Scene editor while edit mode is on
+    const transformModeRef = useRef(transformMode);
+    const onEditorSelectRef = useRef(onEditorSelect);
+    const onGraspChangeRef = useRef(onGraspChange);
+    const ikTargetRef = useRef(null); // End-effector target gizmo while shown
+    const ikTargetModeRef = useRef(ikTargetMode);
+    const onIkTargetChangeRef = useRef(onIkTargetChange);
+    const physicsRef = useRef(null); // Physics world of the loaded scene
+    const ghostRef = useRef(null); // Ghost robot posed at the raw teleop targets, once shown
+
+    // World pose of every grippable object, for the per-capture state record
+    const getObjectPoses = () => {
+        const poses = {};
+        Object.entries(grippableObjectsRef.current).forEach(([key, object]) => {
+            if (!object || !object.matrixWorld) return;
+
+            const position = new THREE.Vector3();
+            const quaternion = new THREE.Quaternion();
+            const scale = new THREE.Vector3();
+            object.updateMatrixWorld(true);
+            object.matrixWorld.decompose(position, quaternion, scale);
+
+            poses[key] = {
+                name: object.name,
+                position: position.toArray(),
+                quaternion: quaternion.toArray(),
+                scale: scale.toArray()
+            };
+        });
+        return poses;
+    };
+
+    // Gripper open/closed/holding status, for the per-capture state record
+    const getGripperState = () => {
+        const gripperJoint = gripperJointRef.current;
+        if (!gripperJoint) return null;
+
+        const value = gripperJoint.joint.jointValue?.[0] || 0;
+        const heldObject = graspRef.current?.getHeld();
+        let status = value < GRIPPER_CLOSED_THRESHOLD ? 'closed' : 'open';
+        if (heldObject) {
+            status = 'holding';
+        }
+
+        return {
+            joint: gripperJoint.name,
+            value,
+            status,
+            heldObject: heldObject ? heldObject.name : null
+        };
+    };
+
+    // Offscreen color, depth and segmentation targets for a capture resolution, created on first use
+    const getCaptureTargets = (width, height) => {
+        const sizeKey = `${width}x${height}`;
+        if (!captureTargetsRef.current.has(sizeKey)) {
+            captureTargetsRef.current.set(sizeKey, {
+                renderTarget: createColorTarget(width, height, { samples: 4 }),
+                depthPass: createDepthPass(width, height),
+                segmentationTarget: new THREE.WebGLRenderTarget(width, height)
+            });
+        }
+        return captureTargetsRef.current.get(sizeKey);
+    };
 
     // Expose the viewer element with additional methods
     React.useImperativeHandle(ref, () => {
@@ -48,58 +178,148 @@ const UrdfViewer = React.forwardRef(({ urdfPath, onJointsLoaded, onCameraPoseCha
         return new Proxy(viewer, {
             get(target, prop) {
                 if (prop === 'captureFromPose') {
-                    return (pose, sceneType = 'table', sessionId = null) => {
+                    // `cameras` is a scene camera list ({ name, position, rotation, fov, width, height, attachTo? }),
+                    // or a single pose captured with the viewer's FOV at the default resolution.
+                    // Cameras render into offscreen targets, so the live canvas is left untouched.
+                    // Each camera also gets a depth image in millimetres and a segmentation mask unless it
+                    // sets `depth: false` / `segmentation: false`.
+                    // `timestamp` (ms) overrides the wall clock, e.g. for offline renders of a trajectory.
+                    // `randomization` (seed and sampled parameters) is recorded in the frame's state.
+                    // Resolves with the server response once the frame is saved.
+                    return (cameras, sceneType = DEFAULT_SCENE_TYPE, sessionId = null, { jointValues = {}, episodeIndex = null, teleopTimestamp = null, timestamp = Date.now(), randomization = null } = {}) => {
                         if (!target.scene || !target.renderer) {
                             console.error('Viewer not ready for capture');
-                            return;
+                            return Promise.resolve(null);
                         }
 
                         if (!sessionId) {
                             console.error('Session ID is required for capture');
-                            return;
+                            return Promise.resolve(null);
                         }
 
-                        // Create a temporary camera with the specified pose
-                        const tempCamera = new THREE.PerspectiveCamera(
-                            target.camera.fov,
-                            target.renderer.domElement.width / target.renderer.domElement.height,
-                            target.camera.near,
-                            target.camera.far
-                        );
-
-                        // Set position and rotation
-                        tempCamera.position.set(pose.position.x, pose.position.y, pose.position.z);
-                        tempCamera.rotation.set(pose.rotation.x, pose.rotation.y, pose.rotation.z);
-                        tempCamera.updateMatrixWorld();
+                        const rig = Array.isArray(cameras) ? cameras : [{ name: 'front', ...cameras }];
 
                         // Set white background for capture
                         const originalClearColor = new THREE.Color();
                         target.renderer.getClearColor(originalClearColor);
                         const originalClearAlpha = target.renderer.getClearAlpha();
-
                         target.renderer.setClearColor(0xffffff, 1);
 
-                        // Render the scene from this camera
-                        target.renderer.render(target.scene, tempCamera);
+                        const images = {};
+                        const depth = {};
+                        const segmentation = {};
+                        const cameraStates = {};
+                        const cameraModels = {};
+                        const segmentationLegend = buildSegmentationLegend(target.robot, grippableObjectsRef.current);
+                        // The ghost robot stays out of captures
+                        const ghost = ghostRef.current;
+                        const ghostVisible = ghost?.visible;
+                        if (ghost) ghost.visible = false;
+
+                        rig.forEach((camera) => {
+                            // Create a temporary camera at the camera's current pose
+                            const tempCamera = createRigCamera(camera, target.robot, {
+                                fov: target.camera.fov,
+                                width: DEFAULT_CAPTURE_WIDTH,
+                                height: DEFAULT_CAPTURE_HEIGHT,
+                                near: target.camera.near,
+                                far: target.camera.far
+                            });
+                            if (!tempCamera) {
+                                console.warn(`Camera ${camera.name}: link ${camera.attachTo} not found, skipping`);
+                                return;
+                            }
+                            const width = camera.width || DEFAULT_CAPTURE_WIDTH;
+                            const height = camera.height || DEFAULT_CAPTURE_HEIGHT;
+
+                            // Render offscreen at exactly the camera's resolution and capture the image
+                            const { renderTarget, depthPass, segmentationTarget } = getCaptureTargets(width, height);
+                            const imageData = renderToImageData(target.renderer, target.scene, tempCamera, renderTarget);
+                            images[camera.name] = imageDataToDataURL(imageData);
+
+                            // Depth pass from the same camera
+                            if (camera.depth !== false) {
+                                const depthMm = depthPass.render(target.renderer, target.scene, tempCamera);
+                                depth[camera.name] = {
+                                    data: typedArrayToBase64(depthMm),
+                                    width,
+                                    height,
+                                    near: tempCamera.near,
+                                    far: tempCamera.far
+                                };
+                            }
 
-                        // Capture the image
-                        const dataURL = target.renderer.domElement.toDataURL('image/png');
+                            // Segmentation mask (flat ID colors, see segmentationLegend)
+                            if (camera.segmentation !== false) {
+                                const maskData = renderSegmentation(target.renderer, target.scene, tempCamera, segmentationTarget, {
+                                    robot: target.robot,
+                                    grippableObjects: grippableObjectsRef.current,
+                                    legend: segmentationLegend
+                                });
+                                segmentation[camera.name] = imageDataToDataURL(maskData);
+                            }
 
-                        // Restore original background
+                            // Calibration for the session's cameras.json; link-mounted cameras move,
+                            // so their extrinsics are only in the per-frame state
+                            const extrinsics = getCameraExtrinsics(tempCamera, target.world);
+                            cameraModels[camera.name] = {
+                                ...getCameraIntrinsics(tempCamera.fov, width, height),
+                                fovY: tempCamera.fov,
+                                near: tempCamera.near,
+                                far: tempCamera.far,
+                                ...(camera.attachTo
+                                    ? { attachTo: camera.attachTo, linkFromCamera: getCameraMountTransform(camera), extrinsics: null }
+                                    : { extrinsics })
+                            };
+
+                            // World pose in scene coordinates (resolved for link-mounted cameras)
+                            cameraStates[camera.name] = {
+                                position: { x: tempCamera.position.x, y: tempCamera.position.y, z: tempCamera.position.z },
+                                rotation: { x: tempCamera.rotation.x, y: tempCamera.rotation.y, z: tempCamera.rotation.z },
+                                ...(camera.attachTo && { attachTo: camera.attachTo }),
+                                fov: tempCamera.fov,
+                                aspect: tempCamera.aspect,
+                                near: tempCamera.near,
+                                far: tempCamera.far,
+                                width,
+                                height,
+                                worldToCamera: extrinsics.worldToCamera
+                            };
+                        });
+
+                        // Restore original background and the ghost
                         target.renderer.setClearColor(originalClearColor, originalClearAlpha);
+                        if (ghost) ghost.visible = ghostVisible;
+
+                        // Robot and scene state this frame was rendered with
+                        const state = {
+                            timestamp,
+                            episodeIndex,
+                            teleopTimestamp,
+                            joints: { ...jointValues },
+                            cameras: cameraStates,
+                            objects: getObjectPoses(),
+                            gripper: getGripperState(),
+                            ...(randomization && { randomization })
+                        };
 
                         // Send to backend to save
-                        const filename = `capture-${Date.now()}.png`;
-                        fetch('http://localhost:3000/save-capture', {
+                        const filename = `capture-${timestamp}.png`;
+                        return fetch('http://localhost:3000/save-capture', {
                             method: 'POST',
                             headers: {
                                 'Content-Type': 'application/json',
                             },
                             body: JSON.stringify({
-                                imageData: dataURL,
+                                images: images,
+                                depth: depth,
+                                segmentation: segmentation,
+                                segmentationLegend: segmentationLegend,
+                                cameraModels: cameraModels,
                                 filename: filename,
                                 sceneType: sceneType,
-                                sessionId: sessionId
+                                sessionId: sessionId,
+                                state: state
                             })
                         })
                             .then(response => response.json())
@@ -109,13 +329,187 @@ const UrdfViewer = React.forwardRef(({ urdfPath, onJointsLoaded, onCameraPoseCha
                                 } else {
                                     console.error('Failed to save capture:', data.error);
                                 }
+                                return data;
                             })
                             .catch(error => {
                                 console.error('Error saving capture:', error);
+                                return null;
                             });
+                    };
+                }
+
+                if (prop === 'whenSceneLoaded') {
+                    // Resolves once the robot and the objects of `sceneType` are loaded
+                    return (sceneType) => new Promise((resolve) => {
+                        const checkLoaded = () => {
+                            if (target.robot && loadedSceneRef.current === sceneType) {
+                                resolve();
+                            } else {
+                                setTimeout(checkLoaded, 50);
+                            }
+                        };
+                        checkLoaded();
+                    });
+                }
+
+                if (prop === 'applyRandomization') {
+                    // Apply sampled domain randomization parameters to the live scene
+                    return (params) => applyRandomization(params, {
+                        scene: target.scene,
+                        robot: target.robot,
+                        grippableObjects: grippableObjectsRef.current
+                    });
+                }
+
+                if (prop === 'resetRandomization') {
+                    return () => resetRandomization({
+                        scene: target.scene,
+                        robot: target.robot,
+                        grippableObjects: grippableObjectsRef.current
+                    });
+                }
 
-                        // Restore normal rendering
-                        target.renderer.render(target.scene, target.camera);
+                if (prop === 'grippableObjectKeys') {
+                    return Object.keys(grippableObjectsRef.current).filter(key => grippableObjectsRef.current[key]);
+                }
+
+                if (prop === 'heldObject') {
+                    // Name of the object the gripper holds, or null
+                    return graspRef.current?.getHeld()?.name || null;
+                }
+
+                if (prop === 'getObjectState') {
+                    // { position (bounds center), size, yaw (rad about Y), initialPosition } of a scene object, null if missing
+                    return (name) => {
+                        const object = listSceneObjects(target.scene).find(o => o.name === name);
+                        if (!object) return null;
+                        const bounds = getObjectBounds(object);
+                        const quaternion = object.getWorldQuaternion(new THREE.Quaternion());
+                        return {
+                            position: bounds.getCenter(new THREE.Vector3()).toArray(),
+                            size: bounds.getSize(new THREE.Vector3()).toArray(),
+                            yaw: new THREE.Euler().setFromQuaternion(quaternion, 'YXZ').y,
+                            initialPosition: object.userData.initialPosition || object.position.toArray()
+                        };
+                    };
+                }
+
+                if (prop === 'placeObject') {
+                    // Rest a scene object on the table at [x, z] with a yaw (rad about Y); held objects stay put
+                    return (name, { position, yaw }) => {
+                        const object = listSceneObjects(target.scene).find(o => o.name === name);
+                        if (!object || object.userData.originalParent) return false;
+                        const currentYaw = new THREE.Euler().setFromQuaternion(object.quaternion, 'YXZ').y;
+                        object.quaternion.premultiply(new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), yaw - currentYaw));
+                        object.position.x = position[0];
+                        object.position.z = position[1];
+                        snapToTable(object);
+                        target.redraw();
+                        return true;
+                    };
+                }
+
+                if (prop === 'getEndEffectorPose') {
+                    // Gripper frame pose ({ position, quaternion }, scene coordinates), null before the robot loads
+                    return () => (target.robot ? getEndEffectorPose(target.robot) : null);
+                }
+
+                if (prop === 'solveIK') {
+                    // Arm joint values for an end-effector pose (see utils/ik.js); doesn't move the robot
+                    return (pose, options) => (target.robot ? solveIK(target.robot, pose, options) : null);
+                }
+
+                if (prop === 'setIkTarget') {
+                    // Move the target gizmo, e.g. to a typed pose
+                    return (pose) => ikTargetRef.current?.setPose(pose);
+                }
+
+                if (prop === 'sceneObjectNames') {
+                    return listSceneObjects(target.scene).map(object => object.name);
+                }
+
+                if (prop === 'selectSceneObject') {
+                    // Select a scene object by name in edit mode (null to deselect)
+                    return (name) => {
+                        const object = listSceneObjects(target.scene).find(o => o.name === name) || null;
+                        editorRef.current?.select(object);
+                    };
+                }
+
+                if (prop === 'snapSelectedToTable') {
+                    return () => editorRef.current?.snapSelected();
+                }
+
+                if (prop === 'removeSelectedObject') {
+                    return () => {
+                        const object = editorRef.current?.getSelected();
+                        if (!object) return;
+                        editorRef.current.select(null);
+                        if (graspRef.current?.getHeld() === object) {
+                            graspRef.current.clear();
+                            onGraspChangeRef.current?.(null);
+                        }
+                        delete grippableObjectsRef.current[object.name];
+                        physicsRef.current?.removeObject(object);
+                        removeSceneObject(object);
+                        target.redraw();
+                    };
+                }
+
+                if (prop === 'addSceneObject') {
+                    // Load an object definition, rest it on the table and select it
+                    return async (definition) => {
+                        const object = await addSceneObject(target.scene, definition);
+                        if (definition.grippable !== false) {
+                            grippableObjectsRef.current[object.name] = object;
+                        }
+                        snapToTable(object);
+                        object.userData.initialPosition = object.position.toArray();
+                        physicsRef.current?.addObject(object);
+                        editorRef.current?.select(object);
+                        target.redraw();
+                        return object.name;
+                    };
+                }
+
+                if (prop === 'exportSceneObjects') {
+                    // Scene definition entries for the current layout
+                    return () => listSceneObjects(target.scene).map(exportSceneObject);
+                }
+
+                if (prop === 'setGhostJoints') {
+                    // Show a translucent copy of the robot at `values` ({ <joint>: value }), or hide it with null.
+                    // It is left out of captures and the camera preview.
+                    return (values) => {
+                        let ghost = ghostRef.current;
+                        if (!values) {
+                            if (ghost?.visible) {
+                                ghost.visible = false;
+                                target.redraw();
+                            }
+                            return;
+                        }
+                        if (!target.robot?.parent) return;
+
+                        if (!ghost || ghost.userData.source !== target.robot) {
+                            ghost?.removeFromParent();
+                            ghost = createGhostRobot(target.robot);
+                            target.robot.parent.add(ghost);
+                            ghostRef.current = ghost;
+                        }
+                        ghost.visible = true;
+                        Object.entries(values).forEach(([name, value]) => ghost.setJointValue(name, value));
+                        target.redraw();
+                    };
+                }
+
+                if (prop === 'updateGripping') {
+                    // Apply the grip/release logic for the current joint values right away
+                    // instead of waiting for the next animation frame
+                    return () => {
+                        if (updateGrippingRef.current) {
+                            updateGrippingRef.current();
+                        }
                     };
                 }
 
@@ -150,34 +544,22 @@ const UrdfViewer = React.forwardRef(({ urdfPath, onJointsLoaded, onCameraPoseCha
             };
 
             await waitForScene();
+            loadedSceneRef.current = null;
 
             // Setup viewer configuration
             viewer.up = '+Z';
             viewer.displayShadow = true;
             viewer.ambientColor = '#aaaaaa';
 
-            // Setup light
-            const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0);
-            directionalLight.position.set(10, 10, 10);
-            directionalLight.castShadow = false;
-            viewer.scene.add(directionalLight);
-
             // Clear any existing scene objects (for scene switching or React StrictMode)
             const toRemove = [];
             viewer.scene.traverse((child) => {
-                // Check if it's a Gaussian splat viewer (includes moon 'splat_*' and cat 'cat_splat_*')
-                const isSplatViewer = child.name?.includes('splat_') && 
-                                     (child.dispose !== undefined || child.userData?.gaussianViewer !== undefined);
-                
-                // Remove grippable objects (cube, cup, splats)
-                if (child.name === 'cube' || 
-                    child.name === 'cup' || 
-                    child.name?.startsWith('splat_') ||
-                    child.name?.startsWith('cat_splat_')) {
+                // Remove everything the scene definition added (objects, splats, lights)
+                if (child.userData?.sceneObject) {
                     toRemove.push({ 
                         object: child, 
                         parent: child.parent,
-                        isGaussianSplatViewer: isSplatViewer
+                        isGaussianSplatViewer: child.userData.gaussianViewer !== undefined
                     });
                 }
                 // Remove grid and axes helpers
@@ -189,6 +571,16 @@ const UrdfViewer = React.forwardRef(({ urdfPath, onJointsLoaded, onCameraPoseCha
                     toRemove.push({ object: child, parent: child.parent });
                 }
             });
+            // A held object is removed with the rest of the scene, and so is the physics world;
+            // nothing is grippable until the new scene's objects are loaded
+            if (graspRef.current?.getHeld()) {
+                graspRef.current.clear();
+                onGraspChangeRef.current?.(null);
+            }
+            grippableObjectsRef.current = {};
+            physicsRef.current?.dispose();
+            physicsRef.current = null;
+
             if (toRemove.length > 0) {
                 console.log(`Cleaning up ${toRemove.length} existing objects before loading new scene...`);
                 toRemove.forEach(({ object, parent, isGaussianSplatViewer }) => {
@@ -223,9 +615,24 @@ const UrdfViewer = React.forwardRef(({ urdfPath, onJointsLoaded, onCameraPoseCha
                 });
             }
             
-            // Add scene objects (grid, axes, cube, etc.) and store references
+            // Add the scene's lights and objects and store references
             const objects = await addSceneObjects(viewer.scene, sceneType);
             grippableObjectsRef.current = objects;
+
+            // Simulate the objects; the robot joins once its URDF is loaded
+            try {
+                const physics = await createPhysicsWorld({
+                    isHeld: (object) => graspRef.current?.getHeld() === object
+                });
+                listSceneObjects(viewer.scene).forEach(physics.addObject);
+                if (viewer.robot) {
+                    physics.setRobot(viewer.robot);
+                }
+                physicsRef.current = physics;
+            } catch (error) {
+                console.error('Failed to start physics, objects stay where they are placed and cannot be grasped:', error);
+            }
+            loadedSceneRef.current = sceneType;
             console.log('Grippable objects loaded:', Object.keys(objects).filter(k => objects[k]));
             console.log('Grippable object details:', Object.entries(objects).map(([key, obj]) => ({
                 key,
@@ -238,7 +645,7 @@ const UrdfViewer = React.forwardRef(({ urdfPath, onJointsLoaded, onCameraPoseCha
             // Debug: Check scene for duplicate objects
             const sceneObjects = [];
             viewer.scene.traverse((child) => {
-                if (child.name === 'cube' || child.name === 'cup') {
+                if (child.userData?.sceneObject) {
                     sceneObjects.push({ name: child.name, uuid: child.uuid, parent: child.parent?.type });
                 }
             });
@@ -290,49 +697,6 @@ const UrdfViewer = React.forwardRef(({ urdfPath, onJointsLoaded, onCameraPoseCha
                 );
             };
 
-            // Helper function to find gripper link in the robot
-            const findGripperLink = (robot) => {
-                let gripperLink = null;
-                robot.traverse((child) => {
-                    // Look for gripper-related links (adjust name pattern based on your URDF)
-                    if (child.name && (child.name.includes('gripper') || child.name.includes('jaw'))) {
-                        gripperLink = child;
-                    }
-                });
-                return gripperLink;
-            };
-
-            // Helper function to check if gripper is touching an object
-            const isGripperTouchingObject = (gripperLink, object) => {
-                if (!gripperLink || !object) return false;
-
-                // Get world positions
-                const gripperPos = new THREE.Vector3();
-                gripperLink.getWorldPosition(gripperPos);
-
-                const objectPos = new THREE.Vector3();
-                
-                // Ensure world matrix is up to date (important for DropInViewer objects)
-                if (object.updateMatrixWorld) {
-                    object.updateMatrixWorld(true);
-                }
-                
-                // Try to get world position
-                try {
-                    object.getWorldPosition(objectPos);
-                } catch {
-                    // Fallback to object position if getWorldPosition fails
-                    objectPos.copy(object.position);
-                }
-
-                // Simple distance-based collision detection
-                const distance = gripperPos.distanceTo(objectPos);
-                const threshold = 0.15; // Adjust this threshold based on your robot's size
-
-                // Return distance for debugging, or false if not touching
-                return distance < threshold ? distance : false;
-            };
-
             // Helper function to attach object to gripper
             const attachObjectToGripper = (gripperLink, object) => {
                 if (!gripperLink || !object) return;
@@ -463,178 +827,54 @@ const UrdfViewer = React.forwardRef(({ urdfPath, onJointsLoaded, onCameraPoseCha
                 console.log(`Detached ${object.name} from gripper. New parent:`, object.parent?.type);
             };
 
-            // Animation loop to check gripping conditions
-            const checkGrippingConditions = () => {
+            // Grip an object pinched between the closing jaws, release it when the gripper opens
+            if (!graspRef.current) {
+                graspRef.current = createGraspModel({
+                    getContacts: (object) => physicsRef.current?.getLinkContacts(object) || {},
+                    onGrasp: (object) => {
+                        console.log(`✊ Grasped ${object.name}`);
+                        attachObjectToGripper(viewer.robot.links[FIXED_JAW_LINK], object);
+                        onGraspChangeRef.current?.(object.name);
+                    },
+                    onRelease: (object) => {
+                        console.log(`✋ Released ${object.name}`);
+                        detachObjectFromGripper(object);
+                        onGraspChangeRef.current?.(null);
+                    }
+                });
+            }
+
+            const updateGripping = () => {
                 const robot = viewer.robot;
-                if (!robot || !robot.joints) {
-                    animationFrameRef.current = requestAnimationFrame(checkGrippingConditions);
+                const gripperJoint = robot?.joints?.[GRIPPER_JOINT];
+                if (!gripperJoint || !robot.links[FIXED_JAW_LINK] || !robot.links[MOVING_JAW_LINK]) {
                     return;
                 }
 
-                // Find gripper joint (adjust name based on your URDF)
                 if (!gripperJointRef.current) {
-                    for (const [name, joint] of Object.entries(robot.joints)) {
-                        // Look for "gripper" but exclude fixed joints like "gripper_frame_joint"
-                        // The actual gripper joint should be revolute, not fixed
-                        if ((name.includes('gripper') || name.includes('jaw')) && 
-                            joint._jointType !== 'fixed' &&
-                            !name.includes('frame')) {
-                            gripperJointRef.current = { name, joint };
-                            console.log(`Found gripper joint: ${name}, type: ${joint._jointType}, limits: [${joint.limit.lower}, ${joint.limit.upper}]`);
-                            break;
-                        }
-                    }
-                    // Debug: if not found, list all joints
-                    if (!gripperJointRef.current) {
-                        console.log('Available joints:', Object.keys(robot.joints));
-                    }
+                    gripperJointRef.current = { name: GRIPPER_JOINT, joint: gripperJoint };
                 }
 
-                if (gripperJointRef.current) {
-                    const gripperJoint = gripperJointRef.current.joint;
-                    const gripperValue = gripperJoint.jointValue?.[0] || 0;
+                const gripperValue = gripperJoint.jointValue?.[0] || 0;
+                const objects = Object.values(grippableObjectsRef.current).filter(Boolean);
+                graspRef.current.update(gripperValue, objects);
+            };
+            updateGrippingRef.current = updateGripping;
 
-                    // Gripper range: -0.174533 (closed) to 1.74533 (open)
-                    // Consider gripper closed when near the lower limit
-                    const gripperClosedThreshold = -0.1; // Adjust this value as needed
-                    const isGripperClosed = gripperValue < gripperClosedThreshold;
-                    
-                    // Only log when gripper state changes
-                    if (Math.abs(gripperValue - lastGripperValueRef.current.value) > 0.01 || 
-                        isGripperClosed !== lastGripperValueRef.current.closed) {
-                        console.log(`Gripper value: ${gripperValue.toFixed(4)}, Closed: ${isGripperClosed}`);
-                        lastGripperValueRef.current.value = gripperValue;
-                        lastGripperValueRef.current.closed = isGripperClosed;
-                    }
+            // Animation loop: grip/release checks, then the physics step (paused while editing the scene)
+            let lastFrameTime = null;
+            const animate = (time) => {
+                updateGripping();
 
-                    // Find gripper link in the scene
-                    const gripperLink = findGripperLink(robot);
-
-                    if (isGripperClosed && gripperLink) {
-                        // Check if we're already gripping something
-                        if (!grippedObjectRef.current) {
-                            // Check each grippable object
-                            let debugDistances = [];
-                            for (const [key, object] of Object.entries(grippableObjectsRef.current)) {
-                                if (object) {
-                                    const result = isGripperTouchingObject(gripperLink, object);
-                                    if (result !== false) {
-                                        console.log(`Distance to ${object.name} (${key}): ${result.toFixed(4)} - GRIPPING!`);
-                                        
-                                        // Debug: Count objects before gripping and check structure
-                                        const beforeCount = { cube: 0, cup: 0, cubeUUIDs: [], cupUUIDs: [] };
-                                        const sceneStructure = [];
-                                        viewer.scene.traverse((child) => {
-                                            if (child.name === 'cube') {
-                                                beforeCount.cube++;
-                                                beforeCount.cubeUUIDs.push(child.uuid);
-                                                sceneStructure.push({
-                                                    name: 'cube',
-                                                    uuid: child.uuid,
-                                                    type: child.type,
-                                                    parent: child.parent?.type,
-                                                    hasGeometry: child.geometry !== undefined,
-                                                    childCount: child.children?.length || 0
-                                                });
-                                            }
-                                            if (child.name === 'cup') {
-                                                beforeCount.cup++;
-                                                beforeCount.cupUUIDs.push(child.uuid);
-                                                sceneStructure.push({
-                                                    name: 'cup',
-                                                    uuid: child.uuid,
-                                                    type: child.type,
-                                                    parent: child.parent?.type,
-                                                    hasGeometry: child.geometry !== undefined,
-                                                    childCount: child.children?.length || 0
-                                                });
-                                            }
-                                        });
-                                        console.log('Objects in scene BEFORE grip:', beforeCount);
-                                        console.log('Scene structure BEFORE grip:', sceneStructure);
-                                        console.log('Object to grip:', {
-                                            name: object.name,
-                                            uuid: object.uuid,
-                                            type: object.type,
-                                            parent: object.parent?.type,
-                                            childCount: object.children?.length || 0
-                                        });
-                                        
-                                        attachObjectToGripper(gripperLink, object);
-                                        grippedObjectRef.current = object;
-                                        
-                                        // Debug: Count objects after gripping
-                                        const afterCount = { cube: 0, cup: 0, cubeUUIDs: [], cupUUIDs: [] };
-                                        const afterStructure = [];
-                                        viewer.scene.traverse((child) => {
-                                            if (child.name === 'cube') {
-                                                afterCount.cube++;
-                                                afterCount.cubeUUIDs.push(child.uuid);
-                                                afterStructure.push({
-                                                    name: 'cube',
-                                                    uuid: child.uuid,
-                                                    type: child.type,
-                                                    parent: child.parent?.type,
-                                                    hasGeometry: child.geometry !== undefined
-                                                });
-                                            }
-                                            if (child.name === 'cup') {
-                                                afterCount.cup++;
-                                                afterCount.cupUUIDs.push(child.uuid);
-                                                afterStructure.push({
-                                                    name: 'cup',
-                                                    uuid: child.uuid,
-                                                    type: child.type,
-                                                    parent: child.parent?.type,
-                                                    hasGeometry: child.geometry !== undefined
-                                                });
-                                            }
-                                        });
-                                        console.log('Objects in scene AFTER grip:', afterCount);
-                                        console.log('Scene structure AFTER grip:', afterStructure);
-                                        console.log('Gripped object:', {
-                                            name: object.name,
-                                            uuid: object.uuid,
-                                            type: object.type,
-                                            parent: object.parent?.type
-                                        });
-                                        
-                                        break; // Only grip one object at a time
-                                    } else {
-                                        // Get actual distance for debugging
-                                        const gripperPos = new THREE.Vector3();
-                                        gripperLink.getWorldPosition(gripperPos);
-                                        const objectPos = new THREE.Vector3();
-                                        
-                                        // Update world matrix and get position safely
-                                        if (object.updateMatrixWorld) {
-                                            object.updateMatrixWorld(true);
-                                        }
-                                        try {
-                                            object.getWorldPosition(objectPos);
-                                        } catch {
-                                            objectPos.copy(object.position);
-                                        }
-                                        
-                                        const actualDist = gripperPos.distanceTo(objectPos);
-                                        debugDistances.push(`${key}(${object.name}): ${actualDist.toFixed(4)}`);
-                                    }
-                                }
-                            }
-                            if (debugDistances.length > 0 && Math.random() < 0.05) { // Log occasionally to avoid spam
-                                console.log('Gripper closed but not touching. Distances:', debugDistances.join(', '));
-                            }
-                        }
-                    } else {
-                        // Gripper is open, release any gripped object
-                        if (grippedObjectRef.current) {
-                            detachObjectFromGripper(grippedObjectRef.current);
-                            grippedObjectRef.current = null;
-                        }
+                const physics = physicsRef.current;
+                if (physics && !editorRef.current && lastFrameTime !== null) {
+                    if (physics.step((time - lastFrameTime) / 1000)) {
+                        viewer.redraw();
                     }
                 }
+                lastFrameTime = time;
 
-                animationFrameRef.current = requestAnimationFrame(checkGrippingConditions);
+                animationFrameRef.current = requestAnimationFrame(animate);
             };
 
             // Event listener for when URDF is loaded
@@ -663,8 +903,11 @@ const UrdfViewer = React.forwardRef(({ urdfPath, onJointsLoaded, onCameraPoseCha
                         onJointsLoaded(viewer.robot.joints);
                     }
 
-                    // Start gripping logic animation loop
-                    checkGrippingConditions();
+                    // Collide the links with the scene objects
+                    physicsRef.current?.setRobot(r);
+
+                    // Start the gripping and physics animation loop
+                    animationFrameRef.current = requestAnimationFrame(animate);
                 }
             };
 
@@ -683,22 +926,183 @@ const UrdfViewer = React.forwardRef(({ urdfPath, onJointsLoaded, onCameraPoseCha
                 if (animationFrameRef.current) {
                     cancelAnimationFrame(animationFrameRef.current);
                 }
-                
+
                 // Clean up gripped object reference
-                if (grippedObjectRef.current) {
-                    grippedObjectRef.current = null;
-                }
+                graspRef.current?.clear();
             };
         };
 
         setupViewer();
     }, [urdfPath, onJointsLoaded, onCameraPoseChange, sceneType]);
 
+    useEffect(() => {
+        transformModeRef.current = transformMode;
+        onEditorSelectRef.current = onEditorSelect;
+        onGraspChangeRef.current = onGraspChange;
+        ikTargetModeRef.current = ikTargetMode;
+        onIkTargetChangeRef.current = onIkTargetChange;
+        editorRef.current?.setMode(transformMode);
+        ikTargetRef.current?.setMode(ikTargetMode);
+    });
+
+    // Scene editor: recreated per scene so no selection survives a scene switch
+    useEffect(() => {
+        const viewer = internalRef.current;
+        if (!editMode || !viewer?.scene || !viewer.camera || !viewer.renderer) return;
+
+        // Edit the configured poses, not a randomized draw
+        resetRandomization({
+            scene: viewer.scene,
+            robot: viewer.robot,
+            grippableObjects: grippableObjectsRef.current
+        });
+
+        const editor = createSceneEditor(viewer, {
+            mode: transformModeRef.current,
+            onSelect: (object) => onEditorSelectRef.current?.(object ? object.name : null)
+        });
+        editorRef.current = editor;
+
+        return () => {
+            editor.dispose();
+            editorRef.current = null;
+            onEditorSelectRef.current?.(null);
+        };
+    }, [editMode, sceneType]);
+
+    // End-effector target gizmo, starting at the gripper frame
+    useEffect(() => {
+        const viewer = internalRef.current;
+        if (!ikTarget || !viewer?.scene || !viewer.camera || !viewer.renderer || !viewer.robot) return;
+
+        const target = createIkTarget(viewer, {
+            pose: getEndEffectorPose(viewer.robot),
+            mode: ikTargetModeRef.current,
+            onChange: (pose) => onIkTargetChangeRef.current?.(pose)
+        });
+        ikTargetRef.current = target;
+
+        return () => {
+            target.dispose();
+            ikTargetRef.current = null;
+        };
+    }, [ikTarget]);
+
+    // Free the physics world on unmount
+    useEffect(() => {
+        return () => {
+            physicsRef.current?.dispose();
+            physicsRef.current = null;
+        };
+    }, []);
+
+    // Release the capture render targets on unmount
+    useEffect(() => {
+        const captureTargets = captureTargetsRef.current;
+        return () => {
+            captureTargets.forEach(({ renderTarget, depthPass, segmentationTarget }) => {
+                renderTarget.dispose();
+                depthPass.dispose();
+                segmentationTarget.dispose();
+            });
+            captureTargets.clear();
+        };
+    }, []);
+
+    // Picture-in-picture view: render the camera offscreen and copy it into the overlay canvas
+    const pipHeight = pipCamera ? Math.round(PIP_WIDTH * (pipCamera.height || 3) / (pipCamera.width || 4)) : 0;
+
+    useEffect(() => {
+        if (!pipCamera || !showPip) return;
+
+        const renderTarget = createColorTarget(PIP_WIDTH, pipHeight);
+        let frameId = null;
+        let lastRender = 0;
+
+        const renderPip = (time) => {
+            frameId = requestAnimationFrame(renderPip);
+            if (time - lastRender < PIP_INTERVAL_MS) return;
+            lastRender = time;
+
+            const viewer = internalRef.current;
+            const canvas = pipCanvasRef.current;
+            if (!viewer || !viewer.renderer || !viewer.robot || !canvas) return;
+
+            const camera = createRigCamera(pipCamera, viewer.robot, {
+                fov: viewer.camera.fov,
+                width: PIP_WIDTH,
+                height: pipHeight,
+                near: viewer.camera.near,
+                far: viewer.camera.far
+            });
+            if (!camera) return;
+
+            // Same white background as the captures
+            const originalClearColor = new THREE.Color();
+            viewer.renderer.getClearColor(originalClearColor);
+            const originalClearAlpha = viewer.renderer.getClearAlpha();
+            viewer.renderer.setClearColor(0xffffff, 1);
+
+            // Like the captures, the preview leaves out the ghost robot
+            const ghost = ghostRef.current;
+            const ghostVisible = ghost?.visible;
+            if (ghost) ghost.visible = false;
+
+            const imageData = renderToImageData(viewer.renderer, viewer.scene, camera, renderTarget);
+            viewer.renderer.setClearColor(originalClearColor, originalClearAlpha);
+            if (ghost) ghost.visible = ghostVisible;
+            canvas.getContext('2d').putImageData(imageData, 0, 0);
+        };
+        frameId = requestAnimationFrame(renderPip);
+
+        return () => {
+            cancelAnimationFrame(frameId);
+            renderTarget.dispose();
+        };
+    }, [pipCamera, pipHeight, showPip]);
+
     return (
-        <urdf-viewer
-            ref={internalRef}
-            style={{ width: '100%', height: '100%', display: 'block' }}
-        ></urdf-viewer>
+        <div style={{ position: 'relative', width: '100%', height: '100%' }}>
+            <urdf-viewer
+                ref={internalRef}
+                style={{ width: '100%', height: '100%', display: 'block' }}
+            ></urdf-viewer>
+
+            {/* Picture-in-picture camera view */}
+            {pipCamera && (
+                <div style={{
+                    position: 'absolute',
+                    right: '12px',
+                    bottom: '12px',
+                    background: '#fff',
+                    borderRadius: '6px',
+                    boxShadow: '0 2px 8px rgba(0,0,0,0.3)',
+                    overflow: 'hidden',
+                    fontSize: '12px'
+                }}>
+                    <div
+                        onClick={() => setShowPip(!showPip)}
+                        style={{
+                            padding: '4px 8px',
+                            background: '#333',
+                            color: '#fff',
+                            cursor: 'pointer',
+                            userSelect: 'none'
+                        }}
+                    >
+                        {showPip ? '▼' : '▶'} {pipCamera.name} camera
+                    </div>
+                    {showPip && (
+                        <canvas
+                            ref={pipCanvasRef}
+                            width={PIP_WIDTH}
+                            height={pipHeight}
+                            style={{ display: 'block' }}
+                        />
+                    )}
+                </div>
+            )}
+        </div>
     );
 });
 
@@ -2,10 +2,9 @@ import * as THREE from 'three';
 import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
 import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
 import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader.js';
+import * as GaussianSplats3D from '@mkkellogg/gaussian-splats-3d';
 import { GaussianSplatPLYLoader } from '../utils/GaussianSplatPLYLoader.js';
-import { addTableScene } from './tableScene.js';
-import { addMoonScene } from './moonScene.js';
-import { addCatScene } from './catScene.js';
+import { getScene } from './scenes.js';
 
 /**
  * Adds a grid helper to the scene
@@ -243,18 +242,227 @@ export function addPLYModel(scene, path, { position = [0, 0, 0], scale = 1, rota
 }
 
 /**
- * Main scene loader - delegates to specific scene files
- * This is the main entry point for loading scenes
+ * Adds a primitive shape to the scene
  * @param {THREE.Scene} scene - The Three.js scene
- * @param {string} sceneType - The scene type ('table', 'moon', or 'cat')
- * @returns {Object} References to grippable objects
+ * @param {Object} options - Primitive options
+ * @param {string} options.type - 'box', 'sphere' or 'cylinder'
+ * @param {number|number[]} options.size - Box side length, or [x, y, z] edge lengths
+ * @param {number} options.radius - Sphere/cylinder radius
+ * @param {number} options.height - Cylinder height
+ * @param {number[]} options.position - [x, y, z] position
+ * @param {number[]} options.rotation - [x, y, z] rotation in radians
+ * @param {number|string} options.color - Hex color
+ * @returns {THREE.Mesh} The primitive
  */
-export async function addSceneObjects(scene, sceneType = 'table') {
-    if (sceneType === 'moon') {
-        return await addMoonScene(scene);
-    } else if (sceneType === 'cat') {
-        return await addCatScene(scene);
+export function addPrimitive(scene, { type = 'box', size = 0.05, radius = 0.025, height = 0.05, position = [0, 0, 0], rotation = [0, 0, 0], color = 0xff6b6b } = {}) {
+    if (type === 'box' && !Array.isArray(size)) {
+        const cube = addCube(scene, { position, size, color });
+        cube.rotation.set(rotation[0], rotation[1], rotation[2]);
+        return cube;
+    }
+
+    let geometry;
+    if (type === 'box') {
+        geometry = new THREE.BoxGeometry(size[0], size[1], size[2]);
+    } else if (type === 'sphere') {
+        geometry = new THREE.SphereGeometry(radius, 32, 16);
+    } else if (type === 'cylinder') {
+        geometry = new THREE.CylinderGeometry(radius, radius, height, 32);
     } else {
-        return await addTableScene(scene);
+        throw new Error(`Unknown primitive type "${type}"`);
+    }
+
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({ color }));
+    mesh.position.set(position[0], position[1], position[2]);
+    mesh.rotation.set(rotation[0], rotation[1], rotation[2]);
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    scene.add(mesh);
+    return mesh;
+}
+
+/**
+ * Loads and adds a Gaussian splat rendered with GaussianSplats3D
+ *
+ * Each splat gets its own DropInViewer, wrapped in a Group so it can be moved
+ * (and gripped) without breaking the viewer's internal state.
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {string} path - Path to the PLY file
+ * @param {Object} options - Splat options
+ * @param {number[]} options.position - [x, y, z] position of the wrapping Group
+ * @param {number[]} options.scale - [x, y, z] scale applied to the splat data
+ * @param {number[]} options.rotation - Quaternion [x, y, z, w] applied to the splat data
+ * @returns {Promise<THREE.Group>} The Group holding the viewer
+ */
+export async function addSplatModel(scene, path, { position = [0, 0, 0], scale = [1, 1, 1], rotation = [0, 0, 0, 1] } = {}) {
+    const viewer = new GaussianSplats3D.DropInViewer({
+        'gpuAcceleratedSort': false, // Disable for compatibility
+        'halfPrecisionCovariancesOnGPU': true,
+        'sharedMemoryForWorkers': false,
+        'integerBasedSort': false,
+        'dynamicScene': true,
+        'webXRMode': GaussianSplats3D.WebXRMode.None
+    });
+
+    // Position/rotation/scale here affect the internal splat data
+    await viewer.addSplatScene(path, {
+        'position': [0, 0, 0],  // Keep internal data centered
+        'rotation': rotation,
+        'scale': scale,
+        'splatAlphaRemovalThreshold': 5
+    });
+
+    const viewerGroup = new THREE.Group();
+    viewerGroup.add(viewer);
+    viewerGroup.position.set(position[0], position[1], position[2]);
+    viewerGroup.userData.gaussianViewer = viewer; // Store for disposal
+    scene.add(viewerGroup);
+    return viewerGroup;
+}
+
+/**
+ * Adds a light to the scene
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {Object} options - Light options
+ * @param {string} options.type - 'directional', 'point', 'spot', 'ambient' or 'hemisphere'
+ * @param {number|string} options.color - Hex color (sky color for hemisphere lights)
+ * @param {number|string} options.groundColor - Ground color of hemisphere lights
+ * @param {number} options.intensity - Light intensity
+ * @param {number[]} options.position - [x, y, z] position (direction towards the origin for directional lights)
+ * @param {boolean} options.castShadow - Whether the light casts shadows
+ * @returns {THREE.Light} The light
+ */
+export function addLight(scene, { type = 'directional', color = 0xffffff, groundColor = 0x444444, intensity = 1, position = [10, 10, 10], castShadow = false } = {}) {
+    let light;
+    if (type === 'directional') {
+        light = new THREE.DirectionalLight(color, intensity);
+    } else if (type === 'point') {
+        light = new THREE.PointLight(color, intensity);
+    } else if (type === 'spot') {
+        light = new THREE.SpotLight(color, intensity);
+    } else if (type === 'ambient') {
+        light = new THREE.AmbientLight(color, intensity);
+    } else if (type === 'hemisphere') {
+        light = new THREE.HemisphereLight(color, groundColor, intensity);
+    } else {
+        throw new Error(`Unknown light type "${type}"`);
+    }
+
+    light.position.set(position[0], position[1], position[2]);
+    light.castShadow = castShadow;
+    scene.add(light);
+    return light;
+}
+
+// Object loaders by the `type` of a scene definition's objects
+const OBJECT_LOADERS = {
+    box: (scene, options) => addPrimitive(scene, options),
+    sphere: (scene, options) => addPrimitive(scene, options),
+    cylinder: (scene, options) => addPrimitive(scene, options),
+    obj: (scene, { path, ...options }) => addOBJModel(scene, path, options),
+    fbx: (scene, { path, ...options }) => addFBXModel(scene, path, options),
+    ply: (scene, { path, ...options }) => addPLYModel(scene, path, options),
+    splat: (scene, { path, ...options }) => addSplatModel(scene, path, options)
+};
+
+/**
+ * Loads one object of a scene definition and marks it as a scene object
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {Object} objectDefinition - Entry of a scene definition's `objects`
+ * @param {number} index - Position in `objects` (for the default name)
+ * @returns {Promise<THREE.Object3D>} The loaded object, named after the definition
+ */
+export async function addSceneObject(scene, objectDefinition, index = 0) {
+    const load = OBJECT_LOADERS[objectDefinition.type];
+    if (!load) {
+        throw new Error(`Unknown object type "${objectDefinition.type}"`);
+    }
+
+    const object = await load(scene, objectDefinition);
+    object.name = objectDefinition.name || `${objectDefinition.type}_${index}`;
+    object.userData.sceneObject = true;
+    object.userData.sceneDefinition = objectDefinition; // What it was loaded from (for the scene editor)
+    object.userData.initialPosition = object.position.toArray();
+    return object;
+}
+
+/**
+ * Removes a scene object and frees its GPU resources
+ * @param {THREE.Object3D} object - Object added by addSceneObject
+ */
+export function removeSceneObject(object) {
+    object.parent?.remove(object);
+
+    if (object.userData.gaussianViewer) {
+        object.userData.gaussianViewer.dispose();
+        return;
     }
+
+    object.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+            (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => material.dispose());
+        }
+    });
+}
+
+/**
+ * Main scene loader - builds a scene from its definition in scenes/
+ * This is the main entry point for loading scenes. Everything it adds is
+ * marked with `userData.sceneObject` so the viewer can clear it on scene switches.
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {string} sceneType - The scene id (file name in scenes/)
+ * @returns {Object} References to grippable objects, keyed by object name
+ */
+export async function addSceneObjects(scene, sceneType) {
+    const definition = getScene(sceneType);
+    console.log(`Loading scene "${definition.id}" (${definition.objects.length} objects)...`);
+
+    definition.lights.forEach((lightDefinition, index) => {
+        const light = addLight(scene, lightDefinition);
+        light.name = lightDefinition.name || `light_${index}`;
+        light.userData.sceneObject = true;
+    });
+
+    const grippableObjects = {};
+    for (const [index, objectDefinition] of definition.objects.entries()) {
+        try {
+            const object = await addSceneObject(scene, objectDefinition, index);
+            if (objectDefinition.grippable !== false) {
+                grippableObjects[object.name] = object;
+            }
+        } catch (error) {
+            console.error(`Error loading object ${index} of scene "${definition.id}":`, error);
+        }
+    }
+
+    console.log('Grippable scene objects:', Object.keys(grippableObjects));
+    return grippableObjects;
+}
+
+/**
+ * Capture cameras declared by a scene
+ * @param {string} sceneType - The scene id
+ * @returns {Object[]} Named cameras with pose, FOV and resolution
+ */
+export function getSceneCameras(sceneType) {
+    return getScene(sceneType).cameras;
+}
+
+/**
+ * Domain randomization ranges declared by a scene
+ * @param {string} sceneType - The scene id
+ * @returns {Object} Randomization config (see utils/domainRandomization.js)
+ */
+export function getSceneRandomization(sceneType) {
+    return getScene(sceneType).randomization;
+}
+
+/**
+ * Image generation settings declared by a scene
+ * @param {string} sceneType - The scene id
+ * @returns {Object} { firstImage, batchImages, referenceImage, sequential }
+ */
+export function getSceneGeneration(sceneType) {
+    return getScene(sceneType).generation;
 }
@@ -0,0 +1,67 @@
+import { WRIST_CAMERA } from './wristCamera.js';
+
+/**
+ * Scene registry
+ *
+ * Every scenes/<id>.json at the repository root is a scene (see README.md in this
+ * folder for the format); the file name is its scene type. Files are picked up at
+ * build time, so adding a scene needs no code changes. The server discovers the
+ * same folder (server/scenes.js).
+ */
+
+const sceneFiles = import.meta.glob('../../../scenes/*.json', { eager: true, import: 'default' });
+
+// Cameras a scene can list by name instead of declaring them
+const SHARED_CAMERAS = {
+    [WRIST_CAMERA.name]: WRIST_CAMERA
+};
+
+const resolveCamera = (camera, sceneId) => {
+    if (typeof camera !== 'string') return camera;
+    if (!SHARED_CAMERAS[camera]) {
+        console.warn(`Scene "${sceneId}" lists unknown shared camera "${camera}"`);
+    }
+    return SHARED_CAMERAS[camera];
+};
+
+/**
+ * All scene definitions, in their declared `order` (then by id)
+ * Each has its `id` plus the JSON fields with defaults filled in
+ */
+export const SCENES = Object.entries(sceneFiles)
+    .map(([file, definition]) => {
+        const id = file.split('/').pop().replace(/\.json$/, '');
+        return {
+            ...definition,
+            id,
+            name: definition.name || id,
+            objects: definition.objects || [],
+            lights: definition.lights || [],
+            cameras: (definition.cameras || []).map(camera => resolveCamera(camera, id)).filter(Boolean),
+            randomization: definition.randomization || {},
+            generation: definition.generation || {}
+        };
+    })
+    .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.id.localeCompare(b.id));
+
+// Scene shown when the app opens
+export const DEFAULT_SCENE_TYPE = SCENES[0]?.id;
+
+/**
+ * Look up a scene definition
+ * @param {string} sceneType - Scene id (file name in scenes/)
+ * @returns {Object} The scene, or the default scene for unknown ids
+ */
+export function getScene(sceneType) {
+    return SCENES.find(scene => scene.id === sceneType) || SCENES[0];
+}
+
+/**
+ * A scene's JSON exactly as written (shared cameras by name, no defaults filled in)
+ * @param {string} sceneType - Scene id
+ * @returns {Object|undefined} The file contents, undefined for unknown ids
+ */
+export function getSceneFile(sceneType) {
+    const file = Object.keys(sceneFiles).find(path => path.endsWith(`/${sceneType}.json`));
+    return file ? sceneFiles[file] : undefined;
+}
@@ -0,0 +1,18 @@
+/**
+ * Eye-in-hand camera mounted on the SO101 gripper (like the real wrist cam)
+ *
+ * `attachTo` names the URDF link the camera is rigidly mounted on; position and
+ * rotation (Euler XYZ, radians) are the mounting offset in that link's frame.
+ * The camera looks along its local -Z, which for `gripper_link` points from the
+ * wrist towards the fingertips.
+ */
+export const WRIST_CAMERA = {
+    name: 'wrist',
+    attachTo: 'gripper_link',
+    position: { x: 0, y: -0.035, z: -0.03 },
+    rotation: { x: 0.3, y: 0, z: 0 },
+    fov: 90,
+    near: 0.01, // The fingertips are only a few centimeters away
+    width: 640,
+    height: 480
+};
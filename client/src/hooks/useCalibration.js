@@ -0,0 +1,195 @@
+import { useState, useEffect, useCallback } from 'react';
+import { defaultJointCalibration } from '../utils/calibration';
+import { listCalibrations, loadCalibration, saveCalibration, deleteCalibration } from '../utils/calibrationApi';
+
+// The last loaded or saved profile is loaded again on the next visit
+const PROFILE_STORAGE_KEY = 'teleop.calibrationProfile';
+
+const rememberProfile = (name) => {
+    try {
+        if (name) {
+            localStorage.setItem(PROFILE_STORAGE_KEY, name);
+        } else {
+            localStorage.removeItem(PROFILE_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.warn('Could not remember the calibration profile:', error);
+    }
+};
+
+const storedProfile = () => {
+    try {
+        return localStorage.getItem(PROFILE_STORAGE_KEY);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Hook for the leader-to-URDF calibration
+ *
+ * Holds the per-joint calibration applied to WebSocket teleop messages (see
+ * utils/calibration.js), the latest raw leader values for the live preview, a
+ * min/max sweep recorder, and the named profiles saved on the server.
+ *
+ * @param {Object} joints - Joint configuration object
+ * @returns {Object} Calibration, live values, sweep state, profiles and their actions
+ */
+export const useCalibration = (joints) => {
+    const [jointCalibration, setJointCalibration] = useState({}); // { <joint>: calibration }, missing joints use the default
+    const [liveActions, setLiveActions] = useState(null); // Latest raw leader values
+    const [sweep, setSweep] = useState(null); // { <joint>: { min, max } } while recording, else null
+    const [profiles, setProfiles] = useState([]);
+    const [profileName, setProfileName] = useState(''); // Name to save under; set by loading a profile
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Saved profiles, and the one used last time
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadProfiles = async () => {
+            try {
+                const names = await listCalibrations();
+                if (cancelled) return;
+                setProfiles(names);
+
+                const last = storedProfile();
+                if (last && names.includes(last)) {
+                    const profile = await loadCalibration(last);
+                    if (cancelled) return;
+                    setJointCalibration(profile.joints);
+                    setProfileName(profile.name);
+                    console.log(`🎚️ Loaded calibration profile ${profile.name}`);
+                }
+            } catch (err) {
+                console.warn('Could not load calibration profiles:', err);
+            }
+        };
+
+        loadProfiles();
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    // Feed raw leader values (before calibration) for the preview and the sweep
+    const observe = useCallback((actions) => {
+        if (!actions) return;
+        setLiveActions(actions);
+        setSweep(current => {
+            if (!current) return current;
+            const next = { ...current };
+            Object.entries(actions).forEach(([name, value]) => {
+                const range = next[name];
+                next[name] = range
+                    ? { min: Math.min(range.min, value), max: Math.max(range.max, value) }
+                    : { min: value, max: value };
+            });
+            return next;
+        });
+    }, []);
+
+    const getJoint = useCallback((name) => jointCalibration[name] || defaultJointCalibration(name), [jointCalibration]);
+
+    const updateJoint = useCallback((name, changes) => {
+        setJointCalibration(current => ({
+            ...current,
+            [name]: { ...(current[name] || defaultJointCalibration(name)), ...changes }
+        }));
+    }, []);
+
+    const resetJoint = useCallback((name) => {
+        setJointCalibration(current => ({ ...current, [name]: defaultJointCalibration(name) }));
+    }, []);
+
+    const resetAll = useCallback(() => {
+        setJointCalibration({});
+    }, []);
+
+    // Record the extremes of every joint while the leader is swept through its range
+    const startSweep = useCallback(() => {
+        setSweep({});
+    }, []);
+
+    const cancelSweep = useCallback(() => {
+        setSweep(null);
+    }, []);
+
+    // Use the recorded extremes as input ranges; joints that didn't move keep theirs
+    const finishSweep = useCallback(() => {
+        if (!sweep) return;
+        setJointCalibration(current => {
+            const next = { ...current };
+            Object.entries(sweep).forEach(([name, { min, max }]) => {
+                if (max > min) {
+                    next[name] = { ...(current[name] || defaultJointCalibration(name)), inputMin: min, inputMax: max };
+                }
+            });
+            return next;
+        });
+        setSweep(null);
+    }, [sweep]);
+
+    const runRequest = useCallback(async (operation) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await operation();
+        } catch (err) {
+            console.error('Calibration request failed:', err);
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    }, []);
+
+    const loadProfile = useCallback((name) => runRequest(async () => {
+        const profile = await loadCalibration(name);
+        setJointCalibration(profile.joints);
+        setProfileName(profile.name);
+        rememberProfile(profile.name);
+        console.log(`🎚️ Loaded calibration profile ${profile.name}`);
+    }), [runRequest]);
+
+    // Save every joint (defaults included) so the profile doesn't depend on future defaults
+    const saveProfile = useCallback(() => runRequest(async () => {
+        const name = profileName.trim();
+        const calibration = Object.fromEntries(
+            [...new Set([...Object.keys(joints), ...Object.keys(jointCalibration)])].map(joint => [joint, getJoint(joint)])
+        );
+        const profile = await saveCalibration(name, calibration);
+        setProfiles(current => (current.includes(profile.name) ? current : [...current, profile.name].sort()));
+        rememberProfile(profile.name);
+        console.log(`💾 Saved calibration profile ${profile.name}`);
+    }), [runRequest, profileName, joints, jointCalibration, getJoint]);
+
+    const deleteProfile = useCallback((name) => runRequest(async () => {
+        await deleteCalibration(name);
+        setProfiles(current => current.filter(profile => profile !== name));
+        if (storedProfile() === name) rememberProfile(null);
+        console.log(`🗑️ Deleted calibration profile ${name}`);
+    }), [runRequest]);
+
+    return {
+        jointCalibration,
+        getJoint,
+        updateJoint,
+        resetJoint,
+        resetAll,
+        liveActions,
+        observe,
+        sweep,
+        startSweep,
+        finishSweep,
+        cancelSweep,
+        profiles,
+        profileName,
+        setProfileName,
+        loadProfile,
+        saveProfile,
+        deleteProfile,
+        busy,
+        error
+    };
+};
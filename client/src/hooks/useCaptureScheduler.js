@@ -0,0 +1,144 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+// Window used to measure achieved capture and teleop message rates
+const RATE_WINDOW_MS = 2000;
+
+const measureRate = (times, now) => {
+    while (times.length > 0 && now - times[0] > RATE_WINDOW_MS) {
+        times.shift();
+    }
+    return times.length / (RATE_WINDOW_MS / 1000);
+};
+
+/**
+ * Hook that decides when capture frames are taken
+ *
+ * Modes:
+ *  - 'interval': capture at a fixed rate (rateHz)
+ *  - 'teleop':   capture on every Nth incoming teleop `actions` message (everyN)
+ *  - 'manual':   capture only when captureNow() is called
+ *
+ * @param {Function} captureFrame - Called with ({ teleopTimestamp }) for every frame to capture
+ * @param {Object} options
+ * @param {string} options.mode - 'interval', 'teleop' or 'manual'
+ * @param {number} options.rateHz - Capture rate in interval mode
+ * @param {number} options.everyN - Capture every Nth teleop message in teleop mode
+ * @returns {Object} Scheduler state and control functions
+ */
+export const useCaptureScheduler = (captureFrame, { mode = 'interval', rateHz = 1, everyN = 1 } = {}) => {
+    const [isRunning, setIsRunning] = useState(false);
+    const [achievedFps, setAchievedFps] = useState(0);
+    const [teleopRate, setTeleopRate] = useState(0);
+
+    const captureFrameRef = useRef(captureFrame);
+    const optionsRef = useRef({ mode, rateHz, everyN });
+    const runningRef = useRef(false);
+    const intervalRef = useRef(null);
+    const statsIntervalRef = useRef(null);
+    const messageCountRef = useRef(0);
+    const lastTeleopTimestampRef = useRef(null);
+    const captureTimesRef = useRef([]);
+    const messageTimesRef = useRef([]);
+
+    // Always call the latest callback/options without restarting the schedule
+    useEffect(() => {
+        captureFrameRef.current = captureFrame;
+        optionsRef.current = { mode, rateHz, everyN };
+    });
+
+    const capture = useCallback((teleopTimestamp = lastTeleopTimestampRef.current) => {
+        captureTimesRef.current.push(performance.now());
+        captureFrameRef.current({ teleopTimestamp });
+    }, []);
+
+    const updateStats = useCallback(() => {
+        const now = performance.now();
+        setAchievedFps(measureRate(captureTimesRef.current, now));
+        setTeleopRate(measureRate(messageTimesRef.current, now));
+    }, []);
+
+    const start = useCallback(() => {
+        if (runningRef.current) return;
+
+        const { mode: currentMode, rateHz: currentRate } = optionsRef.current;
+        runningRef.current = true;
+        messageCountRef.current = 0;
+        captureTimesRef.current = [];
+        setIsRunning(true);
+
+        if (currentMode === 'interval') {
+            // Capture immediately, then at the configured rate
+            capture();
+            intervalRef.current = setInterval(() => capture(), 1000 / Math.max(currentRate, 0.01));
+        }
+
+        statsIntervalRef.current = setInterval(updateStats, 500);
+    }, [capture, updateStats]);
+
+    const stop = useCallback(() => {
+        runningRef.current = false;
+        if (intervalRef.current) {
+            clearInterval(intervalRef.current);
+            intervalRef.current = null;
+        }
+        if (statsIntervalRef.current) {
+            clearInterval(statsIntervalRef.current);
+            statsIntervalRef.current = null;
+        }
+        setIsRunning(false);
+        setAchievedFps(0);
+    }, []);
+
+    // Feed every parsed teleop message here (after its joint values were applied)
+    const onTeleopMessage = useCallback((data) => {
+        lastTeleopTimestampRef.current = data.timestamp ?? null;
+        messageTimesRef.current.push(performance.now());
+
+        if (!runningRef.current) {
+            // Keep the message rate current while idle so the target is known
+            if (messageTimesRef.current.length % 30 === 0) updateStats();
+            return;
+        }
+
+        const { mode: currentMode, everyN: currentEveryN } = optionsRef.current;
+        if (currentMode === 'teleop') {
+            messageCountRef.current += 1;
+            if (messageCountRef.current % Math.max(1, currentEveryN) === 0) {
+                capture(lastTeleopTimestampRef.current);
+            }
+        }
+    }, [capture, updateStats]);
+
+    // Take a single frame on demand (manual mode, or extra frames in any mode)
+    const captureNow = useCallback(() => {
+        if (runningRef.current) {
+            capture();
+        }
+    }, [capture]);
+
+    // Cleanup on unmount
+    useEffect(() => {
+        return () => {
+            if (intervalRef.current) clearInterval(intervalRef.current);
+            if (statsIntervalRef.current) clearInterval(statsIntervalRef.current);
+        };
+    }, []);
+
+    let targetFps = null;
+    if (mode === 'interval') {
+        targetFps = rateHz;
+    } else if (mode === 'teleop') {
+        targetFps = teleopRate / Math.max(1, everyN);
+    }
+
+    return {
+        isRunning,
+        achievedFps,
+        targetFps,
+        teleopRate,
+        start,
+        stop,
+        onTeleopMessage,
+        captureNow
+    };
+};
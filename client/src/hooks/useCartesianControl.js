@@ -0,0 +1,122 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import * as THREE from 'three';
+
+// Form values <-> pose: the rotation is edited as XYZ Euler angles in degrees
+const poseToForm = ({ position, quaternion }) => ({
+    position: position.map(value => Number(value.toFixed(4))),
+    rotation: new THREE.Euler()
+        .setFromQuaternion(new THREE.Quaternion().fromArray(quaternion), 'XYZ')
+        .toArray()
+        .slice(0, 3)
+        .map(angle => Number(THREE.MathUtils.radToDeg(angle).toFixed(1)))
+});
+
+const formToPose = ({ position, rotation }) => ({
+    position: [...position],
+    quaternion: new THREE.Quaternion()
+        .setFromEuler(new THREE.Euler(...rotation.map(THREE.MathUtils.degToRad), 'XYZ'))
+        .toArray()
+});
+
+/**
+ * Hook for Cartesian end-effector control through inverse kinematics
+ *
+ * Poses are `{ position: [x, y, z], quaternion: [x, y, z, w] }` in scene coordinates.
+ * Solved joint values go through `onJointUpdate`, the same path as the joint
+ * sliders and teleop, so they are recorded and shown like any other update.
+ *
+ * @param {Object} viewerRef - Ref to the UrdfViewer
+ * @param {Function} onJointUpdate - (jointName, value) => void
+ * @returns {Object} Panel state, gizmo props and the moveTo / getPose API for scripts
+ */
+export const useCartesianControl = (viewerRef, onJointUpdate) => {
+    const [showTarget, setShowTarget] = useState(false);
+    const [targetMode, setTargetMode] = useState('translate'); // translate, rotate
+    const [matchOrientation, setMatchOrientation] = useState(false);
+    const [form, setForm] = useState(null); // { position: [m], rotation: [deg] }
+    const [result, setResult] = useState(null); // Last solve: { reachable, positionError, orientationError }
+
+    const onJointUpdateRef = useRef(onJointUpdate);
+    useEffect(() => {
+        onJointUpdateRef.current = onJointUpdate;
+    });
+
+    /**
+     * Current gripper frame pose
+     * @returns {Object|null} { position, quaternion }, null before the robot loads
+     */
+    const getPose = useCallback(() => viewerRef.current?.getEndEffectorPose() || null, [viewerRef]);
+
+    /**
+     * Move the gripper frame to a pose
+     * @param {Object} pose - { position, quaternion? }; without a quaternion only the position is solved for
+     * @param {Object} [options]
+     * @param {boolean} [options.matchOrientation] - Solve the orientation too (default: when the pose has a quaternion)
+     * @param {boolean} [options.allowApproximate] - Move to the closest solution even if the pose is unreachable
+     * @param {boolean} [options.restarts] - Let the solver try other arm configurations (default: true); off for
+     *   small continuous steps, where a different elbow or wrist solution would make the arm jump
+     * @returns {Object|null} { jointValues, reachable, positionError, orientationError }; joints only move if
+     *   the pose is reachable or allowApproximate is set
+     */
+    const moveTo = useCallback((pose, { matchOrientation: matchPoseOrientation, allowApproximate = false, restarts = true } = {}) => {
+        const viewer = viewerRef.current;
+        const solution = viewer?.solveIK(pose, { matchOrientation: matchPoseOrientation ?? Boolean(pose.quaternion), restarts });
+        if (!solution) return null;
+
+        if (solution.reachable || allowApproximate) {
+            Object.entries(solution.jointValues).forEach(([name, value]) => {
+                onJointUpdateRef.current(name, value);
+            });
+        }
+        if (!solution.reachable) {
+            console.warn(`IK target unreachable: ${(solution.positionError * 1000).toFixed(1)} mm, ${THREE.MathUtils.radToDeg(solution.orientationError).toFixed(1)}° off`);
+        }
+        setResult(solution);
+        return solution;
+    }, [viewerRef]);
+
+    // Fill the form (and place the target) from the robot's current pose
+    const syncFromRobot = useCallback(() => {
+        const pose = getPose();
+        if (!pose) return;
+        setForm(poseToForm(pose));
+        setResult(null);
+        viewerRef.current?.setIkTarget(pose);
+    }, [getPose, viewerRef]);
+
+    const toggleTarget = useCallback((show) => {
+        setShowTarget(show);
+        if (show) syncFromRobot();
+    }, [syncFromRobot]);
+
+    // Target dragged in the viewport: follow it as closely as the arm can, from the current configuration
+    const onTargetChange = useCallback((pose) => {
+        setForm(poseToForm(pose));
+        moveTo(pose, { matchOrientation, allowApproximate: true, restarts: false });
+    }, [moveTo, matchOrientation]);
+
+    // Typed pose: only move if it can be reached
+    const goToForm = useCallback(() => {
+        if (!form) return;
+        const pose = formToPose(form);
+        viewerRef.current?.setIkTarget(pose);
+        moveTo(matchOrientation ? pose : { position: pose.position }, { matchOrientation });
+    }, [form, matchOrientation, moveTo, viewerRef]);
+
+    return {
+        showTarget,
+        setShowTarget: toggleTarget,
+        targetMode,
+        setTargetMode,
+        matchOrientation,
+        setMatchOrientation,
+        form,
+        setForm,
+        result,
+        onTargetChange,
+        goToForm,
+        syncFromRobot,
+        getPose,
+        moveTo
+    };
+};
@@ -0,0 +1,66 @@
+import { useState, useCallback } from 'react';
+
+/**
+ * Hook for exporting capture sessions as a LeRobot-style dataset
+ * @param {string} sceneType - Current scene type
+ * @returns {Object} Export state and control functions
+ */
+export const useDatasetExport = (sceneType) => {
+    const [exportState, setExportState] = useState('idle'); // idle, exporting, complete
+    const [exportResult, setExportResult] = useState(null);
+    const [error, setError] = useState(null);
+
+    /**
+     * Export sessions on the server
+     * @param {Object[]} sessions - [{ sessionId, generationId? }] in episode order
+     * @param {string} task - Task for sessions recorded without episodes
+     * @param {Object} [options]
+     * @param {boolean} [options.successOnly] - Only export episodes labeled as successful
+     */
+    const exportSessions = useCallback(async (sessions, task, { successOnly = false } = {}) => {
+        if (!sessions || sessions.length === 0) return null;
+
+        console.log(`📦 Exporting ${sessions.length} ${sceneType} session(s) as LeRobot dataset`);
+        setExportState('exporting');
+        setExportResult(null);
+        setError(null);
+
+        try {
+            const response = await fetch('http://localhost:3000/export/lerobot', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ sceneType, sessions, task: task || undefined, successOnly })
+            });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Export failed');
+            }
+
+            console.log('✅ Dataset exported to:', data.outputDir);
+            setExportResult(data);
+            setExportState('complete');
+            return data;
+        } catch (err) {
+            console.error('Dataset export error:', err);
+            setError(err.message);
+            setExportState('idle');
+            return null;
+        }
+    }, [sceneType]);
+
+    const resetExport = useCallback(() => {
+        setExportState('idle');
+        setExportResult(null);
+        setError(null);
+    }, []);
+
+    return {
+        exportState,
+        exportResult,
+        error,
+        exportSessions,
+        resetExport
+    };
+};
@@ -1,6 +1,6 @@
 import { useState, useCallback, useEffect } from 'react';
 import { fal } from '@fal-ai/client';
-import { GENERATION_PROMPTS, MOON_REFERENCE_IMAGE } from '../config/generationPrompts';
+import { getSceneGeneration } from '../config/sceneObjects';
 import { 
     uploadImageToFal, 
     generateWithFlux, 
@@ -11,7 +11,7 @@ import {
 /**
  * Hook for managing dataset generation from capture images
  * @param {string} sessionId - Current session ID
- * @param {string} sceneType - Current scene type (table or moon)
+ * @param {string} sceneType - Current scene id; its `generation` settings pick prompts and references
  * @returns {Object} Generation state and control functions
  */
 export const useDatasetGeneration = (sessionId, sceneType) => {
@@ -25,13 +25,9 @@ export const useDatasetGeneration = (sessionId, sceneType) => {
     const [currentGenerationId, setCurrentGenerationId] = useState(null); // Current generation ID
     const [availableGenerations, setAvailableGenerations] = useState([]); // List of all generations
     
-    // Prompt customization - defaults based on scene type
-    const [firstImagePrompt, setFirstImagePrompt] = useState(
-        GENERATION_PROMPTS[sceneType]?.firstImage || GENERATION_PROMPTS.table.firstImage
-    );
-    const [batchImagePrompt, setBatchImagePrompt] = useState(
-        GENERATION_PROMPTS[sceneType]?.batchImages || GENERATION_PROMPTS.table.batchImages
-    );
+    // Prompt customization - defaults from the scene definition
+    const [firstImagePrompt, setFirstImagePrompt] = useState(getSceneGeneration(sceneType).firstImage || '');
+    const [batchImagePrompt, setBatchImagePrompt] = useState(getSceneGeneration(sceneType).batchImages || '');
     const [currentPrompts, setCurrentPrompts] = useState(null); // Prompts used for current generation
 
     // Configure fal.ai client
@@ -41,8 +37,8 @@ export const useDatasetGeneration = (sessionId, sceneType) => {
     
     // Update prompts when scene type changes
     useEffect(() => {
-        setFirstImagePrompt(GENERATION_PROMPTS[sceneType]?.firstImage || GENERATION_PROMPTS.table.firstImage);
-        setBatchImagePrompt(GENERATION_PROMPTS[sceneType]?.batchImages || GENERATION_PROMPTS.table.batchImages);
+        setFirstImagePrompt(getSceneGeneration(sceneType).firstImage || '');
+        setBatchImagePrompt(getSceneGeneration(sceneType).batchImages || '');
     }, [sceneType]);
 
     // Save generated image to backend (wrapper with context)
@@ -66,7 +62,7 @@ export const useDatasetGeneration = (sessionId, sceneType) => {
         await saveImageToBackend(imageUrl, sessionId, sceneType, index, currentGenerationId, prompts);
     }, [sessionId, sceneType, currentGenerationId, firstImagePrompt, batchImagePrompt]);
 
-    // Generate first image - different logic for moon vs table
+    // Generate first image - scenes with a reference image pass it as image 1
     const generateFirstImage = useCallback(async (captureImageUrl) => {
         const newGenerationId = generateId();
         console.log(`🎨 Starting first image generation for ${sceneType} scene with ID: ${newGenerationId}`);
@@ -78,27 +74,20 @@ export const useDatasetGeneration = (sessionId, sceneType) => {
 
         try {
             let imageUrls;
+            const { referenceImage: sceneReferenceImage } = getSceneGeneration(sceneType);
             
-            if (sceneType === 'moon') {
-                // Moon: use moon_no_objects.png as image 1, capture as image 2
-                console.log('🌙 Moon scene: Using moon_no_objects.png as style reference');
-                console.log('📤 Uploading moon reference and capture image...');
+            if (sceneReferenceImage) {
+                // Scene reference as image 1 (style), capture as image 2 (layout)
+                console.log(`🖼️ Using ${sceneReferenceImage} as style reference`);
+                console.log('📤 Uploading scene reference and capture image...');
                 
                 // Upload both images
-                const moonRefUrl = await uploadImageToFal(window.location.origin + MOON_REFERENCE_IMAGE);
+                const sceneRefUrl = await uploadImageToFal(window.location.origin + sceneReferenceImage);
                 const captureUrl = await uploadImageToFal(captureImageUrl);
                 
-                imageUrls = [moonRefUrl, captureUrl];
-            } else if (sceneType === 'cat') {
-                // Cat: use only the capture image for first frame (creates night road scene)
-                console.log('🐱 Cat scene: Creating night road scene from capture');
-                console.log('📤 Uploading capture image...');
-                
-                const captureUrl = await uploadImageToFal(captureImageUrl);
-                imageUrls = [captureUrl];
+                imageUrls = [sceneRefUrl, captureUrl];
             } else {
-                // Table: use only the capture image
-                console.log('🪑 Table scene: Using capture image for style generation');
+                // Only the capture image; the prompt sets the style
                 console.log('📤 Uploading capture image...');
                 const captureUrl = await uploadImageToFal(captureImageUrl);
                 imageUrls = [captureUrl];
@@ -185,8 +174,8 @@ export const useDatasetGeneration = (sessionId, sceneType) => {
     }, [saveGeneratedImage, batchImagePrompt]);
 
     // Generate remaining images using reference image as style guide
-    // Cat scene: SEQUENTIAL (previous frame as reference)
-    // Other scenes: PARALLEL in batches (first frame as reference)
+    // Scenes with `sequential` generation: SEQUENTIAL (previous frame as reference)
+    // Other scenes: PARALLEL in batches (scene reference image or first frame as reference)
     const generateBatchImages = useCallback(async (captureImages, startIndex = 1) => {
         if (!referenceImage) {
             console.error('❌ Reference image not available');
@@ -209,9 +198,11 @@ export const useDatasetGeneration = (sessionId, sceneType) => {
             console.log('💾 Ensuring reference image (index 0) is saved with prompts to backend...');
             await saveGeneratedImage(referenceImage, 0, true); // Include prompts for batch generation
 
-            // Cat scene: Sequential generation (each uses previous frame as reference)
-            if (sceneType === 'cat') {
-                console.log('🐱 Cat scene: Using SEQUENTIAL generation (previous frame as reference)');
+            const generation = getSceneGeneration(sceneType);
+
+            // Sequential generation (each uses previous frame as reference)
+            if (generation.sequential) {
+                console.log('🔗 Using SEQUENTIAL generation (previous frame as reference)');
                 
                 let previousGeneratedUrl = referenceImage;
                 const results = [];
@@ -266,18 +257,18 @@ export const useDatasetGeneration = (sessionId, sceneType) => {
                     setError(`${failCount} image(s) failed to generate. Check console for details.`);
                 }
             } else {
-                // Table/Moon scenes: Parallel batch generation
-                console.log('📦 Table/Moon scene: Using PARALLEL batch generation');
+                // Parallel batch generation
+                console.log('📦 Using PARALLEL batch generation');
                 
                 // Upload reference image once (will be reused for all)
                 let refUrl;
-                if (sceneType === 'moon') {
-                    // Moon: use moon_no_objects.png for ALL images (consistent style)
-                    console.log('📤 Uploading moon_no_objects.png as reference for batch...');
-                    refUrl = await uploadImageToFal(window.location.origin + MOON_REFERENCE_IMAGE);
-                    console.log('✅ Moon reference image uploaded');
+                if (generation.referenceImage) {
+                    // Scene reference image for ALL images (consistent style)
+                    console.log(`📤 Uploading ${generation.referenceImage} as reference for batch...`);
+                    refUrl = await uploadImageToFal(window.location.origin + generation.referenceImage);
+                    console.log('✅ Scene reference image uploaded');
                 } else {
-                    // Table: use first generated image as reference
+                    // Use first generated image as reference
                     console.log('📤 Uploading first generated image as reference...');
                     refUrl = await uploadImageToFal(referenceImage);
                     console.log('✅ Reference image uploaded');
@@ -449,8 +440,8 @@ export const useDatasetGeneration = (sessionId, sceneType) => {
         setCurrentGenerationId(null);
         setCurrentPrompts(null);
         // Reset prompts to scene-specific defaults
-        setFirstImagePrompt(GENERATION_PROMPTS[sceneType]?.firstImage || GENERATION_PROMPTS.table.firstImage);
-        setBatchImagePrompt(GENERATION_PROMPTS[sceneType]?.batchImages || GENERATION_PROMPTS.table.batchImages);
+        setFirstImagePrompt(getSceneGeneration(sceneType).firstImage || '');
+        setBatchImagePrompt(getSceneGeneration(sceneType).batchImages || '');
         console.log('✅ New generation state ready');
     }, [sceneType]);
 
@@ -0,0 +1,124 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { getSceneCameras, getSceneRandomization } from '../config/sceneObjects';
+import { sampleRandomization, jitterCameras, deriveSeed, randomSeed } from '../utils/domainRandomization';
+
+/**
+ * Hook that randomizes the scene for every episode or every captured frame
+ *
+ * Each episode draws an episode seed: derived from the fixed seed and the
+ * episode index when a seed is set (reproducible datasets), random otherwise.
+ * Object placement is drawn once per episode, since moving objects between
+ * frames would break grasps; in 'frame' mode light, background, camera jitter
+ * and robot tint are redrawn for every frame from a seed derived from the
+ * episode seed and the frame index.
+ *
+ * @param {Object} viewerRef - Ref to the UrdfViewer
+ * @param {string} sceneType - Scene whose randomization ranges are used
+ * @returns {Object} Settings, their setters and { startEpisode, prepareFrame, endEpisode }
+ */
+export const useDomainRandomization = (viewerRef, sceneType) => {
+    const [enabled, setEnabledState] = useState(false);
+    const [mode, setMode] = useState('episode'); // episode, frame
+    const [seed, setSeed] = useState(''); // Empty for a random seed per episode
+    const [lastSeed, setLastSeed] = useState(null);
+
+    const settingsRef = useRef({ enabled, mode, seed, sceneType });
+    const episodeRef = useRef(null); // { episodeIndex, baseSeed, episodeSeed, params, frameIndex }
+
+    useEffect(() => {
+        settingsRef.current = { enabled, mode, seed, sceneType };
+    });
+
+    // Turning randomization off restores the scene
+    const setEnabled = useCallback((value) => {
+        setEnabledState(value);
+        if (!value && viewerRef.current?.resetRandomization) {
+            viewerRef.current.resetRandomization();
+        }
+    }, [viewerRef]);
+
+    /**
+     * Draw and apply the episode's randomization
+     * @param {number} episodeIndex
+     */
+    const startEpisode = useCallback(async (episodeIndex) => {
+        const settings = settingsRef.current;
+        const viewer = viewerRef.current;
+        episodeRef.current = null;
+        if (!settings.enabled || !viewer) return;
+
+        const fixedSeed = settings.seed.trim() === '' ? null : parseInt(settings.seed, 10) >>> 0;
+        const baseSeed = fixedSeed ?? randomSeed();
+        const episodeSeed = fixedSeed === null ? baseSeed : deriveSeed(baseSeed, episodeIndex);
+
+        const params = sampleRandomization(getSceneRandomization(settings.sceneType), episodeSeed, {
+            cameras: getSceneCameras(settings.sceneType),
+            objectKeys: viewer.grippableObjectKeys || []
+        });
+        await viewer.applyRandomization(params);
+
+        episodeRef.current = { episodeIndex, baseSeed, episodeSeed, params, frameIndex: 0 };
+        setLastSeed(episodeSeed);
+        console.log(`🎲 Episode ${episodeIndex} randomized with seed ${episodeSeed}`);
+    }, [viewerRef]);
+
+    /**
+     * Randomize for the next frame (in 'frame' mode) and return what to capture with
+     * @returns {Promise<Object>} { cameras, randomization } where randomization is the
+     *   metadata to store with the frame, or null when randomization is off
+     */
+    const prepareFrame = useCallback(async () => {
+        const settings = settingsRef.current;
+        const cameras = getSceneCameras(settings.sceneType);
+        const episode = episodeRef.current;
+        if (!settings.enabled || !episode) {
+            return { cameras, randomization: null };
+        }
+
+        const frameIndex = episode.frameIndex;
+        episode.frameIndex += 1;
+
+        let frameSeed = episode.episodeSeed;
+        let params = episode.params;
+        if (settings.mode === 'frame') {
+            frameSeed = deriveSeed(episode.episodeSeed, frameIndex);
+            const frameParams = sampleRandomization(
+                { ...getSceneRandomization(settings.sceneType), objects: undefined },
+                frameSeed,
+                { cameras }
+            );
+            await viewerRef.current.applyRandomization(frameParams);
+            params = { ...frameParams, objects: episode.params.objects };
+        }
+
+        return {
+            cameras: jitterCameras(cameras, params),
+            randomization: {
+                mode: settings.mode,
+                seed: frameSeed,
+                episodeSeed: episode.episodeSeed,
+                baseSeed: episode.baseSeed,
+                frameIndex,
+                params
+            }
+        };
+    }, [viewerRef]);
+
+    // The scene keeps the last draw until the next episode
+    const endEpisode = useCallback(() => {
+        episodeRef.current = null;
+    }, []);
+
+    return {
+        enabled,
+        setEnabled,
+        mode,
+        setMode,
+        seed,
+        setSeed,
+        lastSeed,
+        startEpisode,
+        prepareFrame,
+        endEpisode
+    };
+};
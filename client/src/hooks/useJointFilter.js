@@ -0,0 +1,145 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import {
+    createJointFilter,
+    DEFAULT_FILTER_SETTINGS,
+    DEFAULT_MAX_VELOCITY,
+    DEFAULT_MAX_ACCELERATION
+} from '../utils/jointFilter';
+
+/**
+ * Hook for the filter stage between WebSocket teleop messages and the robot
+ *
+ * `onJointUpdate` from this hook takes the mapped joint targets of each
+ * message; the filter (utils/jointFilter.js) is stepped every animation frame
+ * while targets move and its output goes to the real `onJointUpdate`. With
+ * smoothing, interpolation and limits all off (the default), targets pass
+ * straight through. The ghost robot shows the raw targets while the filter is active.
+ *
+ * Messages fed to `onMessage` from this hook are passed on at the next filter
+ * step, right after the filtered pose of that step is applied in full, so a
+ * teleop-synced capture or trajectory sample pairs each message with the pose
+ * the robot actually has (which may still be catching up with its targets).
+ *
+ * @param {Object} viewerRef - Ref to the UrdfViewer (for the ghost robot)
+ * @param {Object} joints - Joint configuration object ({ name: { min, max, velocity } })
+ * @param {Function} getJointValues - Returns the current joint values
+ * @param {Function} onJointUpdate - (jointName, value) => void, receives the filtered values
+ * @param {Function} onMessage - Receives each teleop message at the filter step after it
+ * @returns {Object} { onJointUpdate, onMessage, settings, setSettings, limits, setJointLimit, reset }
+ */
+export const useJointFilter = (viewerRef, joints, getJointValues, onJointUpdate, onMessage) => {
+    const [settings, setSettings] = useState(DEFAULT_FILTER_SETTINGS);
+    const [limitOverrides, setLimitOverrides] = useState({}); // { <joint>: { velocity?, acceleration? } }
+    const filterRef = useRef(createJointFilter());
+    const frameRef = useRef(null);
+    const ghostDirtyRef = useRef(false);
+    const pendingMessagesRef = useRef([]); // Messages waiting for the next filter step
+
+    // Velocity limits never exceed the URDF's
+    const limits = useMemo(() => Object.fromEntries(Object.entries(joints).map(([name, joint]) => {
+        const maxVelocity = joint.velocity || DEFAULT_MAX_VELOCITY;
+        const override = limitOverrides[name] || {};
+        return [name, {
+            velocity: Math.min(maxVelocity, override.velocity ?? maxVelocity),
+            acceleration: override.acceleration ?? DEFAULT_MAX_ACCELERATION,
+            maxVelocity
+        }];
+    })), [joints, limitOverrides]);
+
+    const stateRef = useRef({ settings, limits, getJointValues, onJointUpdate, onMessage });
+    useEffect(() => {
+        stateRef.current = { settings, limits, getJointValues, onJointUpdate, onMessage };
+    });
+
+    const passThrough = settings.mode === 'none' && !settings.interpolate && !settings.limitMotion;
+
+    const stopLoop = useCallback(() => {
+        if (frameRef.current) {
+            cancelAnimationFrame(frameRef.current);
+            frameRef.current = null;
+        }
+    }, []);
+
+    // Step the filter every frame until the robot rests on the latest targets and no message waits
+    const startLoop = useCallback(() => {
+        if (frameRef.current) return;
+
+        const tick = () => {
+            const { settings, limits, getJointValues, onJointUpdate, onMessage } = stateRef.current;
+            const { values, settled } = filterRef.current.step(performance.now() / 1000, settings, limits);
+            const messages = pendingMessagesRef.current;
+            pendingMessagesRef.current = [];
+            const current = getJointValues();
+            // The pose is applied in full before its messages, so a trajectory sample pairs them
+            Object.entries(values).forEach(([name, value]) => {
+                if (messages.length > 0 || current[name] !== value) onJointUpdate(name, value);
+            });
+            messages.forEach(onMessage);
+
+            if (ghostDirtyRef.current) {
+                ghostDirtyRef.current = false;
+                viewerRef.current?.setGhostJoints(settings.showGhost ? filterRef.current.targets() : null);
+            }
+
+            frameRef.current = settled ? null : requestAnimationFrame(tick);
+        };
+        frameRef.current = requestAnimationFrame(tick);
+    }, [viewerRef]);
+
+    const filteredJointUpdate = useCallback((name, value) => {
+        const { getJointValues } = stateRef.current;
+        filterRef.current.push(name, value, performance.now() / 1000, getJointValues()[name]);
+        ghostDirtyRef.current = true;
+        startLoop();
+    }, [startLoop]);
+
+    const directJointUpdate = useCallback((name, value) => {
+        stateRef.current.onJointUpdate(name, value);
+    }, []);
+
+    // A message whose actions map to no joints pushed nothing, so the loop may not be running
+    const filteredMessage = useCallback((data) => {
+        pendingMessagesRef.current.push(data);
+        startLoop();
+    }, [startLoop]);
+
+    const directMessage = useCallback((data) => {
+        stateRef.current.onMessage(data);
+    }, []);
+
+    // Drop the filter state and hide the ghost, e.g. when the stream ends
+    const reset = useCallback(() => {
+        stopLoop();
+        filterRef.current.reset();
+        pendingMessagesRef.current = [];
+        viewerRef.current?.setGhostJoints(null);
+    }, [stopLoop, viewerRef]);
+
+    useEffect(() => {
+        if (passThrough) reset();
+    }, [passThrough, reset]);
+
+    useEffect(() => {
+        if (!settings.showGhost) {
+            viewerRef.current?.setGhostJoints(null);
+        } else {
+            ghostDirtyRef.current = true;
+        }
+    }, [settings.showGhost, viewerRef]);
+
+    useEffect(() => stopLoop, [stopLoop]);
+
+    const setJointLimit = useCallback((name, changes) => {
+        setLimitOverrides(current => ({ ...current, [name]: { ...current[name], ...changes } }));
+    }, []);
+
+    return {
+        onJointUpdate: passThrough ? directJointUpdate : filteredJointUpdate,
+        onMessage: passThrough ? directMessage : filteredMessage,
+        settings,
+        setSettings,
+        limits,
+        setJointLimit,
+        reset
+    };
+};
@@ -0,0 +1,233 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import * as THREE from 'three';
+import { getGamepad, isTeleopKey, readTeleopInput, toTeleopActions } from '../utils/teleopInput.js';
+import { GRIPPER_JOINT } from '../utils/grasp.js';
+
+// Teleop messages per second, like a leader arm streaming over the WebSocket
+const TICK_RATE_HZ = 30;
+
+// A step is taken if IK gets the gripper this close to the commanded position
+// without swinging any joint further than MAX_JOINT_STEP (rad) in one tick
+const STEP_TOLERANCE = 0.005;
+const MAX_JOINT_STEP = 0.2;
+
+export const DEFAULT_TELEOP_SPEEDS = {
+    joint: 1.0,   // rad/s
+    linear: 0.1,  // m/s
+    gripper: 2.0  // rad/s
+};
+
+// Keys typed into form fields are not teleop
+const isEditable = (element) =>
+    element && (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
+
+/**
+ * Move the Cartesian target by the commanded velocity and follow it with IK
+ * @returns {Object|null} The next target; null to take it from the robot's pose on the next tick
+ */
+const stepCartesian = (viewer, target, values, { linear, roll }, speeds, dt) => {
+    if (!target) return viewer.getEndEffectorPose();
+
+    let next = target;
+    if (linear.some(Boolean)) {
+        const position = new THREE.Vector3().fromArray(linear).multiplyScalar(speeds.linear * dt)
+            .add(new THREE.Vector3().fromArray(target.position))
+            .toArray();
+        const isStep = (solution) => solution && solution.positionError < STEP_TOLERANCE &&
+            Object.entries(solution.jointValues).every(([name, value]) => Math.abs(value - values[name]) <= MAX_JOINT_STEP);
+
+        // Hold the gripper's orientation; where the arm can't, let it turn and hold the new one
+        let solution = viewer.solveIK({ position, quaternion: target.quaternion }, { restarts: false });
+        next = { ...target, position };
+        if (!isStep(solution)) {
+            solution = viewer.solveIK({ position }, { restarts: false });
+            next = null;
+        }
+        if (isStep(solution)) {
+            Object.assign(values, solution.jointValues);
+        } else {
+            // At the edge of the workspace the target stays put instead of running away
+            next = target;
+        }
+    }
+
+    if (roll) {
+        values.wrist_roll += roll * speeds.joint * dt;
+        // The rolled orientation is held from the next tick on
+        next = null;
+    }
+    return next;
+};
+
+/**
+ * Hook for teleoperating the robot from the keyboard or a gamepad
+ *
+ * While active, input is read at a fixed rate. Joint mode drives each arm joint at
+ * a rate; Cartesian mode moves the gripper frame and solves the arm with IK. The
+ * gripper toggles between open and closed. Every tick goes through `onJointUpdate`
+ * and `onMessage` exactly like a WebSocket teleop message, so recordings and
+ * teleop-synced captures work the same for both sources.
+ *
+ * @param {Object} viewerRef - Ref to the UrdfViewer
+ * @param {Object} joints - Joint configuration object ({ name: { min, max } })
+ * @param {Function} getJointValues - Returns the current joint values
+ * @param {Function} onJointUpdate - (jointName, value) => void
+ * @param {Function} [onMessage] - Called with `{ timestamp (s), actions }` every tick
+ * @returns {Object} Teleop state and controls
+ */
+export const useLocalTeleop = (viewerRef, joints, getJointValues, onJointUpdate, onMessage) => {
+    const [active, setActive] = useState(false);
+    const [mode, setMode] = useState('joint'); // joint, cartesian
+    const [speeds, setSpeeds] = useState(DEFAULT_TELEOP_SPEEDS);
+    const [gripperClosed, setGripperClosed] = useState(false);
+    const [gamepadName, setGamepadName] = useState(() => getGamepad()?.id || null);
+
+    const pressedKeysRef = useRef(new Set());
+    const targetRef = useRef(null); // Cartesian target { position, quaternion }
+    const buttonsRef = useRef({ gripperButton: false, modeButton: false });
+    const gripperClosedRef = useRef(false);
+    const lastTickRef = useRef(0);
+
+    // Latest values for the tick loop, which outlives renders
+    const stateRef = useRef({ mode, speeds, joints, getJointValues, onJointUpdate, onMessage });
+    useEffect(() => {
+        stateRef.current = { mode, speeds, joints, getJointValues, onJointUpdate, onMessage };
+    });
+
+    // The Cartesian target restarts from the gripper's pose whenever the mode changes
+    useEffect(() => {
+        targetRef.current = null;
+    }, [mode, active]);
+
+    useEffect(() => {
+        const onConnected = (event) => setGamepadName(event.gamepad.id);
+        const onDisconnected = () => setGamepadName(getGamepad()?.id || null);
+        window.addEventListener('gamepadconnected', onConnected);
+        window.addEventListener('gamepaddisconnected', onDisconnected);
+        return () => {
+            window.removeEventListener('gamepadconnected', onConnected);
+            window.removeEventListener('gamepaddisconnected', onDisconnected);
+        };
+    }, []);
+
+    const setGripper = useCallback((closed) => {
+        gripperClosedRef.current = closed;
+        setGripperClosed(closed);
+    }, []);
+
+    const tick = useCallback(() => {
+        const viewer = viewerRef.current;
+        const { mode, speeds, joints, getJointValues, onJointUpdate, onMessage } = stateRef.current;
+        if (!viewer || Object.keys(joints).length === 0) return;
+
+        const now = performance.now();
+        const dt = Math.min((now - (lastTickRef.current || now)) / 1000, 0.1);
+        lastTickRef.current = now;
+
+        const gamepad = getGamepad();
+        const input = readTeleopInput(mode, pressedKeysRef.current, gamepad);
+
+        // Buttons act on press, not while held
+        const previous = buttonsRef.current;
+        buttonsRef.current = { gripperButton: input.gripperButton, modeButton: input.modeButton };
+        if (input.modeButton && !previous.modeButton) {
+            setMode(current => (current === 'joint' ? 'cartesian' : 'joint'));
+            return;
+        }
+        if (input.gripperButton && !previous.gripperButton) {
+            setGripper(!gripperClosedRef.current);
+        }
+
+        const current = getJointValues();
+        const values = { ...current };
+
+        if (mode === 'cartesian') {
+            targetRef.current = stepCartesian(viewer, targetRef.current, values, input, speeds, dt);
+        } else {
+            Object.entries(input.joints).forEach(([name, rate]) => {
+                if (rate && name in values) values[name] += rate * speeds.joint * dt;
+            });
+        }
+
+        // Ramp the gripper toward open or closed, so a grasp sees it closing
+        const gripper = joints[GRIPPER_JOINT];
+        if (gripper) {
+            const goal = gripperClosedRef.current ? gripper.min : gripper.max;
+            const value = values[GRIPPER_JOINT] ?? gripper.min;
+            const step = speeds.gripper * dt;
+            values[GRIPPER_JOINT] = value + Math.max(-step, Math.min(step, goal - value));
+        }
+
+        Object.entries(values).forEach(([name, value]) => {
+            const jointInfo = joints[name];
+            if (!jointInfo) return;
+            const clamped = Math.min(jointInfo.max, Math.max(jointInfo.min, value));
+            values[name] = clamped;
+            if (clamped !== current[name]) onJointUpdate(name, clamped);
+        });
+
+        // Streamed every tick, moving or not, like a leader arm
+        onMessage?.({
+            timestamp: Date.now() / 1000, // seconds, like the leader arm
+            actions: toTeleopActions(values, joints)
+        });
+    }, [viewerRef, setGripper]);
+
+    useEffect(() => {
+        if (!active) return;
+
+        const onKeyDown = (event) => {
+            if (isEditable(event.target) || !isTeleopKey(event)) return;
+            event.preventDefault();
+            pressedKeysRef.current.add(event.key.toLowerCase());
+        };
+        const onKeyUp = (event) => {
+            pressedKeysRef.current.delete(event.key.toLowerCase());
+        };
+        // Keys released while the window is unfocused never fire keyup
+        const onBlur = () => pressedKeysRef.current.clear();
+
+        window.addEventListener('keydown', onKeyDown);
+        window.addEventListener('keyup', onKeyUp);
+        window.addEventListener('blur', onBlur);
+
+        lastTickRef.current = 0;
+        const interval = setInterval(tick, 1000 / TICK_RATE_HZ);
+        console.log('🎮 Local teleop started');
+
+        const pressedKeys = pressedKeysRef.current;
+        return () => {
+            clearInterval(interval);
+            window.removeEventListener('keydown', onKeyDown);
+            window.removeEventListener('keyup', onKeyUp);
+            window.removeEventListener('blur', onBlur);
+            pressedKeys.clear();
+            console.log('🎮 Local teleop stopped');
+        };
+    }, [active, tick]);
+
+    const start = useCallback(() => {
+        // Start from the robot's gripper state, so enabling teleop doesn't snap it
+        const { joints, getJointValues } = stateRef.current;
+        const gripper = joints[GRIPPER_JOINT];
+        if (gripper) {
+            const value = getJointValues()[GRIPPER_JOINT] ?? gripper.min;
+            setGripper(value < (gripper.min + gripper.max) / 2);
+        }
+        setActive(true);
+    }, [setGripper]);
+    const stop = useCallback(() => setActive(false), []);
+
+    return {
+        active,
+        start,
+        stop,
+        mode,
+        setMode,
+        speeds,
+        setSpeeds,
+        gripperClosed,
+        toggleGripper: () => setGripper(!gripperClosedRef.current),
+        gamepadName
+    };
+};
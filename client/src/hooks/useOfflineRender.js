@@ -0,0 +1,206 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { createTrajectory, interpolateJoints } from '../utils/trajectory';
+import {
+    createSessionId,
+    startEpisode,
+    endEpisode,
+    appendTrajectory,
+    setSessionSource
+} from '../utils/sessionApi';
+
+// Give up on a scene whose objects never finish loading
+const SCENE_LOAD_TIMEOUT_MS = 60000;
+
+const withTimeout = (promise, ms, message) => Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(message)), ms))
+]);
+
+const nextAnimationFrame = () => new Promise(resolve => requestAnimationFrame(resolve));
+
+/**
+ * Split samples into episodes (by episodeIndex, in recording order) and lay out their frames
+ *
+ * With fps > 0 frames are evenly spaced on the trajectory clock, otherwise every
+ * sample becomes a frame. Frame timestamps come from the trajectory, not the wall
+ * clock, so the same input always yields the same frames.
+ */
+const planEpisodes = (samples, fps) => {
+    const groups = new Map();
+    samples.forEach(sample => {
+        const key = sample.episodeIndex ?? null;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(sample);
+    });
+
+    let lastTimestamp = -Infinity;
+    return [...groups.entries()].map(([episodeIndex, episodeSamples]) => {
+        const trajectory = createTrajectory(episodeSamples);
+        const startMs = trajectory.samples[0].timestamp;
+        const offsets = fps > 0
+            ? Array.from({ length: Math.floor(trajectory.duration * fps + 1e-6) + 1 }, (_, i) => i / fps)
+            : trajectory.times.map(time => time - trajectory.times[0]);
+
+        const frames = offsets.map(offset => {
+            // Frame files are named by timestamp, so keep them strictly increasing
+            const timestamp = Math.max(Math.round(startMs + offset * 1000), lastTimestamp + 1);
+            lastTimestamp = timestamp;
+            return {
+                timestamp,
+                teleopTimestamp: trajectory.times[0] + offset,
+                joints: interpolateJoints(trajectory, offset)
+            };
+        });
+
+        return { sourceEpisodeIndex: episodeIndex, frames };
+    });
+};
+
+/**
+ * Hook that re-renders a joint trajectory into one or more scenes
+ *
+ * For every target scene the viewer switches scenes (loading it through
+ * addSceneObjects), replays the trajectory frame by frame and captures every
+ * frame from the scene's cameras into a new session. Frames are rendered one
+ * after another as fast as they can be saved, not in real time. Each session's
+ * session.json links back to the source trajectory, and the replayed joints are
+ * written to its own trajectory.jsonl. Domain randomization, when enabled, is
+ * drawn per rendered episode/frame just like for live recordings.
+ *
+ * @param {Object} options
+ * @param {Object} options.viewerRef - Ref to the UrdfViewer
+ * @param {Function} options.onJointUpdate - Applies one joint value (name, value)
+ * @param {Function} options.onSceneChange - Switches the viewer to a scene type
+ * @param {Object} options.randomization - From useDomainRandomization
+ * @returns {Object} { isRendering, progress, results, error, render, cancel }
+ */
+export const useOfflineRender = ({ viewerRef, onJointUpdate, onSceneChange, randomization }) => {
+    const [isRendering, setIsRendering] = useState(false);
+    const [progress, setProgress] = useState(null);
+    const [results, setResults] = useState([]);
+    const [error, setError] = useState(null);
+
+    const callbacksRef = useRef({ onJointUpdate, onSceneChange, randomization });
+    const runningRef = useRef(false);
+    const cancelledRef = useRef(false);
+
+    useEffect(() => {
+        callbacksRef.current = { onJointUpdate, onSceneChange, randomization };
+    });
+
+    /**
+     * Render a trajectory into every target scene
+     * @param {Object} job
+     * @param {Object[]} job.samples - Trajectory samples ({ timestamp, teleopTimestamp, episodeIndex, joints })
+     * @param {Object} job.source - Where the samples came from, stored as the sessions' `source`
+     * @param {string[]} job.targetScenes - Scene types to render into
+     * @param {number} job.fps - Frame rate on the trajectory clock, 0 for one frame per sample
+     * @param {string} job.task - Task for episodes without a recorded one
+     * @param {Object[]} [job.sourceEpisodes] - Episodes of the source session (task and success label)
+     */
+    const render = useCallback(async ({ samples, source, targetScenes, fps, task = '', sourceEpisodes = [] }) => {
+        if (runningRef.current) return;
+
+        const episodes = planEpisodes(samples, fps);
+        const frameCount = episodes.reduce((total, episode) => total + episode.frames.length, 0);
+        if (frameCount === 0 || targetScenes.length === 0) return;
+
+        runningRef.current = true;
+        cancelledRef.current = false;
+        setIsRendering(true);
+        setResults([]);
+        setError(null);
+
+        const sessionId = createSessionId();
+        console.log(`🎬 Offline render of ${frameCount} frames into ${targetScenes.join(', ')} (${sessionId})`);
+
+        try {
+            for (let sceneIndex = 0; sceneIndex < targetScenes.length && !cancelledRef.current; sceneIndex++) {
+                const sceneType = targetScenes[sceneIndex];
+                setProgress({ sceneType, sceneIndex, sceneCount: targetScenes.length, frame: 0, frameCount });
+
+                callbacksRef.current.onSceneChange(sceneType);
+                await withTimeout(
+                    viewerRef.current.whenSceneLoaded(sceneType),
+                    SCENE_LOAD_TIMEOUT_MS,
+                    `Scene "${sceneType}" did not finish loading`
+                );
+
+                await setSessionSource(sceneType, sessionId, {
+                    ...source,
+                    type: 'trajectory',
+                    fps: fps > 0 ? fps : null,
+                    sampleCount: samples.length,
+                    renderedAt: new Date().toISOString()
+                });
+
+                let framesDone = 0;
+                for (const { sourceEpisodeIndex, frames } of episodes) {
+                    if (cancelledRef.current) break;
+
+                    const sourceEpisode = sourceEpisodes.find(e => e.episodeIndex === sourceEpisodeIndex);
+                    const episode = await startEpisode(sceneType, sessionId, sourceEpisode?.task || task);
+                    const replayed = [];
+
+                    // Objects are placed before the first frame is posed
+                    await callbacksRef.current.randomization.startEpisode(episode.episodeIndex);
+
+                    for (const frame of frames) {
+                        if (cancelledRef.current) break;
+
+                        Object.entries(frame.joints).forEach(([name, value]) => {
+                            callbacksRef.current.onJointUpdate(name, value);
+                        });
+                        viewerRef.current.updateGripping();
+
+                        const { cameras, randomization: frameRandomization } = await callbacksRef.current.randomization.prepareFrame();
+
+                        // Let the viewer settle (and the page stay responsive) before capturing
+                        await nextAnimationFrame();
+                        await viewerRef.current.captureFromPose(cameras, sceneType, sessionId, {
+                            jointValues: frame.joints,
+                            episodeIndex: episode.episodeIndex,
+                            teleopTimestamp: frame.teleopTimestamp,
+                            timestamp: frame.timestamp,
+                            randomization: frameRandomization
+                        });
+
+                        replayed.push({ ...frame, episodeIndex: episode.episodeIndex });
+                        framesDone += 1;
+                        setProgress({ sceneType, sceneIndex, sceneCount: targetScenes.length, frame: framesDone, frameCount });
+                    }
+
+                    callbacksRef.current.randomization.endEpisode();
+                    await appendTrajectory(sceneType, sessionId, replayed);
+                    // Cancelled episodes stay unlabeled
+                    const success = cancelledRef.current ? null : (sourceEpisode?.success ?? null);
+                    await endEpisode(sceneType, sessionId, episode.episodeIndex, success);
+                }
+
+                setResults(prev => [...prev, { sceneType, sessionId, frameCount: framesDone }]);
+                console.log(`✅ Rendered ${framesDone} frames into ${sceneType}/${sessionId}`);
+            }
+        } catch (err) {
+            console.error('Offline render failed:', err);
+            setError(err.message);
+        } finally {
+            runningRef.current = false;
+            setIsRendering(false);
+            setProgress(null);
+        }
+    }, [viewerRef]);
+
+    // Stop after the frame being rendered
+    const cancel = useCallback(() => {
+        cancelledRef.current = true;
+    }, []);
+
+    return {
+        isRendering,
+        progress,
+        results,
+        error,
+        render,
+        cancel
+    };
+};
@@ -0,0 +1,305 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { planPickAndPlace, samplePrimitive } from '../utils/pickAndPlace.js';
+import { toTeleopActions } from '../utils/teleopInput.js';
+import { GRIPPER_JOINT } from '../utils/grasp.js';
+
+// Joint updates (and teleop messages) per second while a script runs
+const TICK_RATE_HZ = 30;
+
+// Still time before planning (objects settle after placement) and before judging the result
+const SETTLE_SECONDS = 0.6;
+
+// An episode succeeds if the object ends up this close (m, horizontally) to the place target
+const PLACE_TOLERANCE = 0.03;
+
+// Placements are redrawn until the object is at least this far (m) from the target and can be planned
+const MIN_SEPARATION = 0.08;
+const PLACEMENT_ATTEMPTS = 20;
+
+// Random yaw of placed objects (rad either way)
+const MAX_YAW = Math.PI / 4;
+
+const uniform = (range) => (Math.random() * 2 - 1) * range;
+
+const horizontalDistance = (position, [x, z]) => Math.hypot(position[0] - x, position[2] - z);
+
+/**
+ * Hook that records scripted pick-and-place demonstrations
+ *
+ * Each episode rests the chosen object at a random spot around its initial
+ * position, starts a capture episode, plans the motion primitives from the
+ * object's actual pose and plays them through `onJointUpdate` and `onMessage`
+ * (the live teleop path, so capture and trajectory recording see a normal
+ * episode). The episode is labeled a success if the object was grasped and
+ * ends up released within PLACE_TOLERANCE of the target.
+ *
+ * @param {Object} options
+ * @param {Object} options.viewerRef - Ref to the UrdfViewer
+ * @param {string} options.sceneType - Scene whose objects can be picked
+ * @param {Object} options.joints - Joint configuration object ({ name: { min, max } })
+ * @param {Function} options.getJointValues - Returns the current joint values
+ * @param {Function} options.onJointUpdate - (jointName, value) => void
+ * @param {Function} [options.onMessage] - Called with `{ timestamp (s), actions }` every tick
+ * @param {Function} options.startCapture - (task) => Promise of the started episode, or null
+ * @param {Function} options.stopCapture - (success) => Promise, ends the episode with its label
+ * @returns {Object} Settings, their setters, run state, results and { run, stop, targetFromGripper }
+ */
+export const usePickAndPlace = ({
+    viewerRef,
+    sceneType,
+    joints,
+    getJointValues,
+    onJointUpdate,
+    onMessage,
+    startCapture,
+    stopCapture
+}) => {
+    const [objectNames, setObjectNames] = useState([]);
+    const [objectName, setObjectName] = useState('');
+    const [placeTarget, setPlaceTarget] = useState([0.2, 0.1]); // [x, z] in metres
+    const [episodes, setEpisodes] = useState(5);
+    const [placementRadius, setPlacementRadius] = useState(0.05);
+    const [running, setRunning] = useState(false);
+    const [status, setStatus] = useState(null); // { episode, phase }
+    const [results, setResults] = useState([]); // [{ episodeIndex, success, reason }]
+    const [error, setError] = useState(null);
+
+    const abortRef = useRef(false);
+    const runningRef = useRef(false);
+    const stateRef = useRef({ joints, getJointValues, onJointUpdate, onMessage, startCapture, stopCapture });
+
+    useEffect(() => {
+        stateRef.current = { joints, getJointValues, onJointUpdate, onMessage, startCapture, stopCapture };
+    });
+
+    // Grippable objects of the loaded scene
+    useEffect(() => {
+        let cancelled = false;
+
+        const loadObjectNames = async () => {
+            const viewer = viewerRef.current;
+            if (!viewer) return;
+            await viewer.whenSceneLoaded(sceneType);
+            if (cancelled) return;
+            const names = viewer.grippableObjectKeys;
+            setObjectNames(names);
+            setObjectName(current => (names.includes(current) ? current : names[0] || ''));
+        };
+
+        loadObjectNames();
+        return () => {
+            cancelled = true;
+        };
+    }, [viewerRef, sceneType]);
+
+    // A running script stops with the page
+    useEffect(() => () => {
+        abortRef.current = true;
+    }, []);
+
+    // Set joints through the normal update path and stream them as a teleop message
+    const apply = useCallback((values) => {
+        const { joints, getJointValues, onJointUpdate, onMessage } = stateRef.current;
+        Object.entries(values).forEach(([name, value]) => {
+            if (joints[name]) onJointUpdate(name, value);
+        });
+        onMessage?.({ timestamp: Date.now() / 1000, actions: toTeleopActions(getJointValues(), joints) });
+    }, []);
+
+    /**
+     * Play one primitive in real time
+     * @param {Object} primitive - From planPickAndPlace
+     * @param {number|null} gripperFloor - Gripper value the jaws don't close past (where they grasped)
+     * @returns {Promise<boolean>} False if the run was stopped
+     */
+    const play = useCallback((primitive, gripperFloor) => new Promise((resolve) => {
+        const startTime = performance.now();
+        const interval = setInterval(() => {
+            if (abortRef.current) {
+                clearInterval(interval);
+                resolve(false);
+                return;
+            }
+            const t = (performance.now() - startTime) / 1000 / primitive.duration;
+            const values = samplePrimitive(primitive, t);
+            if (gripperFloor !== null) {
+                values[GRIPPER_JOINT] = Math.max(values[GRIPPER_JOINT], gripperFloor);
+            }
+            apply(values);
+
+            // The jaws stop closing once the grasp holds
+            if (t >= 1 || (primitive.stopWhenHeld && viewerRef.current?.heldObject)) {
+                clearInterval(interval);
+                resolve(true);
+            }
+        }, 1000 / TICK_RATE_HZ);
+    }), [apply, viewerRef]);
+
+    // Keep the current joints (streaming them) for a while
+    const hold = useCallback((seconds) => {
+        const current = { ...stateRef.current.getJointValues() };
+        const gripper = current[GRIPPER_JOINT] ?? 0;
+        return play({ frames: [current], duration: seconds, gripper: [gripper, gripper], stopWhenHeld: false }, null);
+    }, [play]);
+
+    const plan = useCallback((name, place) => {
+        const viewer = viewerRef.current;
+        const { joints, getJointValues } = stateRef.current;
+        const object = viewer.getObjectState(name);
+        const gripper = joints[GRIPPER_JOINT];
+        if (!object) throw new Error(`Object "${name}" is not in the scene`);
+        if (!gripper) throw new Error('The robot has no gripper joint');
+
+        return planPickAndPlace({
+            solve: (pose, options) => viewer.solveIK(pose, options),
+            start: getJointValues(),
+            object,
+            place,
+            gripper: { open: gripper.max, closed: gripper.min }
+        });
+    }, [viewerRef]);
+
+    // Rest the object somewhere random around its initial position that the script can reach
+    const placeRandomly = useCallback((name, place, radius) => {
+        const viewer = viewerRef.current;
+        const initial = viewer.getObjectState(name)?.initialPosition;
+        if (!initial) return false;
+
+        for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS; attempt++) {
+            const position = [initial[0] + uniform(radius), initial[2] + uniform(radius)];
+            if (Math.hypot(position[0] - place[0], position[1] - place[1]) < MIN_SEPARATION) continue;
+            if (!viewer.placeObject(name, { position, yaw: uniform(MAX_YAW) })) return false;
+            try {
+                plan(name, place);
+                return true;
+            } catch {
+                // Out of reach, draw again
+            }
+        }
+        return false;
+    }, [viewerRef, plan]);
+
+    /**
+     * Record one scripted episode
+     * @returns {Promise<Object|null>} { episodeIndex, success, reason }, null if stopped
+     */
+    const runEpisode = useCallback(async (name, place, radius) => {
+        const viewer = viewerRef.current;
+        if (!placeRandomly(name, place, radius)) {
+            throw new Error(`Couldn't find a reachable placement for ${name}`);
+        }
+
+        const task = `Pick up the ${name} and place it at x=${place[0].toFixed(2)} m, z=${place[1].toFixed(2)} m`;
+        const episode = await stateRef.current.startCapture(task);
+        if (!episode) throw new Error('Could not start an episode');
+
+        let finished = false;
+        const finish = async (success, reason) => {
+            finished = true;
+            await stateRef.current.stopCapture(success);
+            return { episodeIndex: episode.episodeIndex, success, reason };
+        };
+
+        try {
+            // Randomization may have moved the object as the episode started
+            if (!await hold(SETTLE_SECONDS)) {
+                await finish(null, 'stopped');
+                return null;
+            }
+
+            let primitives;
+            try {
+                primitives = plan(name, place);
+            } catch (err) {
+                return finish(false, err.message);
+            }
+
+            let grasped = false;
+            let gripperFloor = null;
+            for (const primitive of primitives) {
+                setStatus(current => ({ ...current, phase: primitive.phase }));
+                if (!await play(primitive, gripperFloor)) {
+                    await finish(null, 'stopped');
+                    return null;
+                }
+                if (primitive.phase === 'grasp') {
+                    grasped = viewer.heldObject === name;
+                    if (grasped) gripperFloor = stateRef.current.getJointValues()[GRIPPER_JOINT];
+                }
+                if (primitive.phase === 'release') gripperFloor = null;
+            }
+
+            setStatus(current => ({ ...current, phase: 'settle' }));
+            if (!await hold(SETTLE_SECONDS)) {
+                await finish(null, 'stopped');
+                return null;
+            }
+
+            const final = viewer.getObjectState(name);
+            const distance = final ? horizontalDistance(final.position, place) : Infinity;
+            if (!grasped) return finish(false, 'grasp missed');
+            if (viewer.heldObject) return finish(false, 'not released');
+            if (distance > PLACE_TOLERANCE) return finish(false, `${(distance * 100).toFixed(1)} cm from the target`);
+            return finish(true, `${(distance * 100).toFixed(1)} cm from the target`);
+        } finally {
+            // An error mid-episode (a failed solve, a removed object) still closes the episode, as a failure
+            if (!finished) await stateRef.current.stopCapture(false);
+        }
+    }, [viewerRef, placeRandomly, plan, play, hold]);
+
+    // Record `episodes` scripted episodes in a row
+    const run = useCallback(async () => {
+        if (runningRef.current || !viewerRef.current || !objectName) return;
+        runningRef.current = true;
+        abortRef.current = false;
+        setRunning(true);
+        setResults([]);
+        setError(null);
+
+        try {
+            for (let i = 0; i < episodes && !abortRef.current; i++) {
+                setStatus({ episode: i + 1, phase: 'placing' });
+                const result = await runEpisode(objectName, placeTarget, placementRadius);
+                if (!result) break;
+                console.log(`🤖 Scripted episode ${result.episodeIndex}: ${result.success ? 'success' : 'failure'} (${result.reason})`);
+                setResults(current => [...current, result]);
+            }
+        } catch (err) {
+            console.error('Scripted demonstration failed:', err);
+            setError(err.message);
+        } finally {
+            runningRef.current = false;
+            setRunning(false);
+            setStatus(null);
+        }
+    }, [viewerRef, objectName, placeTarget, episodes, placementRadius, runEpisode]);
+
+    // Put the target under the gripper
+    const targetFromGripper = useCallback(() => {
+        const pose = viewerRef.current?.getEndEffectorPose();
+        if (pose) setPlaceTarget([pose.position[0], pose.position[2]].map(value => Number(value.toFixed(3))));
+    }, [viewerRef]);
+
+    const stop = useCallback(() => {
+        abortRef.current = true;
+    }, []);
+
+    return {
+        objectNames,
+        objectName,
+        setObjectName,
+        placeTarget,
+        setPlaceTarget,
+        targetFromGripper,
+        episodes,
+        setEpisodes,
+        placementRadius,
+        setPlacementRadius,
+        running,
+        status,
+        results,
+        error,
+        run,
+        stop
+    };
+};
@@ -0,0 +1,129 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getSceneFile } from '../config/scenes';
+import { saveScene } from '../utils/sceneApi';
+
+/**
+ * Hook for the scene editor: edit mode, selection, adding/removing assets and saving
+ *
+ * The transforms themselves happen in the viewer (UrdfViewer's editMode); this
+ * hook keeps the panel state and saves the edited layout as a scene definition
+ * (the scene's JSON with its `objects` replaced by the current layout).
+ *
+ * @param {Object} viewerRef - Ref to the UrdfViewer
+ * @param {string} sceneType - Scene being edited
+ * @returns {Object} Editor state, setters and actions
+ */
+export const useSceneEditor = (viewerRef, sceneType) => {
+    const [editing, setEditing] = useState(false);
+    const [transformMode, setTransformMode] = useState('translate'); // translate, rotate, scale
+    const [selection, setSelection] = useState(null); // Name of the selected object
+    const [objectNames, setObjectNames] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+    const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+
+    // Object list of the loaded scene
+    useEffect(() => {
+        if (!editing) return;
+        let cancelled = false;
+
+        const loadObjectNames = async () => {
+            const viewer = viewerRef.current;
+            if (!viewer) return;
+            await viewer.whenSceneLoaded(sceneType);
+            if (!cancelled) {
+                setObjectNames(viewer.sceneObjectNames);
+            }
+        };
+
+        loadObjectNames();
+        return () => {
+            cancelled = true;
+        };
+    }, [viewerRef, sceneType, editing]);
+
+    const selectObject = useCallback((name) => {
+        viewerRef.current?.selectSceneObject(name || null);
+    }, [viewerRef]);
+
+    const snapSelected = useCallback(() => {
+        viewerRef.current?.snapSelectedToTable();
+    }, [viewerRef]);
+
+    const removeSelected = useCallback(() => {
+        viewerRef.current?.removeSelectedObject();
+        setObjectNames(viewerRef.current?.sceneObjectNames || []);
+    }, [viewerRef]);
+
+    /**
+     * Add an asset to the scene, resting on the table in front of the robot
+     * @param {Object} asset - { type, path, name }
+     */
+    const addAsset = useCallback(async ({ type, path, name }) => {
+        const viewer = viewerRef.current;
+        if (!viewer) return;
+
+        const existing = viewer.sceneObjectNames;
+        let uniqueName = name || type;
+        for (let i = 1; existing.includes(uniqueName); i++) {
+            uniqueName = `${name || type}_${i}`;
+        }
+
+        const definition = { name: uniqueName, type, position: [0.3, 0, 0] };
+        if (path) definition.path = path;
+        if (type === 'splat') definition.scale = [0.1, 0.1, 0.1];
+
+        setMessage(null);
+        try {
+            await viewer.addSceneObject(definition);
+            setObjectNames(viewer.sceneObjectNames);
+        } catch (err) {
+            console.error('Failed to add asset:', err);
+            setMessage({ type: 'error', text: `Could not load ${path || type}: ${err.message}` });
+        }
+    }, [viewerRef]);
+
+    /**
+     * Save the current layout as scenes/<sceneId>.json
+     * @param {string} sceneId - The edited scene, or a new id to save a copy
+     */
+    const save = useCallback(async (sceneId) => {
+        const viewer = viewerRef.current;
+        if (!viewer) return;
+
+        const definition = { ...getSceneFile(sceneType), objects: viewer.exportSceneObjects() };
+        if (sceneId !== sceneType) {
+            definition.name = sceneId;
+            delete definition.order;
+        }
+
+        setIsSaving(true);
+        setMessage(null);
+        try {
+            const result = await saveScene(sceneId, definition);
+            setMessage({ type: 'success', text: `${result.created ? 'Created' : 'Saved'} scenes/${sceneId}.json` });
+            console.log(`💾 Saved scene ${sceneId} with ${definition.objects.length} objects`);
+        } catch (err) {
+            console.error('Failed to save scene:', err);
+            setMessage({ type: 'error', text: err.message });
+        } finally {
+            setIsSaving(false);
+        }
+    }, [viewerRef, sceneType]);
+
+    return {
+        editing,
+        setEditing,
+        transformMode,
+        setTransformMode,
+        selection,
+        onSelect: setSelection,
+        objectNames,
+        selectObject,
+        snapSelected,
+        removeSelected,
+        addAsset,
+        save,
+        isSaving,
+        message
+    };
+};
@@ -0,0 +1,144 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { createTrajectory, interpolateJoints } from '../utils/trajectory';
+
+// How often the displayed playback position is refreshed
+const POSITION_UPDATE_MS = 100;
+
+/**
+ * Hook that replays a recorded joint trajectory
+ *
+ * Joint values are linearly interpolated between samples and applied through
+ * onJointUpdate(name, value), the same path live teleop updates take.
+ *
+ * @param {Function} onJointUpdate - Called for every joint at every played frame
+ * @returns {Object} Playback state ({ isLoaded, isPlaying, position, duration, speed }) and controls
+ */
+export const useTrajectoryPlayer = (onJointUpdate) => {
+    const [isLoaded, setIsLoaded] = useState(false);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [position, setPosition] = useState(0);
+    const [duration, setDuration] = useState(0);
+    const [speed, setSpeedState] = useState(1);
+
+    const onJointUpdateRef = useRef(onJointUpdate);
+    const trajectoryRef = useRef({ samples: [], times: [], duration: 0 });
+    const positionRef = useRef(0);
+    const speedRef = useRef(1);
+    const frameRef = useRef(null);
+    const lastFrameTimeRef = useRef(0);
+    const lastPositionUpdateRef = useRef(0);
+
+    useEffect(() => {
+        onJointUpdateRef.current = onJointUpdate;
+    });
+
+    // Apply the interpolated joint state at a position (seconds from the start)
+    const applyPosition = useCallback((seconds) => {
+        const joints = interpolateJoints(trajectoryRef.current, seconds);
+        Object.entries(joints).forEach(([name, value]) => {
+            onJointUpdateRef.current(name, value);
+        });
+    }, []);
+
+    const cancelFrame = useCallback(() => {
+        if (frameRef.current) {
+            cancelAnimationFrame(frameRef.current);
+            frameRef.current = null;
+        }
+    }, []);
+
+    const pause = useCallback(() => {
+        cancelFrame();
+        setIsPlaying(false);
+        setPosition(positionRef.current);
+    }, [cancelFrame]);
+
+    const play = useCallback(() => {
+        const { samples, duration: totalDuration } = trajectoryRef.current;
+        if (samples.length === 0 || frameRef.current) return;
+
+        // Restart from the beginning once the end was reached
+        if (positionRef.current >= totalDuration) {
+            positionRef.current = 0;
+        }
+
+        const tick = (now) => {
+            const elapsed = (now - lastFrameTimeRef.current) / 1000;
+            lastFrameTimeRef.current = now;
+
+            positionRef.current = Math.min(positionRef.current + elapsed * speedRef.current, totalDuration);
+            applyPosition(positionRef.current);
+
+            if (now - lastPositionUpdateRef.current > POSITION_UPDATE_MS) {
+                lastPositionUpdateRef.current = now;
+                setPosition(positionRef.current);
+            }
+
+            if (positionRef.current >= totalDuration) {
+                pause();
+                return;
+            }
+            frameRef.current = requestAnimationFrame(tick);
+        };
+
+        lastFrameTimeRef.current = performance.now();
+        setIsPlaying(true);
+        frameRef.current = requestAnimationFrame(tick);
+    }, [applyPosition, pause]);
+
+    // Jump to a position in seconds; the robot follows immediately, also while paused
+    const seek = useCallback((seconds) => {
+        const totalDuration = trajectoryRef.current.duration || 0;
+        positionRef.current = Math.min(Math.max(seconds, 0), totalDuration);
+        setPosition(positionRef.current);
+        applyPosition(positionRef.current);
+    }, [applyPosition]);
+
+    const setSpeed = useCallback((newSpeed) => {
+        speedRef.current = newSpeed;
+        setSpeedState(newSpeed);
+    }, []);
+
+    /**
+     * Load recorded samples ([{ timestamp, teleopTimestamp, joints }]) and show the first one
+     */
+    const load = useCallback((samples) => {
+        cancelFrame();
+        const trajectory = createTrajectory(samples);
+
+        trajectoryRef.current = trajectory;
+        positionRef.current = 0;
+        setIsPlaying(false);
+        setIsLoaded(trajectory.samples.length > 0);
+        setDuration(trajectory.duration);
+        setPosition(0);
+        applyPosition(0);
+    }, [applyPosition, cancelFrame]);
+
+    const unload = useCallback(() => {
+        cancelFrame();
+        trajectoryRef.current = { samples: [], times: [], duration: 0 };
+        positionRef.current = 0;
+        setIsPlaying(false);
+        setIsLoaded(false);
+        setDuration(0);
+        setPosition(0);
+    }, [cancelFrame]);
+
+    // Cleanup on unmount
+    useEffect(() => cancelFrame, [cancelFrame]);
+
+    return {
+        isLoaded,
+        isPlaying,
+        position,
+        duration,
+        speed,
+        load,
+        unload,
+        play,
+        pause,
+        seek,
+        setSpeed
+    };
+};
@@ -0,0 +1,117 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { appendTrajectory } from '../utils/sessionApi';
+
+// Samples are sent to the server in batches at this interval
+const FLUSH_INTERVAL_MS = 500;
+
+/**
+ * Hook that records every applied joint update into the session's trajectory.jsonl
+ *
+ * One teleop message updates all joints one by one; those updates are coalesced
+ * into a single sample holding the full joint state after the message. Each
+ * sample is { timestamp (ms), teleopTimestamp (s, or null for manual moves),
+ * episodeIndex, joints: { name: value } }.
+ *
+ * @param {string} sceneType - Scene the session belongs to
+ * @param {Function} getJointValues - Returns the current joint values
+ * @returns {Object} { isRecording, sampleCount, start, stop, onJointUpdate, onTeleopMessage }
+ */
+export const useTrajectoryRecorder = (sceneType, getJointValues) => {
+    const [isRecording, setIsRecording] = useState(false);
+    const [sampleCount, setSampleCount] = useState(0);
+
+    const getJointValuesRef = useRef(getJointValues);
+    const targetRef = useRef(null); // { sceneType, sessionId, episodeIndex }
+    const bufferRef = useRef([]);
+    const pendingSampleRef = useRef(false);
+    const teleopTimestampRef = useRef(null);
+    const sampleCountRef = useRef(0);
+    const flushIntervalRef = useRef(null);
+
+    useEffect(() => {
+        getJointValuesRef.current = getJointValues;
+    });
+
+    const flush = useCallback(async () => {
+        const target = targetRef.current;
+        const samples = bufferRef.current;
+        if (!target || samples.length === 0) return;
+
+        bufferRef.current = [];
+        try {
+            await appendTrajectory(target.sceneType, target.sessionId, samples);
+            setSampleCount(sampleCountRef.current);
+        } catch (error) {
+            // Keep the samples for the next flush
+            console.error('Failed to save trajectory samples:', error);
+            bufferRef.current = samples.concat(bufferRef.current);
+        }
+    }, []);
+
+    const start = useCallback((sessionId, episodeIndex = null) => {
+        if (targetRef.current) return;
+
+        targetRef.current = { sceneType, sessionId, episodeIndex };
+        bufferRef.current = [];
+        sampleCountRef.current = 0;
+        setSampleCount(0);
+        setIsRecording(true);
+        flushIntervalRef.current = setInterval(flush, FLUSH_INTERVAL_MS);
+        console.log(`🎞️ Recording trajectory of ${sessionId}`);
+    }, [sceneType, flush]);
+
+    const stop = useCallback(async () => {
+        if (!targetRef.current) return;
+
+        if (flushIntervalRef.current) {
+            clearInterval(flushIntervalRef.current);
+            flushIntervalRef.current = null;
+        }
+        await flush();
+        targetRef.current = null;
+        setIsRecording(false);
+    }, [flush]);
+
+    // Call after every applied joint update
+    const onJointUpdate = useCallback(() => {
+        if (!targetRef.current || pendingSampleRef.current) return;
+
+        // Wait until the rest of the message's joints (and its timestamp) are in
+        pendingSampleRef.current = true;
+        queueMicrotask(() => {
+            pendingSampleRef.current = false;
+            const target = targetRef.current;
+            if (!target) return;
+
+            bufferRef.current.push({
+                timestamp: Date.now(),
+                teleopTimestamp: teleopTimestampRef.current,
+                episodeIndex: target.episodeIndex,
+                joints: { ...getJointValuesRef.current() }
+            });
+            teleopTimestampRef.current = null;
+            sampleCountRef.current += 1;
+        });
+    }, []);
+
+    // Call with every parsed teleop message, after its joint values were applied
+    const onTeleopMessage = useCallback((data) => {
+        teleopTimestampRef.current = data.timestamp ?? null;
+    }, []);
+
+    // Cleanup on unmount
+    useEffect(() => {
+        return () => {
+            if (flushIntervalRef.current) clearInterval(flushIntervalRef.current);
+        };
+    }, []);
+
+    return {
+        isRecording,
+        sampleCount,
+        start,
+        stop,
+        onJointUpdate,
+        onTeleopMessage
+    };
+};
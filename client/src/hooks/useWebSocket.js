@@ -1,108 +1,326 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
+import { createTeleopStats } from '../utils/teleopStats';
+import { mapLeaderActions } from '../utils/calibration';
+import {
+    TELEOP_PROTOCOL_VERSION,
+    LEGACY_SESSION,
+    validateHello,
+    validateMessage
+} from '../utils/teleopProtocol';
+
+const DEFAULT_WS_URL = 'ws://localhost:8765';
+const WS_URL_STORAGE_KEY = 'teleop.wsUrl';
+
+// Reconnect delays double from RECONNECT_BASE_MS up to RECONNECT_MAX_MS
+const RECONNECT_BASE_MS = 500;
+const RECONNECT_MAX_MS = 10000;
+
+// A ping goes out every HEARTBEAT_INTERVAL_MS; a connection without any message for HEARTBEAT_TIMEOUT_MS is dropped
+const HEARTBEAT_INTERVAL_MS = 1000;
+const HEARTBEAT_TIMEOUT_MS = 4000;
+
+// How often the displayed statistics refresh
+const STATS_UPDATE_MS = 500;
+
+const NO_CALIBRATION = {};
+
+const loadWsUrl = () => {
+    try {
+        return localStorage.getItem(WS_URL_STORAGE_KEY) || DEFAULT_WS_URL;
+    } catch {
+        return DEFAULT_WS_URL;
+    }
+};
+
+const isWebSocketUrl = (url) => {
+    try {
+        return ['ws:', 'wss:'].includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+};
 
 /**
  * Custom hook for managing WebSocket connection and joint updates
+ *
+ * The endpoint is editable and persisted in localStorage. A dropped connection
+ * (closed, or silent past the heartbeat timeout) is reopened with exponential
+ * backoff until disconnectWebSocket is called. Stream statistics (rate,
+ * jitter, latency from the message `timestamp`, dropped, stale and invalid
+ * frames, heartbeat round trip) refresh twice a second; stale frames are skipped.
+ *
+ * Messages follow utils/teleopProtocol.js: the source's hello sets the units
+ * and joints of the session, and a hello this client can't use stops the
+ * connection. Invalid messages are dropped, counted and reported in `wsError`
+ * until the next valid hello or state message.
+ *
  * @param {Object} joints - Joint configuration object
  * @param {Function} onJointUpdate - Callback to update joint values
+ * @param {Function} [onMessage] - Called with every state message after its joints were applied
+ * @param {Object} [calibration] - Per-joint leader calibration (utils/calibration.js), defaults where missing
+ * @param {Function} [onCommand] - Called with every command message (start_episode, end_episode, capture_frame)
  * @returns {Object} WebSocket state and control functions
  */
-export const useWebSocket = (joints, onJointUpdate) => {
+export const useWebSocket = (joints, onJointUpdate, onMessage, calibration = NO_CALIBRATION, onCommand) => {
     const [wsConnected, setWsConnected] = useState(false);
     const [wsStatus, setWsStatus] = useState('Disconnected');
+    const [wsUrl, setWsUrlState] = useState(loadWsUrl);
+    const [activeUrl, setActiveUrl] = useState(null); // Endpoint being connected to, null when stopped
+    const [retry, setRetry] = useState(0);
+    const [wsStats, setWsStats] = useState(null);
+    const [wsSession, setWsSession] = useState(null); // Hello of the current stream, LEGACY_SESSION without one
+    const [wsError, setWsError] = useState(null);
     const wsRef = useRef(null);
+    const onMessageRef = useRef(onMessage);
+    const onCommandRef = useRef(onCommand);
+    const jointNamesRef = useRef(Object.keys(joints));
+    const updateJointsRef = useRef(null);
+    const setGripperRef = useRef(null);
+    const statsRef = useRef(createTeleopStats());
+    const rttRef = useRef(null);
+    const invalidRef = useRef(0);
+    const reconnectAttemptRef = useRef(0);
 
-    const updateJointsFromData = useCallback((actions) => {
-        // Update joints based on WebSocket data
-        // Python sends values in -100 to 100 range (or 0 to 100 for gripper)
-        // We need to rescale to the actual joint limits
-        Object.entries(actions).forEach(([motorName, value]) => {
-            // Get the joint info to know the limits
-            const jointInfo = joints[motorName];
-
-            let scaledValue = value;
-
-            if (jointInfo) {
-                // Rescale from -100 to 100 range to joint's min/max range
-                // For gripper, assume 0-100 range
-                const isGripper = motorName.includes('gripper');
-
-                if (isGripper) {
-                    // Gripper: 0 to 100 -> min to max
-                    scaledValue = jointInfo.min + (value / 100) * (jointInfo.max - jointInfo.min);
-                } else {
-                    // Other joints: -100 to 100 -> min to max
-                    scaledValue = jointInfo.min + ((value + 100) / 200) * (jointInfo.max - jointInfo.min);
-                }
-            } else {
-                // If we don't have joint info yet, convert from degrees to radians as a fallback
-                scaledValue = (value * Math.PI) / 180;
-            }
+    // Keep the latest callbacks and joints without reconnecting
+    useEffect(() => {
+        onMessageRef.current = onMessage;
+        onCommandRef.current = onCommand;
+        jointNamesRef.current = Object.keys(joints);
+    });
 
-            onJointUpdate(motorName, scaledValue);
+    // Normalized leader values (-100..100, 0..100 for the gripper) are mapped onto the joint limits by the calibration
+    const updateJointsFromData = useCallback((actions, units) => {
+        Object.entries(mapLeaderActions(actions, joints, calibration, units)).forEach(([motorName, value]) => {
+            onJointUpdate(motorName, value);
         });
+    }, [joints, onJointUpdate, calibration]);
+
+    // Gripper events open or close the gripper fully
+    const setGripper = useCallback((event) => {
+        const name = Object.keys(joints).find(jointName => jointName.includes('gripper'));
+        if (!name) return;
+        onJointUpdate(name, event === 'open' ? joints[name].max : joints[name].min);
     }, [joints, onJointUpdate]);
 
-    const connectWebSocket = useCallback(() => {
-        if (wsRef.current) {
-            wsRef.current.close();
-        }
+    useEffect(() => {
+        updateJointsRef.current = updateJointsFromData;
+        setGripperRef.current = setGripper;
+    }, [updateJointsFromData, setGripper]);
 
-        setWsStatus('Connecting...');
-        const ws = new WebSocket('ws://localhost:8765');
+    // Open a connection to `activeUrl`; `retry` bumps reopen it after a drop
+    useEffect(() => {
+        if (!activeUrl) return;
+        const stats = statsRef.current;
+        let closing = false;
+        let heartbeat = null;
+        let reconnectTimer = null;
+        let lastMessageAt = Date.now();
+        let session = null;
+        let showingDropped = false; // wsError is about a dropped message, cleared by the next valid one
+        const reported = new Set();
+
+        const ws = new WebSocket(activeUrl);
+
+        // Bad messages are dropped; each distinct problem is logged once per connection
+        const reject = (problem) => {
+            invalidRef.current += 1;
+            showingDropped = true;
+            setWsError(problem);
+            if (!reported.has(problem)) {
+                reported.add(problem);
+                console.warn(`Dropped teleop message: ${problem}`);
+            }
+        };
+
+        const clearDropped = () => {
+            if (!showingDropped) return;
+            showingDropped = false;
+            setWsError(null);
+        };
+
+        // A stream this client can't interpret is stopped rather than retried
+        const stop = (problem) => {
+            console.error(`Teleop stream rejected: ${problem}`);
+            closing = true;
+            setWsError(problem);
+            setActiveUrl(null);
+            setWsStatus('Stopped: protocol error');
+        };
 
         ws.onopen = () => {
-            console.log('WebSocket connected');
+            console.log(`WebSocket connected to ${activeUrl}`);
+            reconnectAttemptRef.current = 0;
+            stats.reset();
+            rttRef.current = null;
+            invalidRef.current = 0;
+            lastMessageAt = Date.now();
             setWsConnected(true);
             setWsStatus('Connected');
+            setWsSession(null);
+            setWsError(null);
+            ws.send(JSON.stringify({ type: 'hello', protocol: TELEOP_PROTOCOL_VERSION, joints: jointNamesRef.current }));
+
+            // Pings keep idle connections observable; a silent one is closed and reconnected
+            heartbeat = setInterval(() => {
+                if (Date.now() - lastMessageAt > HEARTBEAT_TIMEOUT_MS) {
+                    console.warn(`No WebSocket message for ${HEARTBEAT_TIMEOUT_MS} ms, reconnecting`);
+                    ws.close();
+                    return;
+                }
+                ws.send(JSON.stringify({ type: 'ping', timestamp: Date.now() / 1000 }));
+            }, HEARTBEAT_INTERVAL_MS);
         };
 
         ws.onmessage = (event) => {
+            const receivedAt = Date.now();
+            lastMessageAt = receivedAt;
+            let data;
             try {
-                const data = JSON.parse(event.data);
-                if (data.actions) {
-                    updateJointsFromData(data.actions);
+                data = JSON.parse(event.data);
+            } catch {
+                reject('A message is not valid JSON');
+                return;
+            }
+            if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+                reject('A message is not a JSON object');
+                return;
+            }
+
+            if (data.type === 'pong') {
+                if (typeof data.timestamp === 'number') {
+                    rttRef.current = receivedAt - data.timestamp * 1000;
+                }
+                return;
+            }
+            if (data.type === 'error') {
+                console.error('Teleop source error:', data.message);
+                showingDropped = false;
+                setWsError(`Teleop source: ${data.message}`);
+                return;
+            }
+            if (data.type === 'hello') {
+                const problem = validateHello(data, jointNamesRef.current);
+                if (problem) {
+                    stop(problem);
+                    return;
+                }
+                console.log(`Teleop stream: protocol ${data.protocol}, ${data.units}, ${data.joints.length} joints at ${data.rate} Hz`);
+                session = data;
+                setWsSession(data);
+                clearDropped();
+                return;
+            }
+
+            // Streams without a handshake predate the protocol
+            if (!session && data.type === undefined) {
+                console.warn('Teleop stream sent no hello, assuming normalized leader units');
+                session = LEGACY_SESSION;
+                setWsSession(LEGACY_SESSION);
+            }
+            if (!session) {
+                reject(`A ${data.type} message arrived before the hello`);
+                return;
+            }
+            const problem = validateMessage(data, session, jointNamesRef.current);
+            if (problem) {
+                reject(problem);
+                return;
+            }
+
+            if (data.type === 'gripper') {
+                setGripperRef.current(data.event);
+            } else if (data.type === 'command') {
+                if (onCommandRef.current) {
+                    onCommandRef.current(data);
+                }
+            } else {
+                // Frames older than the last applied one (or very late) would move the robot backwards
+                if (stats.onMessage(data.timestamp, receivedAt).stale) return;
+                updateJointsRef.current(data.actions, session.units);
+                clearDropped();
+                if (onMessageRef.current) {
+                    onMessageRef.current(data);
                 }
-            } catch (error) {
-                console.error('Error parsing WebSocket message:', error);
             }
         };
 
         ws.onerror = (error) => {
             console.error('WebSocket error:', error);
-            setWsStatus('Error');
         };
 
         ws.onclose = () => {
-            console.log('WebSocket disconnected');
+            clearInterval(heartbeat);
             setWsConnected(false);
-            setWsStatus('Disconnected');
-            wsRef.current = null;
+            if (closing) return;
+
+            const attempt = reconnectAttemptRef.current;
+            const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+            reconnectAttemptRef.current = attempt + 1;
+            console.log(`WebSocket disconnected, reconnecting in ${delay} ms`);
+            setWsStatus(`Reconnecting in ${(delay / 1000).toFixed(1)} s (attempt ${attempt + 1})`);
+            reconnectTimer = setTimeout(() => {
+                setWsStatus('Connecting...');
+                setRetry(count => count + 1);
+            }, delay);
         };
 
         wsRef.current = ws;
-    }, [updateJointsFromData]);
-
-    const disconnectWebSocket = useCallback(() => {
-        if (wsRef.current) {
-            wsRef.current.close();
+        return () => {
+            closing = true;
+            clearInterval(heartbeat);
+            clearTimeout(reconnectTimer);
+            ws.close();
             wsRef.current = null;
+        };
+    }, [activeUrl, retry]);
+
+    // Refresh the displayed statistics while connected
+    useEffect(() => {
+        if (!wsConnected) return;
+        const interval = setInterval(() => {
+            setWsStats({ ...statsRef.current.snapshot(Date.now()), rtt: rttRef.current, invalid: invalidRef.current });
+        }, STATS_UPDATE_MS);
+        return () => clearInterval(interval);
+    }, [wsConnected]);
+
+    const connectWebSocket = useCallback(() => {
+        if (!isWebSocketUrl(wsUrl)) {
+            setWsStatus('Invalid URL (expected ws:// or wss://)');
+            return;
         }
+        reconnectAttemptRef.current = 0;
+        setWsStats(null);
+        setWsSession(null);
+        setWsError(null);
+        setWsStatus('Connecting...');
+        setActiveUrl(wsUrl);
+    }, [wsUrl]);
+
+    const disconnectWebSocket = useCallback(() => {
+        setActiveUrl(null);
         setWsConnected(false);
         setWsStatus('Disconnected');
     }, []);
 
-    // Cleanup on unmount
-    useEffect(() => {
-        return () => {
-            if (wsRef.current) {
-                wsRef.current.close();
-            }
-        };
+    // The endpoint is remembered across page loads
+    const setWsUrl = useCallback((url) => {
+        setWsUrlState(url);
+        try {
+            localStorage.setItem(WS_URL_STORAGE_KEY, url);
+        } catch (error) {
+            console.warn('Could not save the WebSocket URL:', error);
+        }
     }, []);
 
     return {
         wsConnected,
+        wsActive: activeUrl !== null,
         wsStatus,
+        wsUrl,
+        setWsUrl,
+        wsStats,
+        wsSession,
+        wsError,
         connectWebSocket,
         disconnectWebSocket
     };
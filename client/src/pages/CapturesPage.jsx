@@ -1,12 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import DatasetControls from '../components/DatasetControls';
+import ExportControls from '../components/ExportControls';
 import { useDatasetGeneration } from '../hooks/useDatasetGeneration';
+import { useDatasetExport } from '../hooks/useDatasetExport';
+import { SCENES, DEFAULT_SCENE_TYPE } from '../config/scenes';
 
 const CapturesPage = () => {
-    const [selectedScene, setSelectedScene] = useState('table');
+    const [selectedScene, setSelectedScene] = useState(DEFAULT_SCENE_TYPE);
     const [sessions, setSessions] = useState([]);
     const [selectedSession, setSelectedSession] = useState(null);
     const [captures, setCaptures] = useState([]);
+    const [episodes, setEpisodes] = useState([]);
+    const [episodeFilter, setEpisodeFilter] = useState('all'); // all, success, failure, or an episode index
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
 
@@ -34,6 +39,14 @@ const CapturesPage = () => {
         reset
     } = useDatasetGeneration(selectedSession, selectedScene);
     
+    // LeRobot dataset export hook
+    const {
+        exportState,
+        exportResult,
+        error: exportError,
+        exportSessions
+    } = useDatasetExport(selectedScene);
+
     // State for showing used prompts (for completed generations)
     const [showCurrentPrompts, setShowCurrentPrompts] = useState(false);
 
@@ -77,6 +90,7 @@ const CapturesPage = () => {
     useEffect(() => {
         if (!selectedSession) {
             setCaptures([]);
+            setEpisodes([]);
             return;
         }
 
@@ -91,10 +105,13 @@ const CapturesPage = () => {
                 }
                 const data = await response.json();
                 setCaptures(data.captures || []);
+                setEpisodes(data.episodes || []);
+                setEpisodeFilter('all');
             } catch (err) {
                 console.error('Error fetching captures:', err);
                 setError(err.message);
                 setCaptures([]);
+                setEpisodes([]);
             } finally {
                 setLoading(false);
             }
@@ -124,6 +141,25 @@ const CapturesPage = () => {
 
     const sessionInfo = getSessionInfo();
 
+    // Captures shown in the list, keeping each capture's index in the session
+    // (generated images are matched by that index)
+    const episodesById = Object.fromEntries(episodes.map(episode => [episode.episodeIndex, episode]));
+    const visibleCaptures = captures
+        .map((capture, index) => ({ capture, index, episode: episodesById[capture.state?.episodeIndex] }))
+        .filter(({ episode }) => {
+            if (episodeFilter === 'all') return true;
+            if (episodeFilter === 'success') return episode?.success === true;
+            if (episodeFilter === 'failure') return episode?.success === false;
+            return episode?.episodeIndex === parseInt(episodeFilter);
+        });
+
+    // Format an episode's outcome for display
+    const formatEpisodeOutcome = (episode) => {
+        if (episode.success === true) return '✓ success';
+        if (episode.success === false) return '✗ failure';
+        return episode.endedAt ? 'unlabeled' : 'in progress';
+    };
+
     // Format generation datetime for display
     const formatGenerationDateTime = (generationId) => {
         // generationId format: gen-YYYY-MM-DD-HH-MM-SS
@@ -217,58 +253,27 @@ const CapturesPage = () => {
                 </h1>
                 
                 {/* Scene Tabs */}
-                <div style={{ display: 'flex', gap: '10px' }}>
-                    <button
-                        onClick={() => setSelectedScene('table')}
-                        style={{
-                            flex: 1,
-                            padding: '12px 20px',
-                            background: selectedScene === 'table' ? '#2196F3' : '#e0e0e0',
-                            color: selectedScene === 'table' ? 'white' : '#666',
-                            border: 'none',
-                            borderRadius: '4px',
-                            cursor: 'pointer',
-                            fontWeight: selectedScene === 'table' ? 'bold' : 'normal',
-                            fontSize: '16px',
-                            transition: 'all 0.3s'
-                        }}
-                    >
-                        Table Scene
-                    </button>
-                    <button
-                        onClick={() => setSelectedScene('moon')}
-                        style={{
-                            flex: 1,
-                            padding: '12px 20px',
-                            background: selectedScene === 'moon' ? '#2196F3' : '#e0e0e0',
-                            color: selectedScene === 'moon' ? 'white' : '#666',
-                            border: 'none',
-                            borderRadius: '4px',
-                            cursor: 'pointer',
-                            fontWeight: selectedScene === 'moon' ? 'bold' : 'normal',
-                            fontSize: '16px',
-                            transition: 'all 0.3s'
-                        }}
-                    >
-                        Moon Scene
-                    </button>
-                    <button
-                        onClick={() => setSelectedScene('cat')}
-                        style={{
-                            flex: 1,
-                            padding: '12px 20px',
-                            background: selectedScene === 'cat' ? '#2196F3' : '#e0e0e0',
-                            color: selectedScene === 'cat' ? 'white' : '#666',
-                            border: 'none',
-                            borderRadius: '4px',
-                            cursor: 'pointer',
-                            fontWeight: selectedScene === 'cat' ? 'bold' : 'normal',
-                            fontSize: '16px',
-                            transition: 'all 0.3s'
-                        }}
-                    >
-                        Cat Scene
-                    </button>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
+                    {SCENES.map(scene => (
+                        <button
+                            key={scene.id}
+                            onClick={() => setSelectedScene(scene.id)}
+                            style={{
+                                flex: 1,
+                                padding: '12px 20px',
+                                background: selectedScene === scene.id ? '#2196F3' : '#e0e0e0',
+                                color: selectedScene === scene.id ? 'white' : '#666',
+                                border: 'none',
+                                borderRadius: '4px',
+                                cursor: 'pointer',
+                                fontWeight: selectedScene === scene.id ? 'bold' : 'normal',
+                                fontSize: '16px',
+                                transition: 'all 0.3s'
+                            }}
+                        >
+                            {scene.name}
+                        </button>
+                    ))}
                 </div>
             </div>
 
@@ -355,6 +360,43 @@ const CapturesPage = () => {
                         </div>
                     )}
 
+                    {/* Episode Filter - Only for sessions recorded with episodes */}
+                    {episodes.length > 0 && (
+                        <div style={{ marginBottom: '20px' }}>
+                            <label style={{ 
+                                display: 'block', 
+                                marginBottom: '8px',
+                                fontWeight: 'bold',
+                                fontSize: '14px',
+                                color: '#333'
+                            }}>
+                                Show Episodes:
+                            </label>
+                            <select
+                                value={episodeFilter}
+                                onChange={(e) => setEpisodeFilter(e.target.value)}
+                                style={{
+                                    width: '100%',
+                                    padding: '10px',
+                                    fontSize: '14px',
+                                    border: '2px solid #e0e0e0',
+                                    borderRadius: '4px',
+                                    background: '#fff',
+                                    cursor: 'pointer'
+                                }}
+                            >
+                                <option value="all">All episodes</option>
+                                <option value="success">Successful episodes</option>
+                                <option value="failure">Failed episodes</option>
+                                {episodes.map((episode) => (
+                                    <option key={episode.episodeIndex} value={episode.episodeIndex}>
+                                        Episode {episode.episodeIndex}{episode.task ? ` - ${episode.task}` : ''} ({formatEpisodeOutcome(episode)}, {episode.frameCount} frames)
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
                     {/* Prompt Editors - Shown inline based on state */}
                     {generationState === 'idle' && (
                         <div style={{ marginTop: '20px' }}>
@@ -430,6 +472,8 @@ const CapturesPage = () => {
                                 <strong>Session:</strong> {formatSessionDateTime(sessionInfo.sessionId)}
                                 <br />
                                 <strong>Captures:</strong> {sessionInfo.captureCount}
+                                <br />
+                                <strong>Episodes:</strong> {episodes.length} ({episodes.filter(e => e.success === true).length} successful)
                             </div>
                         )}
                         
@@ -448,6 +492,21 @@ const CapturesPage = () => {
                         </div>
                     </div>
 
+                    {/* LeRobot Dataset Export */}
+                    {sessions.length > 0 && (
+                        <ExportControls
+                            key={selectedScene}
+                            sessions={sessions}
+                            selectedSession={selectedSession}
+                            currentGenerationId={currentGenerationId}
+                            formatSessionLabel={formatSessionDateTime}
+                            exportState={exportState}
+                            exportResult={exportResult}
+                            error={exportError}
+                            onExport={exportSessions}
+                        />
+                    )}
+
                     {/* Show Prompts for Current Generation - Only for completed generations */}
                     {currentPrompts && (generationState === 'first-complete' || generationState === 'batch-complete') && (
                         <div style={{ marginTop: '20px' }}>
@@ -553,9 +612,9 @@ const CapturesPage = () => {
 
                 {!loading && !error && captures.length > 0 && (
                     <div style={{ display: 'flex', flexDirection: 'column', gap: '20px' }}>
-                        {captures.map((capture, index) => (
+                        {visibleCaptures.map(({ capture, index, episode }) => (
                             <div
-                                key={index}
+                                key={capture.filename}
                                 style={{
                                     display: 'flex',
                                     gap: '20px',
@@ -577,6 +636,11 @@ const CapturesPage = () => {
                                         borderRadius: '4px'
                                     }}>
                                         Original #{index + 1}
+                                        {episode && (
+                                            <span style={{ fontWeight: 'normal', color: '#666' }}>
+                                                {' '}· Episode {episode.episodeIndex} ({formatEpisodeOutcome(episode)})
+                                            </span>
+                                        )}
                                     </div>
                                     <img
                                         src={`http://localhost:3000/captures/${capture.path}`}
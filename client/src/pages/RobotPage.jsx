@@ -3,32 +3,66 @@ import UrdfViewer from '../components/UrdfViewer';
 import SceneSelector from '../components/SceneSelector';
 import ControlPanel from '../components/ControlPanel';
 import DebugPanel from '../components/DebugPanel';
+import TrajectoryPlayer from '../components/TrajectoryPlayer';
+import OfflineRenderPanel from '../components/OfflineRenderPanel';
+import RandomizationPanel from '../components/RandomizationPanel';
+import SceneEditorPanel from '../components/SceneEditorPanel';
+import CartesianControlPanel from '../components/CartesianControlPanel';
+import LocalTeleopPanel from '../components/LocalTeleopPanel';
+import PickAndPlacePanel from '../components/PickAndPlacePanel';
+import CalibrationPanel from '../components/CalibrationPanel';
+import TeleopFilterPanel from '../components/TeleopFilterPanel';
 import { useWebSocket } from '../hooks/useWebSocket';
+import { useCaptureScheduler } from '../hooks/useCaptureScheduler';
+import { useTrajectoryRecorder } from '../hooks/useTrajectoryRecorder';
+import { useTrajectoryPlayer } from '../hooks/useTrajectoryPlayer';
+import { useOfflineRender } from '../hooks/useOfflineRender';
+import { useDomainRandomization } from '../hooks/useDomainRandomization';
+import { useSceneEditor } from '../hooks/useSceneEditor';
+import { useCartesianControl } from '../hooks/useCartesianControl';
+import { useLocalTeleop } from '../hooks/useLocalTeleop';
+import { usePickAndPlace } from '../hooks/usePickAndPlace';
+import { useCalibration } from '../hooks/useCalibration';
+import { useJointFilter } from '../hooks/useJointFilter';
+import { createSessionId, startEpisode, endEpisode } from '../utils/sessionApi';
+import { getSceneCameras } from '../config/sceneObjects';
+import { DEFAULT_SCENE_TYPE, getScene } from '../config/scenes';
 
 const RobotPage = () => {
     const [joints, setJoints] = useState({});
     const [cameraPose, setCameraPose] = useState(null);
-    const [sceneType, setSceneType] = useState('table');
+    const [sceneType, setSceneType] = useState(DEFAULT_SCENE_TYPE);
     const [isCapturing, setIsCapturing] = useState(false);
     const [currentSessionId, setCurrentSessionId] = useState(null);
-    const [carMoving, setCarMoving] = useState(false);
+    const [currentEpisode, setCurrentEpisode] = useState(null);
+    const [episodeCount, setEpisodeCount] = useState(0);
+    const [taskDescription, setTaskDescription] = useState('');
+    const [captureMode, setCaptureMode] = useState('interval'); // interval, teleop, manual
+    const [captureRateHz, setCaptureRateHz] = useState(1);
+    const [captureEveryN, setCaptureEveryN] = useState(1);
+    const [objectAnimating, setObjectAnimating] = useState(false);
 
     const urdfViewerRef = useRef(null);
     const jointValuesRef = useRef({});
-    const captureIntervalRef = useRef(null);
+    const currentEpisodeRef = useRef(null);
+    const episodeStartingRef = useRef(false);
     const lastPoseUpdateRef = useRef(0);
-    const carAnimationRef = useRef(null);
-    const carStartPositionRef = useRef(0.5); // Match initial position in catScene.js
+    const objectAnimationRef = useRef(null);
+    const teleopCommandsRef = useRef({}); // Episode controls for teleop command messages, set once they exist
 
-    // Fixed camera pose for captures
-    const fixedCameraPose = {
-        position: { x: 0.10, y: 0.49, z: -0.16 },
-        rotation: { x: -1.57, y: -0.46, z: -1.58 }
-    };
+    // Every applied joint update of an episode goes into the session's trajectory.jsonl
+    const {
+        sampleCount: trajectorySamples,
+        start: startTrajectory,
+        stop: stopTrajectory,
+        onJointUpdate: recordJointUpdate,
+        onTeleopMessage: recordTeleopMessage
+    } = useTrajectoryRecorder(sceneType, () => jointValuesRef.current);
 
     // Joint update handler
     const handleJointUpdate = useCallback((motorName, scaledValue) => {
         jointValuesRef.current[motorName] = scaledValue;
+        recordJointUpdate();
 
         if (urdfViewerRef.current && urdfViewerRef.current.setJointValue) {
             urdfViewerRef.current.setJointValue(motorName, scaledValue);
@@ -45,11 +79,125 @@ const RobotPage = () => {
         if (slider) {
             slider.value = scaledValue;
         }
+    }, [recordJointUpdate]);
+
+    // Randomizes light, background, objects, cameras and robot color per episode or per frame
+    const randomization = useDomainRandomization(urdfViewerRef, sceneType);
+    const {
+        startEpisode: randomizeEpisode,
+        prepareFrame: prepareRandomizedFrame,
+        endEpisode: endRandomizedEpisode
+    } = randomization;
+
+    // Moves, adds and removes scene objects and saves the layout as a scene definition
+    const sceneEditor = useSceneEditor(urdfViewerRef, sceneType);
+
+    // Capture one frame of the running episode
+    const captureEpisodeFrame = useCallback(async ({ teleopTimestamp }) => {
+        const episode = currentEpisodeRef.current;
+        if (!episode || !urdfViewerRef.current || !urdfViewerRef.current.captureFromPose) return;
+
+        const jointValues = { ...jointValuesRef.current };
+        const { cameras, randomization: frameRandomization } = await prepareRandomizedFrame();
+        urdfViewerRef.current.captureFromPose(cameras, sceneType, episode.sessionId, {
+            jointValues,
+            episodeIndex: episode.episodeIndex,
+            teleopTimestamp,
+            randomization: frameRandomization
+        });
+    }, [sceneType, prepareRandomizedFrame]);
+
+    // Capture scheduler (fixed rate, synced to teleop messages, or on demand)
+    const {
+        achievedFps,
+        targetFps,
+        start: startScheduler,
+        stop: stopScheduler,
+        onTeleopMessage,
+        captureNow
+    } = useCaptureScheduler(captureEpisodeFrame, {
+        mode: captureMode,
+        rateHz: captureRateHz,
+        everyN: captureEveryN
+    });
+
+    const handleTeleopMessage = useCallback((data) => {
+        recordTeleopMessage(data);
+        onTeleopMessage(data);
+    }, [recordTeleopMessage, onTeleopMessage]);
+
+    // Smooths, rate-limits and interpolates the mapped WebSocket targets before they reach the robot;
+    // messages reach capture and recording once the robot rests on their targets
+    const jointFilter = useJointFilter(
+        urdfViewerRef, joints, () => jointValuesRef.current, handleJointUpdate, handleTeleopMessage
+    );
+    const { reset: resetJointFilter, onMessage: filterTeleopMessage } = jointFilter;
+
+    // Leader-to-URDF mapping of WebSocket messages; the calibration panel previews it on the raw values
+    const calibration = useCalibration(joints);
+    const { observe: observeLeader } = calibration;
+    const handleLeaderMessage = useCallback((data) => {
+        observeLeader(data.actions);
+        filterTeleopMessage(data);
+    }, [observeLeader, filterTeleopMessage]);
+
+    // Command messages from the teleop source drive episodes like the capture controls
+    const handleTeleopCommand = useCallback((data) => {
+        const { startCapture, stopCapture, captureNow } = teleopCommandsRef.current;
+        console.log(`🎮 Teleop command: ${data.command}`);
+        if (data.command === 'start_episode') {
+            startCapture(data.task);
+        } else if (data.command === 'end_episode') {
+            stopCapture(data.success ?? null);
+        } else if (data.command === 'capture_frame') {
+            captureNow();
+        }
     }, []);
 
     // WebSocket hook
-    const { wsConnected, wsStatus, connectWebSocket, disconnectWebSocket } = 
-        useWebSocket(joints, handleJointUpdate);
+    const {
+        wsConnected,
+        wsActive,
+        wsStatus,
+        wsUrl,
+        setWsUrl,
+        wsStats,
+        wsSession,
+        wsError,
+        connectWebSocket,
+        disconnectWebSocket
+    } = useWebSocket(joints, jointFilter.onJointUpdate, handleLeaderMessage, calibration.jointCalibration, handleTeleopCommand);
+
+    // A new stream starts from where the robot is
+    React.useEffect(() => {
+        if (!wsConnected) {
+            resetJointFilter();
+        }
+    }, [wsConnected, resetJointFilter]);
+
+    // Keyboard / gamepad teleop, fed through the same path as WebSocket messages
+    const localTeleop = useLocalTeleop(
+        urdfViewerRef, joints, () => jointValuesRef.current, handleJointUpdate, handleTeleopMessage
+    );
+    const { stop: stopLocalTeleop } = localTeleop;
+    const teleopActive = wsConnected || localTeleop.active;
+
+    // Replays recorded trajectories through the same joint update path
+    const trajectoryPlayer = useTrajectoryPlayer(handleJointUpdate);
+    const { pause: pausePlayback } = trajectoryPlayer;
+
+    // Drives the arm from end-effector poses (target gizmo, typed pose or moveTo) through IK
+    const cartesianControl = useCartesianControl(urdfViewerRef, handleJointUpdate);
+
+    // Live teleop takes over the robot; the WebSocket wins over local input
+    React.useEffect(() => {
+        if (teleopActive) {
+            pausePlayback();
+        }
+        if (wsConnected) {
+            stopLocalTeleop();
+        }
+    }, [teleopActive, wsConnected, pausePlayback, stopLocalTeleop]);
 
     // Manual joint change handler
     const handleJointChange = (name, value) => {
@@ -63,9 +211,12 @@ const RobotPage = () => {
         Object.entries(loadedJoints).forEach(([name, joint]) => {
             if (joint._jointType !== 'fixed') {
                 const initialValue = joint.jointValue?.[0] || 0;
+                // urdf-loader doesn't read the velocity limit, so take it from the joint's <limit> element
+                const velocity = parseFloat(joint.urdfNode?.querySelector('limit')?.getAttribute('velocity'));
                 jointsData[name] = {
                     min: joint.limit.lower,
                     max: joint.limit.upper,
+                    velocity: Number.isFinite(velocity) ? velocity : null,
                     value: initialValue,
                     type: joint._jointType
                 };
@@ -84,152 +235,189 @@ const RobotPage = () => {
         }
     }, []);
 
-    // Generate session ID based on current datetime
-    const generateSessionId = () => {
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const day = String(now.getDate()).padStart(2, '0');
-        const hours = String(now.getHours()).padStart(2, '0');
-        const minutes = String(now.getMinutes()).padStart(2, '0');
-        const seconds = String(now.getSeconds()).padStart(2, '0');
-        return `session-${year}-${month}-${day}-${hours}-${minutes}-${seconds}`;
-    };
-
     // Single capture handler
     const captureCamera = useCallback(() => {
         if (urdfViewerRef.current && urdfViewerRef.current.captureFromPose) {
             // Create a new session for single capture
-            const sessionId = generateSessionId();
-            urdfViewerRef.current.captureFromPose(fixedCameraPose, sceneType, sessionId);
+            const sessionId = createSessionId();
+            urdfViewerRef.current.captureFromPose(getSceneCameras(sceneType), sceneType, sessionId, {
+                jointValues: jointValuesRef.current
+            });
         }
     }, [sceneType]);
 
-    // Start continuous capture
-    const startCapture = useCallback(() => {
-        if (captureIntervalRef.current) return; // Already capturing
+    // Start a new episode (and a new session if none is open) and start the capture scheduler
+    // `task` overrides the task description, e.g. for scripted episodes; resolves to the episode, or null
+    const startCapture = useCallback(async (task) => {
+        if (currentEpisodeRef.current || episodeStartingRef.current) return null; // Already capturing
+
+        const sessionId = currentSessionId || createSessionId();
+        episodeStartingRef.current = true;
+
+        let episode;
+        try {
+            episode = await startEpisode(sceneType, sessionId, task ?? taskDescription.trim());
+        } catch (error) {
+            console.error('Failed to start episode:', error);
+            return null;
+        } finally {
+            episodeStartingRef.current = false;
+        }
 
-        // Create a new session for this capture sequence
-        const sessionId = generateSessionId();
+        console.log(`🎬 Episode ${episode.episodeIndex} started in ${sessionId}`);
+        currentEpisodeRef.current = { ...episode, sessionId };
         setCurrentSessionId(sessionId);
+        setCurrentEpisode(episode);
+        setEpisodeCount(episode.episodeIndex + 1);
         setIsCapturing(true);
-        
-        // Capture immediately
-        if (urdfViewerRef.current && urdfViewerRef.current.captureFromPose) {
-            urdfViewerRef.current.captureFromPose(fixedCameraPose, sceneType, sessionId);
-        }
 
-        // Then capture every 1 second
-        captureIntervalRef.current = setInterval(() => {
-            if (urdfViewerRef.current && urdfViewerRef.current.captureFromPose) {
-                urdfViewerRef.current.captureFromPose(fixedCameraPose, sceneType, sessionId);
-            }
-        }, 1000);
-    }, [sceneType]);
+        await randomizeEpisode(episode.episodeIndex);
+        startTrajectory(sessionId, episode.episodeIndex);
+        startScheduler();
+        return episode;
+    }, [sceneType, currentSessionId, taskDescription, startScheduler, startTrajectory, randomizeEpisode]);
 
-    // Stop continuous capture
-    const stopCapture = useCallback(() => {
-        if (captureIntervalRef.current) {
-            clearInterval(captureIntervalRef.current);
-            captureIntervalRef.current = null;
-        }
+    // Stop continuous capture and label the episode (true = success, false = failure, null = unlabeled)
+    const stopCapture = useCallback(async (success = null) => {
+        stopScheduler();
+        endRandomizedEpisode();
         setIsCapturing(false);
+        setCurrentEpisode(null);
+
+        const episode = currentEpisodeRef.current;
+        currentEpisodeRef.current = null;
+        if (episode) {
+            await stopTrajectory();
+            try {
+                await endEpisode(sceneType, episode.sessionId, episode.episodeIndex, success);
+                console.log(`🏁 Episode ${episode.episodeIndex} ended (success: ${success})`);
+            } catch (error) {
+                console.error('Failed to end episode:', error);
+            }
+        }
+    }, [sceneType, stopScheduler, stopTrajectory, endRandomizedEpisode]);
+
+    React.useEffect(() => {
+        teleopCommandsRef.current = { startCapture, stopCapture, captureNow };
+    });
+
+    // Close the current session so the next episode starts a new one
+    const startNewSession = useCallback(() => {
         setCurrentSessionId(null);
+        setEpisodeCount(0);
     }, []);
 
-    // Cleanup on unmount
+    // Sessions belong to one scene, so switching scenes closes the open session
+    const handleSceneChange = useCallback((newSceneType) => {
+        if (newSceneType === sceneType) return;
+        if (currentEpisodeRef.current) {
+            stopCapture(null);
+        }
+        startNewSession();
+        setSceneType(newSceneType);
+    }, [sceneType, stopCapture, startNewSession]);
+
+    // Re-renders a trajectory into other scenes, switching scenes as it goes
+    const offlineRender = useOfflineRender({
+        viewerRef: urdfViewerRef,
+        onJointUpdate: handleJointUpdate,
+        onSceneChange: handleSceneChange,
+        randomization
+    });
+
+    // Scripted pick-and-place episodes, played through the teleop path while capturing
+    const pickAndPlace = usePickAndPlace({
+        viewerRef: urdfViewerRef,
+        sceneType,
+        joints,
+        getJointValues: () => jointValuesRef.current,
+        onJointUpdate: handleJointUpdate,
+        onMessage: handleTeleopMessage,
+        startCapture,
+        stopCapture
+    });
+    const { stop: stopPickAndPlace } = pickAndPlace;
+
+    // The WebSocket takes over from a running script too
     React.useEffect(() => {
-        return () => {
-            if (captureIntervalRef.current) {
-                clearInterval(captureIntervalRef.current);
-            }
-            if (carAnimationRef.current) {
-                cancelAnimationFrame(carAnimationRef.current);
-            }
-        };
-    }, []);
+        if (wsConnected) {
+            stopPickAndPlace();
+        }
+    }, [wsConnected, stopPickAndPlace]);
+
+    // Object animation declared by the scene (`animation` in scenes/<id>.json), e.g. the cat scene's car
+    const sceneAnimation = getScene(sceneType).animation;
 
-    // Car movement animation (for cat scene)
-    const startCarMovement = useCallback(() => {
-        if (sceneType !== 'cat' || !urdfViewerRef.current) return;
-        
-        console.log('🚗 Starting car movement animation');
-        setCarMoving(true);
-        
-        const startZ = carStartPositionRef.current;
-        const endZ = 0;
-        const duration = 10000; // 10 seconds for slower, more visible movement
+    const startObjectAnimation = useCallback(() => {
+        const viewer = urdfViewerRef.current;
+        const object = sceneAnimation && viewer?.scene?.getObjectByName(sceneAnimation.object);
+        if (!object) return;
+
+        console.log(`🎬 Starting ${sceneAnimation.object} animation`);
+        setObjectAnimating(true);
+
+        // Continues from wherever the object is now
+        const start = object.position.toArray();
+        const end = sceneAnimation.to;
+        const duration = (sceneAnimation.duration ?? 10) * 1000;
         const startTime = Date.now();
-        
+
         const animate = () => {
             const elapsed = Date.now() - startTime;
             const progress = Math.min(elapsed / duration, 1);
-            
+
             // Ease-out cubic for smooth deceleration
             const easeProgress = 1 - Math.pow(1 - progress, 3);
-            const currentZ = startZ + (endZ - startZ) * easeProgress;
-            
-            // Access the car Group and update its position (like gripping does)
-            const viewer = urdfViewerRef.current;
-            if (viewer && viewer.scene && viewer.renderer && viewer.camera) {
-                const carGroup = viewer.scene.getObjectByName('cat_splat_1');
-                if (carGroup) {
-                    // Move the Group directly (same as gripping)
-                    carGroup.position.z = currentZ;
-                    
-                    // Force matrix updates
-                    carGroup.updateMatrixWorld(true);
-                    
-                    // Force a render update
-                    viewer.renderer.render(viewer.scene, viewer.camera);
-                    
-                    carStartPositionRef.current = currentZ;
-                }
-            }
-            
+
+            // Move the Group directly (like gripping does)
+            object.position.fromArray(start.map((value, i) => value + (end[i] - value) * easeProgress));
+            object.updateMatrixWorld(true);
+            viewer.renderer.render(viewer.scene, viewer.camera);
+
             if (progress < 1) {
-                carAnimationRef.current = requestAnimationFrame(animate);
+                objectAnimationRef.current = requestAnimationFrame(animate);
             } else {
-                console.log('🚗 Car movement complete at z=0');
-                setCarMoving(false);
+                console.log(`🎬 ${sceneAnimation.object} animation complete`);
+                objectAnimationRef.current = null;
+                setObjectAnimating(false);
             }
         };
-        
-        carAnimationRef.current = requestAnimationFrame(animate);
-    }, [sceneType]);
 
-    const resetCar = useCallback(() => {
-        console.log('🔄 Resetting car');
-        
-        // Stop animation
-        if (carAnimationRef.current) {
-            cancelAnimationFrame(carAnimationRef.current);
-            carAnimationRef.current = null;
+        objectAnimationRef.current = requestAnimationFrame(animate);
+    }, [sceneAnimation]);
+
+    const resetObjectAnimation = useCallback(() => {
+        if (objectAnimationRef.current) {
+            cancelAnimationFrame(objectAnimationRef.current);
+            objectAnimationRef.current = null;
         }
-        
-        // Reset position to start
+
         const viewer = urdfViewerRef.current;
-        if (viewer && viewer.scene && viewer.renderer && viewer.camera) {
-            const carGroup = viewer.scene.getObjectByName('cat_splat_1');
-            if (carGroup && carGroup.userData.initialPosition) {
-                const initialPos = carGroup.userData.initialPosition;
-                
-                // Reset Group position (same as gripping)
-                carGroup.position.set(initialPos[0], initialPos[1], initialPos[2]);
-                
-                // Force matrix updates
-                carGroup.updateMatrixWorld(true);
-                
-                // Force a render update
-                viewer.renderer.render(viewer.scene, viewer.camera);
-                
-                carStartPositionRef.current = initialPos[2];
-                console.log('🔄 Car reset to initial position z=' + initialPos[2]);
-            }
+        const object = sceneAnimation && viewer?.scene?.getObjectByName(sceneAnimation.object);
+        if (object?.userData.initialPosition) {
+            object.position.fromArray(object.userData.initialPosition);
+            object.updateMatrixWorld(true);
+            viewer.renderer.render(viewer.scene, viewer.camera);
+            console.log(`🔄 ${sceneAnimation.object} reset to its initial position`);
         }
-        
-        setCarMoving(false);
-    }, []);
+
+        setObjectAnimating(false);
+    }, [sceneAnimation]);
+
+    // Switching scenes (or leaving the page) stops a running animation
+    React.useEffect(() => {
+        return () => {
+            if (objectAnimationRef.current) {
+                cancelAnimationFrame(objectAnimationRef.current);
+                objectAnimationRef.current = null;
+            }
+            setObjectAnimating(false);
+        };
+    }, [sceneType]);
+
+    // Teleop, scripts, playback and offline renders drive the joints themselves
+    const jointsDriven = teleopActive || pickAndPlace.running;
+    const cartesianDisabled = jointsDriven || trajectoryPlayer.isPlaying || offlineRender.isRendering;
 
     return (
         <div style={{ display: 'flex', height: '100vh', width: '100vw' }}>
@@ -241,6 +429,13 @@ const RobotPage = () => {
                     onJointsLoaded={onJointsLoaded}
                     onCameraPoseChange={onCameraPoseChange}
                     sceneType={sceneType}
+                    pipCamera={getSceneCameras(sceneType).find(camera => camera.attachTo)}
+                    editMode={sceneEditor.editing && !isCapturing && !offlineRender.isRendering}
+                    transformMode={sceneEditor.transformMode}
+                    onEditorSelect={sceneEditor.onSelect}
+                    ikTarget={cartesianControl.showTarget && !sceneEditor.editing && !cartesianDisabled}
+                    ikTargetMode={cartesianControl.targetMode}
+                    onIkTargetChange={cartesianControl.onTargetChange}
                 />
             </div>
 
@@ -262,22 +457,110 @@ const RobotPage = () => {
                     {/* Scene Selector */}
                     <SceneSelector 
                         sceneType={sceneType} 
-                        onChange={setSceneType} 
+                        onChange={handleSceneChange} 
                     />
 
                     {/* Control Panel */}
                     <ControlPanel
                         wsConnected={wsConnected}
+                        wsActive={wsActive}
                         wsStatus={wsStatus}
+                        wsUrl={wsUrl}
+                        onWsUrlChange={setWsUrl}
+                        wsStats={wsStats}
+                        wsSession={wsSession}
+                        wsError={wsError}
                         onConnect={connectWebSocket}
                         onDisconnect={disconnectWebSocket}
                         isCapturing={isCapturing}
                         onStartCapture={startCapture}
                         onStopCapture={stopCapture}
+                        taskDescription={taskDescription}
+                        onTaskDescriptionChange={setTaskDescription}
+                        currentSessionId={currentSessionId}
+                        currentEpisode={currentEpisode}
+                        episodeCount={episodeCount}
+                        onNewSession={startNewSession}
+                        captureMode={captureMode}
+                        onCaptureModeChange={setCaptureMode}
+                        captureRateHz={captureRateHz}
+                        onCaptureRateChange={setCaptureRateHz}
+                        captureEveryN={captureEveryN}
+                        onCaptureEveryNChange={setCaptureEveryN}
+                        achievedFps={achievedFps}
+                        targetFps={targetFps}
+                        onCaptureFrame={captureNow}
+                        trajectorySamples={trajectorySamples}
+                    />
+
+                    {/* Leader Calibration */}
+                    <CalibrationPanel
+                        calibration={calibration}
+                        joints={joints}
+                        streaming={wsConnected}
+                    />
+
+                    {/* Teleop Filter */}
+                    <TeleopFilterPanel
+                        filter={jointFilter}
+                        joints={joints}
+                    />
+
+                    {/* Keyboard / Gamepad Teleop */}
+                    <LocalTeleopPanel
+                        teleop={localTeleop}
+                        ready={Object.keys(joints).length > 0}
+                        disabled={wsConnected || pickAndPlace.running || trajectoryPlayer.isPlaying || offlineRender.isRendering}
+                    />
+
+                    {/* End-Effector Control */}
+                    <CartesianControlPanel
+                        control={cartesianControl}
+                        ready={Object.keys(joints).length > 0}
+                        disabled={cartesianDisabled}
+                    />
+
+                    {/* Scripted Pick-and-Place */}
+                    <PickAndPlacePanel
+                        script={pickAndPlace}
+                        ready={Object.keys(joints).length > 0}
+                        disabled={
+                            teleopActive || trajectoryPlayer.isPlaying || offlineRender.isRendering ||
+                            sceneEditor.editing || (isCapturing && !pickAndPlace.running)
+                        }
+                    />
+
+                    {/* Domain Randomization */}
+                    <RandomizationPanel
+                        randomization={randomization}
+                        disabled={isCapturing || offlineRender.isRendering}
+                    />
+
+                    {/* Scene Editor */}
+                    <SceneEditorPanel
+                        key={sceneType}
+                        sceneType={sceneType}
+                        editor={sceneEditor}
+                        disabled={isCapturing || offlineRender.isRendering}
+                    />
+
+                    {/* Trajectory Playback */}
+                    <TrajectoryPlayer
+                        key={sceneType}
+                        sceneType={sceneType}
+                        player={trajectoryPlayer}
+                        disabled={jointsDriven || offlineRender.isRendering}
+                    />
+
+                    {/* Offline Render */}
+                    <OfflineRenderPanel
+                        sceneType={sceneType}
+                        renderer={offlineRender}
+                        disabled={jointsDriven || isCapturing}
                     />
 
-                    {/* Car Movement Control (Cat Scene Only) */}
-                    {sceneType === 'cat' && (
+                    {/* Object Animation (scenes with an `animation`) */}
+                    {sceneAnimation && (
                         <div style={{
                             marginTop: '20px',
                             padding: '15px',
@@ -286,14 +569,14 @@ const RobotPage = () => {
                             boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
                         }}>
                             <h3 style={{ marginTop: 0, marginBottom: '10px', fontSize: '16px' }}>
-                                Car Animation
+                                {sceneAnimation.label || sceneAnimation.object} Animation
                             </h3>
                             <button
-                                onClick={carMoving ? resetCar : startCarMovement}
+                                onClick={objectAnimating ? resetObjectAnimation : startObjectAnimation}
                                 style={{
                                     width: '100%',
                                     padding: '12px',
-                                    background: carMoving ? '#ff9800' : '#4CAF50',
+                                    background: objectAnimating ? '#ff9800' : '#4CAF50',
                                     color: 'white',
                                     border: 'none',
                                     borderRadius: '4px',
@@ -303,7 +586,7 @@ const RobotPage = () => {
                                     transition: 'background 0.3s'
                                 }}
                             >
-                                {carMoving ? '🔄 Reset' : '🚗 Start Car Movement'}
+                                {objectAnimating ? '🔄 Reset' : `▶️ Start ${sceneAnimation.label || sceneAnimation.object} Movement`}
                             </button>
                         </div>
                     )}
@@ -315,7 +598,7 @@ const RobotPage = () => {
                     joints={joints}
                     onJointChange={handleJointChange}
                     onCapture={captureCamera}
-                    disabled={wsConnected}
+                    disabled={jointsDriven}
                 />
             </div>
         </div>
@@ -0,0 +1,87 @@
+/**
+ * Leader arm calibration
+ *
+ * Maps the values a leader arm streams (-100..100 over each joint's range,
+ * 0..100 for the gripper, as sent by teleop/main.py) onto URDF joint angles.
+ * Per joint:
+ * - inputMin / inputMax: leader values that reach the joint's lower / upper limit
+ * - sign: -1 mirrors the joint (inputMin reaches the upper limit)
+ * - offset: radians added after scaling
+ * - deadZone: leader units around the middle of the input range that map to
+ *   the middle, to hold a joint still against sensor noise
+ * Results are clamped to the joint limits.
+ */
+
+const isGripperJoint = (name) => name.includes('gripper');
+
+// The uncalibrated mapping: the full leader range onto the full joint range
+export const defaultJointCalibration = (name) => ({
+    inputMin: isGripperJoint(name) ? 0 : -100,
+    inputMax: 100,
+    offset: 0,
+    sign: 1,
+    deadZone: 0
+});
+
+/**
+ * Default calibration of every joint
+ * @param {Object} joints - Joint configuration object ({ name: { min, max } })
+ * @returns {Object} { <joint>: calibration }
+ */
+export const defaultCalibration = (joints) =>
+    Object.fromEntries(Object.keys(joints).map(name => [name, defaultJointCalibration(name)]));
+
+/**
+ * Map one leader value onto a joint
+ * @param {number} value - Leader value
+ * @param {Object} calibration - { inputMin, inputMax, offset, sign, deadZone }
+ * @param {Object} [jointInfo] - { min, max } joint limits (rad)
+ * @returns {number} Joint value (rad); without joint limits the value is read as degrees
+ */
+export function mapLeaderValue(value, calibration, jointInfo) {
+    if (!jointInfo) {
+        return (value * Math.PI) / 180;
+    }
+
+    const { inputMin, inputMax, offset, sign, deadZone } = calibration;
+    const center = (inputMin + inputMax) / 2;
+    const halfRange = Math.abs(inputMax - inputMin) / 2;
+
+    // Inside the dead-zone snap to the middle; outside, stretch so the mapping stays continuous
+    let input = value;
+    const fromCenter = value - center;
+    if (deadZone > 0 && deadZone < halfRange) {
+        input = Math.abs(fromCenter) <= deadZone
+            ? center
+            : center + Math.sign(fromCenter) * (Math.abs(fromCenter) - deadZone) * halfRange / (halfRange - deadZone);
+    }
+
+    let t = inputMax === inputMin ? 0.5 : (input - inputMin) / (inputMax - inputMin);
+    t = Math.min(1, Math.max(0, t));
+    if (sign < 0) t = 1 - t;
+
+    const scaled = jointInfo.min + t * (jointInfo.max - jointInfo.min) + offset;
+    return Math.min(jointInfo.max, Math.max(jointInfo.min, scaled));
+}
+
+/**
+ * Map a leader `actions` message onto joint values
+ *
+ * The calibration applies to normalized streams; angles in degrees or radians
+ * (see utils/teleopProtocol.js) are only converted and clamped to the joint limits.
+ * @param {Object} actions - { <joint>: leader value }
+ * @param {Object} joints - Joint configuration object
+ * @param {Object} calibration - { <joint>: calibration }; missing joints use the default
+ * @param {string} [units] - 'normalized', 'degrees' or 'radians'
+ * @returns {Object} { <joint>: value (rad) }
+ */
+export function mapLeaderActions(actions, joints, calibration, units = 'normalized') {
+    return Object.fromEntries(Object.entries(actions).map(([name, value]) => {
+        if (units === 'normalized') {
+            return [name, mapLeaderValue(value, calibration[name] || defaultJointCalibration(name), joints[name])];
+        }
+        const angle = units === 'degrees' ? (value * Math.PI) / 180 : value;
+        const jointInfo = joints[name];
+        return [name, jointInfo ? Math.min(jointInfo.max, Math.max(jointInfo.min, angle)) : angle];
+    }));
+}
@@ -0,0 +1,58 @@
+/**
+ * Backend calls for leader calibration profiles (calibrations/*.json)
+ */
+
+const SERVER_URL = 'http://localhost:3000';
+
+async function request(url, options) {
+    const response = await fetch(url, options);
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `Request to ${url} failed`);
+    }
+    return data;
+}
+
+/**
+ * Names of the saved profiles
+ * @returns {Promise<string[]>}
+ */
+export async function listCalibrations() {
+    const data = await request(`${SERVER_URL}/calibrations`);
+    return data.profiles;
+}
+
+/**
+ * Load a profile
+ * @param {string} name - Profile name
+ * @returns {Promise<Object>} { name, joints, updatedAt }
+ */
+export async function loadCalibration(name) {
+    const data = await request(`${SERVER_URL}/calibrations/${encodeURIComponent(name)}`);
+    return data.profile;
+}
+
+/**
+ * Save a profile, replacing one with the same name
+ * @param {string} name - Profile name (letters, digits, "_" and "-")
+ * @param {Object} joints - { <joint>: { inputMin, inputMax, offset, sign, deadZone } }
+ * @returns {Promise<Object>} The saved profile
+ */
+export async function saveCalibration(name, joints) {
+    const data = await request(`${SERVER_URL}/calibrations/${encodeURIComponent(name)}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ profile: { joints } })
+    });
+    return data.profile;
+}
+
+/**
+ * Delete a profile
+ * @param {string} name - Profile name
+ */
+export async function deleteCalibration(name) {
+    await request(`${SERVER_URL}/calibrations/${encodeURIComponent(name)}`, { method: 'DELETE' });
+}
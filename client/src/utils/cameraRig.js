@@ -0,0 +1,298 @@
+import * as THREE from 'three';
+import { FullScreenQuad } from 'three/examples/jsm/postprocessing/Pass.js';
+
+/**
+ * Helpers for scene capture cameras
+ *
+ * A camera definition is { name, position, rotation, fov, width, height, near? } with
+ * the pose in scene coordinates. Cameras with `attachTo` are mounted on a URDF
+ * link instead: their position/rotation is the mounting offset in that link's
+ * frame, so they follow the robot.
+ */
+
+/**
+ * World pose of a camera definition
+ * @param {Object} camera - Camera definition
+ * @param {Object} robot - URDF robot (needed for cameras with `attachTo`)
+ * @returns {{ position: THREE.Vector3, quaternion: THREE.Quaternion }|null} Null if the link is missing
+ */
+export function getCameraWorldPose(camera, robot) {
+    const position = new THREE.Vector3(camera.position.x, camera.position.y, camera.position.z);
+    const quaternion = new THREE.Quaternion().setFromEuler(
+        new THREE.Euler(camera.rotation.x, camera.rotation.y, camera.rotation.z)
+    );
+
+    if (!camera.attachTo) {
+        return { position, quaternion };
+    }
+
+    const link = robot?.links?.[camera.attachTo];
+    if (!link) {
+        return null;
+    }
+
+    // Joint values may have changed since the last render
+    link.updateWorldMatrix(true, false);
+    const mount = new THREE.Matrix4().compose(position, quaternion, new THREE.Vector3(1, 1, 1));
+    const world = new THREE.Matrix4().multiplyMatrices(link.matrixWorld, mount);
+    world.decompose(position, quaternion, new THREE.Vector3());
+    return { position, quaternion };
+}
+
+// three.js cameras look down -Z with +Y up; OpenCV cameras look down +Z with +Y down
+const THREE_TO_OPENCV = new THREE.Matrix4().makeScale(1, -1, -1);
+
+// Row-major nested arrays from a (column-major) THREE.Matrix4
+function matrixRows(matrix) {
+    const e = matrix.elements;
+    return [0, 1, 2, 3].map(row => [0, 1, 2, 3].map(col => e[col * 4 + row]));
+}
+
+/**
+ * OpenCV pinhole intrinsics for a three.js vertical FOV (square pixels, centered principal point)
+ * @param {number} fov - Vertical field of view in degrees
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Object} { width, height, fx, fy, cx, cy, K, distortion }
+ */
+export function getCameraIntrinsics(fov, width, height) {
+    const fy = (height / 2) / Math.tan(THREE.MathUtils.degToRad(fov) / 2);
+    const fx = fy;
+    const cx = width / 2;
+    const cy = height / 2;
+    return {
+        width,
+        height,
+        fx,
+        fy,
+        cx,
+        cy,
+        K: [[fx, 0, cx], [0, fy, cy], [0, 0, 1]],
+        distortion: [0, 0, 0, 0, 0]
+    };
+}
+
+/**
+ * OpenCV world-to-camera extrinsics of a posed camera, with "world" being the URDF frame (Z up)
+ * @param {THREE.Camera} camera - Camera with an up-to-date matrixWorld
+ * @param {THREE.Object3D} worldFrame - Object whose matrixWorld maps URDF coordinates into the scene (viewer.world)
+ * @returns {Object} { R (3x3), t (3), worldToCamera (4x4) }, row-major
+ */
+export function getCameraExtrinsics(camera, worldFrame) {
+    worldFrame.updateWorldMatrix(true, false);
+    const urdfFromCamera = new THREE.Matrix4()
+        .copy(worldFrame.matrixWorld)
+        .invert()
+        .multiply(camera.matrixWorld)
+        .multiply(THREE_TO_OPENCV);
+    const worldToCamera = matrixRows(urdfFromCamera.invert());
+    return {
+        R: worldToCamera.slice(0, 3).map(row => row.slice(0, 3)),
+        t: worldToCamera.slice(0, 3).map(row => row[3]),
+        worldToCamera
+    };
+}
+
+/**
+ * Pose of a link-mounted camera (OpenCV axes) in its link's frame
+ * @param {Object} camera - Camera definition with `attachTo`
+ * @returns {number[][]} 4x4 link-from-camera transform, row-major
+ */
+export function getCameraMountTransform(camera) {
+    const mount = new THREE.Matrix4().compose(
+        new THREE.Vector3(camera.position.x, camera.position.y, camera.position.z),
+        new THREE.Quaternion().setFromEuler(new THREE.Euler(camera.rotation.x, camera.rotation.y, camera.rotation.z)),
+        new THREE.Vector3(1, 1, 1)
+    );
+    return matrixRows(mount.multiply(THREE_TO_OPENCV));
+}
+
+/**
+ * Create a PerspectiveCamera for a camera definition at its current world pose
+ * @param {Object} camera - Camera definition
+ * @param {Object} robot - URDF robot
+ * @param {Object} defaults - { fov, width, height, near, far } used where the definition has none
+ * @returns {THREE.PerspectiveCamera|null} Null if the camera's link is missing
+ */
+export function createRigCamera(camera, robot, defaults) {
+    const pose = getCameraWorldPose(camera, robot);
+    if (!pose) {
+        return null;
+    }
+
+    const width = camera.width || defaults.width;
+    const height = camera.height || defaults.height;
+    const rigCamera = new THREE.PerspectiveCamera(
+        camera.fov || defaults.fov,
+        width / height,
+        camera.near || defaults.near,
+        defaults.far
+    );
+    rigCamera.position.copy(pose.position);
+    rigCamera.quaternion.copy(pose.quaternion);
+    rigCamera.updateMatrixWorld();
+    return rigCamera;
+}
+
+/**
+ * Render target for color images
+ *
+ * The target stores sRGB (SRGB8_ALPHA8): the GPU encodes the linear shader
+ * output on write, so dark tones keep their precision and the bytes read back
+ * are ready for a PNG. Converting an 8-bit linear target afterwards bands them.
+ * @param {number} width
+ * @param {number} height
+ * @param {Object} [options] - Further WebGLRenderTarget options (e.g. samples)
+ * @returns {THREE.WebGLRenderTarget}
+ */
+export function createColorTarget(width, height, options = {}) {
+    return new THREE.WebGLRenderTarget(width, height, { ...options, colorSpace: THREE.SRGBColorSpace });
+}
+
+/**
+ * Render a scene into a render target and read back the stored bytes as ImageData
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Scene} scene
+ * @param {THREE.Camera} camera
+ * @param {THREE.WebGLRenderTarget} renderTarget - Defines the output resolution; from createColorTarget for sRGB images
+ * @returns {ImageData} Top-down image ready for a 2D canvas
+ */
+export function renderToImageData(renderer, scene, camera, renderTarget) {
+    const { width, height } = renderTarget;
+    const previousTarget = renderer.getRenderTarget();
+
+    renderer.setRenderTarget(renderTarget);
+    renderer.render(scene, camera);
+    renderer.setRenderTarget(previousTarget);
+
+    const pixels = new Uint8Array(width * height * 4);
+    renderer.readRenderTargetPixels(renderTarget, 0, 0, width, height, pixels);
+
+    // WebGL rows start at the bottom
+    const imageData = new ImageData(width, height);
+    const rowLength = width * 4;
+    for (let y = 0; y < height; y++) {
+        const src = (height - 1 - y) * rowLength;
+        imageData.data.set(pixels.subarray(src, src + rowLength), y * rowLength);
+    }
+    return imageData;
+}
+
+// Shared 2D canvas used to encode rendered images
+let encodeCanvas = null;
+
+/**
+ * Encode ImageData as a PNG data URL
+ * @param {ImageData} imageData
+ * @returns {string} data:image/png;base64,... URL
+ */
+export function imageDataToDataURL(imageData) {
+    if (!encodeCanvas) {
+        encodeCanvas = document.createElement('canvas');
+    }
+    encodeCanvas.width = imageData.width;
+    encodeCanvas.height = imageData.height;
+    encodeCanvas.getContext('2d').putImageData(imageData, 0, 0);
+    return encodeCanvas.toDataURL('image/png');
+}
+
+// Turns the hardware depth buffer into metric distance along the camera's optical axis
+const DEPTH_LINEARIZE_SHADER = {
+    uniforms: {
+        tDepth: { value: null },
+        cameraNear: { value: 0.1 },
+        cameraFar: { value: 1000 }
+    },
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: `
+        #include <packing>
+        uniform sampler2D tDepth;
+        uniform float cameraNear;
+        uniform float cameraFar;
+        varying vec2 vUv;
+        void main() {
+            float fragDepth = texture2D(tDepth, vUv).x;
+            // Background (nothing rendered) stays 0
+            float depth = fragDepth >= 1.0 ? 0.0 : -perspectiveDepthToViewZ(fragDepth, cameraNear, cameraFar);
+            gl_FragColor = vec4(depth, 0.0, 0.0, 1.0);
+        }
+    `
+};
+
+/**
+ * Offscreen depth pass at a fixed resolution
+ *
+ * Only geometry that writes depth shows up; Gaussian splats are blended
+ * without depth writes and are therefore missing from the depth image.
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ render: Function, dispose: Function }} render(renderer, scene, camera) returns
+ *   a top-down Uint16Array of depth in millimetres (0 = no geometry)
+ */
+export function createDepthPass(width, height) {
+    const sceneTarget = new THREE.WebGLRenderTarget(width, height, {
+        depthTexture: new THREE.DepthTexture(width, height)
+    });
+    const depthTarget = new THREE.WebGLRenderTarget(width, height, { type: THREE.FloatType });
+    const material = new THREE.ShaderMaterial(DEPTH_LINEARIZE_SHADER);
+    const quad = new FullScreenQuad(material);
+    const pixels = new Float32Array(width * height * 4);
+
+    const render = (renderer, scene, camera) => {
+        const previousTarget = renderer.getRenderTarget();
+
+        renderer.setRenderTarget(sceneTarget);
+        renderer.render(scene, camera);
+
+        material.uniforms.tDepth.value = sceneTarget.depthTexture;
+        material.uniforms.cameraNear.value = camera.near;
+        material.uniforms.cameraFar.value = camera.far;
+        renderer.setRenderTarget(depthTarget);
+        quad.render(renderer);
+        renderer.setRenderTarget(previousTarget);
+
+        renderer.readRenderTargetPixels(depthTarget, 0, 0, width, height, pixels);
+
+        // Flip rows to top-down and convert metres to millimetres
+        const depthMm = new Uint16Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const src = (height - 1 - y) * width;
+            const dst = y * width;
+            for (let x = 0; x < width; x++) {
+                depthMm[dst + x] = Math.min(65535, Math.round(pixels[(src + x) * 4] * 1000));
+            }
+        }
+        return depthMm;
+    };
+
+    const dispose = () => {
+        sceneTarget.depthTexture.dispose();
+        sceneTarget.dispose();
+        depthTarget.dispose();
+        material.dispose();
+        quad.dispose();
+    };
+
+    return { render, dispose };
+}
+
+/**
+ * Base64-encode a typed array's bytes (little-endian) for JSON transport
+ * @param {ArrayBufferView} array
+ * @returns {string}
+ */
+export function typedArrayToBase64(array) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
@@ -0,0 +1,279 @@
+import * as THREE from 'three';
+
+/**
+ * Domain randomization for captures
+ *
+ * A scene's randomization config declares ranges ([min, max]); sampleRandomization
+ * draws concrete parameters from them with a seeded generator, so the same seed
+ * always reproduces the same scene. Every section is optional:
+ *
+ *  - light:      { azimuth, elevation (degrees), intensity, hue, saturation, lightness }
+ *  - background: { hue, saturation, lightness, images: [url], imageProbability }
+ *  - objects:    { x, z (metres of jitter around the configured position), yaw (degrees) }
+ *  - cameras:    { position (metres per axis), rotation (degrees per axis) }
+ *  - robotTint:  { hue, saturation, lightness, strength (0 = original color) }
+ *
+ * Scalar jitter values (x, z, yaw, position, rotation) are symmetric: 0.02 means
+ * uniform in [-0.02, 0.02].
+ */
+
+// Name of the scene light that light randomization moves (declared in scenes/*.json)
+export const KEY_LIGHT_NAME = 'key-light';
+
+// Distance of the key light from the scene origin (matches the scenes' (10, 10, 10))
+const LIGHT_DISTANCE = Math.sqrt(300);
+
+/**
+ * Seeded uniform generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Returns floats in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Derive a seed from a parent seed and an index (episode or frame)
+ * @returns {number} 32-bit unsigned seed
+ */
+export function deriveSeed(seed, index) {
+    let h = Math.imul((seed >>> 0) ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(index + 1, 0xc2b2ae35);
+    h = Math.imul(h ^ (h >>> 16), 0x7feb352d);
+    h = Math.imul(h ^ (h >>> 15), 0x846ca68b);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+// A fresh seed when none is given
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+const uniform = (random, range, fallback) => {
+    if (!range) return fallback;
+    return range[0] + (range[1] - range[0]) * random();
+};
+
+const jitter = (random, amount = 0) => (random() * 2 - 1) * amount;
+
+const hslColor = (random, { hue, saturation, lightness }, fallback = [0, 0, 1]) => {
+    const color = new THREE.Color().setHSL(
+        uniform(random, hue, fallback[0]),
+        uniform(random, saturation, fallback[1]),
+        uniform(random, lightness, fallback[2])
+    );
+    return `#${color.getHexString()}`;
+};
+
+/**
+ * Draw randomization parameters
+ * @param {Object} config - Scene randomization config (see above)
+ * @param {number} seed - Seed for this draw
+ * @param {Object} targets
+ * @param {Object[]} [targets.cameras] - Camera definitions to jitter
+ * @param {string[]} [targets.objectKeys] - Keys of the grippable objects to move
+ * @returns {Object} Parameters ({ light, background, objects, cameras, robotTint }), JSON-serializable
+ */
+export function sampleRandomization(config, seed, { cameras = [], objectKeys = [] } = {}) {
+    const random = createRandom(seed);
+    const params = {};
+
+    // Sections are drawn in a fixed order so a seed always maps to the same values
+    if (config.light) {
+        const azimuth = THREE.MathUtils.degToRad(uniform(random, config.light.azimuth, 45));
+        const elevation = THREE.MathUtils.degToRad(uniform(random, config.light.elevation, 35));
+        params.light = {
+            direction: [
+                Math.cos(elevation) * Math.cos(azimuth),
+                Math.sin(elevation),
+                Math.cos(elevation) * Math.sin(azimuth)
+            ],
+            intensity: uniform(random, config.light.intensity, 1),
+            color: hslColor(random, config.light)
+        };
+    }
+
+    if (config.background) {
+        const { images = [], imageProbability = 0 } = config.background;
+        const useImage = images.length > 0 && random() < imageProbability;
+        params.background = useImage
+            ? { image: images[Math.floor(random() * images.length)] }
+            : { color: hslColor(random, config.background) };
+    }
+
+    if (config.objects) {
+        params.objects = {};
+        objectKeys.forEach(key => {
+            params.objects[key] = {
+                offset: [jitter(random, config.objects.x), 0, jitter(random, config.objects.z)],
+                yaw: THREE.MathUtils.degToRad(jitter(random, config.objects.yaw))
+            };
+        });
+    }
+
+    if (config.cameras) {
+        params.cameras = {};
+        cameras.forEach(camera => {
+            params.cameras[camera.name] = {
+                position: [0, 1, 2].map(() => jitter(random, config.cameras.position)),
+                rotation: [0, 1, 2].map(() => THREE.MathUtils.degToRad(jitter(random, config.cameras.rotation)))
+            };
+        });
+    }
+
+    if (config.robotTint) {
+        params.robotTint = {
+            color: hslColor(random, config.robotTint),
+            strength: uniform(random, config.robotTint.strength, 0)
+        };
+    }
+
+    return params;
+}
+
+/**
+ * Camera definitions with the sampled pose jitter applied (mount offset for link-mounted cameras)
+ * @param {Object[]} cameras - Camera definitions
+ * @param {Object} params - From sampleRandomization
+ * @returns {Object[]} New camera definitions
+ */
+export function jitterCameras(cameras, params) {
+    if (!params?.cameras) return cameras;
+    return cameras.map(camera => {
+        const offset = params.cameras[camera.name];
+        if (!offset) return camera;
+        return {
+            ...camera,
+            position: {
+                x: camera.position.x + offset.position[0],
+                y: camera.position.y + offset.position[1],
+                z: camera.position.z + offset.position[2]
+            },
+            rotation: {
+                x: camera.rotation.x + offset.rotation[0],
+                y: camera.rotation.y + offset.rotation[1],
+                z: camera.rotation.z + offset.rotation[2]
+            }
+        };
+    });
+}
+
+// Background images, loaded once
+const backgroundTextures = new Map();
+
+const loadBackground = (url) => {
+    if (!backgroundTextures.has(url)) {
+        backgroundTextures.set(url, new THREE.TextureLoader().loadAsync(url).then(texture => {
+            texture.colorSpace = THREE.SRGBColorSpace;
+            return texture;
+        }));
+    }
+    return backgroundTextures.get(url);
+};
+
+// Pose/color a randomized object had before the first randomization
+const rememberBase = (object) => {
+    if (!object.userData.randomizationBase) {
+        object.userData.randomizationBase = {
+            position: object.position.clone(),
+            quaternion: object.quaternion.clone(),
+            intensity: object.intensity,
+            color: object.color?.clone()
+        };
+    }
+    return object.userData.randomizationBase;
+};
+
+const robotMaterials = (robot) => {
+    const materials = new Set();
+    robot?.traverse(child => {
+        if (!child.isMesh) return;
+        (Array.isArray(child.material) ? child.material : [child.material])
+            .filter(material => material?.color)
+            .forEach(material => materials.add(material));
+    });
+    return materials;
+};
+
+/**
+ * Apply randomization parameters to the live scene
+ *
+ * Sections missing from `params` are left as they are; objects held by the
+ * gripper are not moved.
+ * @param {Object} params - From sampleRandomization
+ * @param {Object} targets - { scene, robot, grippableObjects }
+ * @returns {Promise<void>} Resolves once background images are loaded
+ */
+export async function applyRandomization(params, { scene, robot, grippableObjects = {} }) {
+    if (params.light) {
+        const light = scene.getObjectByName(KEY_LIGHT_NAME);
+        if (light) {
+            rememberBase(light);
+            light.position.fromArray(params.light.direction).multiplyScalar(LIGHT_DISTANCE);
+            light.intensity = params.light.intensity;
+            light.color.set(params.light.color);
+        }
+    }
+
+    if (params.background) {
+        scene.background = params.background.image
+            ? await loadBackground(params.background.image)
+            : new THREE.Color(params.background.color);
+    }
+
+    if (params.objects) {
+        const yawAxis = new THREE.Vector3(0, 1, 0);
+        Object.entries(params.objects).forEach(([key, { offset, yaw }]) => {
+            const object = grippableObjects[key];
+            if (!object || object.userData.originalParent) return; // Missing or held
+            const base = rememberBase(object);
+            object.position.copy(base.position).add(new THREE.Vector3().fromArray(offset));
+            object.quaternion.setFromAxisAngle(yawAxis, yaw).multiply(base.quaternion);
+            object.updateMatrixWorld(true);
+        });
+    }
+
+    if (params.robotTint) {
+        const tint = new THREE.Color(params.robotTint.color);
+        robotMaterials(robot).forEach(material => {
+            const base = material.userData.randomizationBaseColor ||= material.color.clone();
+            material.color.copy(base).lerp(tint, params.robotTint.strength);
+        });
+    }
+}
+
+/**
+ * Undo all randomization: original light, background, object placement and robot colors
+ * @param {Object} targets - { scene, robot, grippableObjects }
+ */
+export function resetRandomization({ scene, robot, grippableObjects = {} }) {
+    const light = scene.getObjectByName(KEY_LIGHT_NAME);
+    const lightBase = light?.userData.randomizationBase;
+    if (lightBase) {
+        light.position.copy(lightBase.position);
+        light.intensity = lightBase.intensity;
+        light.color.copy(lightBase.color);
+    }
+
+    scene.background = null;
+
+    Object.values(grippableObjects).forEach(object => {
+        const base = object?.userData.randomizationBase;
+        if (!base || object.userData.originalParent) return;
+        object.position.copy(base.position);
+        object.quaternion.copy(base.quaternion);
+        object.updateMatrixWorld(true);
+    });
+
+    robotMaterials(robot).forEach(material => {
+        if (material.userData.randomizationBaseColor) {
+            material.color.copy(material.userData.randomizationBaseColor);
+        }
+    });
+}
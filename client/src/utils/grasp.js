@@ -0,0 +1,115 @@
+import * as THREE from 'three';
+import { getObjectBounds } from './sceneEditor.js';
+
+/**
+ * Contact-based grasp model for the SO-101 gripper
+ *
+ * An object is grasped when, while the `gripper` joint closes, it touches both
+ * jaws: the fixed jaw on gripper_link and the moving jaw. The two contacts have
+ * to push from opposite sides with the object's center between them, so an
+ * object merely brushing the gripper is not picked up. The object is held until
+ * the gripper opens again.
+ */
+
+export const GRIPPER_JOINT = 'gripper';
+export const FIXED_JAW_LINK = 'gripper_link';
+export const MOVING_JAW_LINK = 'moving_jaw_so101_v1_link';
+
+// Joint motion (rad) between two updates below which the gripper counts as still
+const GRIPPER_MOTION_EPSILON = 1e-4;
+
+// Opening (rad) past the most closed position that releases the object, so teleop jitter doesn't drop it
+const RELEASE_OPENING = 0.02;
+
+// Cosine of the angle between the jaw contact normals above which they don't oppose each other
+const OPPOSING_NORMALS_DOT = -0.5;
+
+/**
+ * Whether an object is pinched between the jaws
+ * @param {THREE.Object3D} object - Scene object
+ * @param {Object} contacts - Link name -> { point, normal } (see physics getLinkContacts)
+ * @returns {boolean}
+ */
+export function isPinchedBetweenJaws(object, contacts) {
+    const fixedJaw = contacts[FIXED_JAW_LINK];
+    const movingJaw = contacts[MOVING_JAW_LINK];
+    if (!fixedJaw || !movingJaw) return false;
+    if (fixedJaw.normal.dot(movingJaw.normal) > OPPOSING_NORMALS_DOT) return false;
+
+    // The object's center projects onto the segment between the two contacts
+    const center = getObjectBounds(object).getCenter(new THREE.Vector3());
+    const across = movingJaw.point.clone().sub(fixedJaw.point);
+    const lengthSq = across.lengthSq();
+    if (lengthSq === 0) return false;
+    const t = center.sub(fixedJaw.point).dot(across) / lengthSq;
+    return t > 0 && t < 1;
+}
+
+/**
+ * Grasp state for one gripper
+ * @param {Object} options
+ * @param {Function} options.getContacts - (object) => link contacts of a scene object
+ * @param {Function} options.onGrasp - (object) => attach the object to the gripper
+ * @param {Function} options.onRelease - (object) => detach the object from the gripper
+ * @returns {Object} { update, getHeld, release, clear }
+ */
+export function createGraspModel({ getContacts, onGrasp, onRelease }) {
+    let held = null;
+    let closedValue = null; // Most closed gripper position while holding
+    let lastValue = null;
+    let direction = null; // 'closing' or 'opening': the gripper's last movement
+
+    const release = () => {
+        if (!held) return;
+        const object = held;
+        held = null;
+        closedValue = null;
+        onRelease(object);
+    };
+
+    /**
+     * Grasp or release for the current gripper position
+     * @param {number} gripperValue - `gripper` joint position (rad, lower is more closed)
+     * @param {THREE.Object3D[]} objects - Graspable scene objects
+     * @returns {THREE.Object3D|null} The held object
+     */
+    const update = (gripperValue, objects) => {
+        if (lastValue !== null) {
+            if (gripperValue < lastValue - GRIPPER_MOTION_EPSILON) {
+                direction = 'closing';
+            } else if (gripperValue > lastValue + GRIPPER_MOTION_EPSILON) {
+                direction = 'opening';
+            }
+        }
+        lastValue = gripperValue;
+
+        if (held) {
+            closedValue = Math.min(closedValue, gripperValue);
+            if (direction === 'opening' && gripperValue > closedValue + RELEASE_OPENING) {
+                release();
+            }
+            return held;
+        }
+
+        if (direction !== 'closing') return null;
+
+        const object = objects.find(candidate => isPinchedBetweenJaws(candidate, getContacts(candidate)));
+        if (object) {
+            held = object;
+            closedValue = gripperValue;
+            onGrasp(object);
+        }
+        return held;
+    };
+
+    return {
+        update,
+        getHeld: () => held,
+        release,
+        // Forget the held object without detaching it (it is being removed from the scene)
+        clear: () => {
+            held = null;
+            closedValue = null;
+        }
+    };
+}
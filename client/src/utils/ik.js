@@ -0,0 +1,245 @@
+import * as THREE from 'three';
+
+/**
+ * Inverse kinematics for the SO-101 arm
+ *
+ * Damped least squares over the five arm joints, with the gripper frame
+ * (gripper_frame_link) as end effector. Forward kinematics is computed from the
+ * URDF joint origins and axes, so solving never moves the displayed robot.
+ * Poses are in scene coordinates (Y up, like object poses in captures):
+ * `{ position: [x, y, z], quaternion: [x, y, z, w] }`.
+ *
+ * The arm has five joints, so not every orientation can be reached; a target
+ * either asks for the full pose or for the position only.
+ */
+
+export const ARM_JOINTS = ['shoulder_pan', 'shoulder_lift', 'elbow_flex', 'wrist_flex', 'wrist_roll'];
+export const END_EFFECTOR_LINK = 'gripper_frame_link';
+
+// Metres of position error that weigh as much as one radian of orientation error
+const ORIENTATION_WEIGHT = 0.1;
+
+// A target counts as reached within these errors; the solver iterates until it is well inside them
+const POSITION_TOLERANCE = 0.005;
+const ORIENTATION_TOLERANCE = THREE.MathUtils.degToRad(3);
+const CONVERGENCE_RATIO = 0.1;
+
+// Damping keeps steps small near singularities; steps are also capped per iteration
+const DAMPING = 0.01;
+const MAX_STEP = 0.2;
+const MAX_ITERATIONS = 200;
+
+// Extra start configurations (fractions of each joint's range) tried when the current one gets stuck
+const RESTART_FRACTIONS = [0.5, 0.25, 0.75, 0.35, 0.65, 0.1, 0.9, 0.45, 0.15, 0.85];
+
+/**
+ * Joints between the robot root and a link, root first
+ * @param {Object} robot - URDF robot
+ * @param {string} linkName
+ * @returns {Object[]|null} Chain nodes (joints and links), or null if the link doesn't exist
+ */
+const getChain = (robot, linkName) => {
+    const link = robot.links?.[linkName];
+    if (!link) return null;
+    const chain = [];
+    for (let node = link; node && node !== robot; node = node.parent) {
+        chain.unshift(node);
+    }
+    return chain;
+};
+
+/**
+ * World pose of the end effector and of every arm joint for the given joint values
+ * Joint frames are taken after the joint's origin, where its axis is defined.
+ */
+const forwardKinematics = (robot, chain, jointValues) => {
+    robot.updateWorldMatrix(true, false);
+    const transform = robot.matrixWorld.clone();
+    const local = new THREE.Matrix4();
+    const joints = {};
+
+    chain.forEach((node) => {
+        if (node.isURDFJoint && node.name in jointValues) {
+            const originPosition = node.origPosition || node.position;
+            const originQuaternion = node.origQuaternion || node.quaternion;
+            const origin = new THREE.Matrix4().compose(originPosition, originQuaternion, new THREE.Vector3(1, 1, 1));
+            const frame = transform.clone().multiply(origin);
+            joints[node.name] = {
+                position: new THREE.Vector3().setFromMatrixPosition(frame),
+                axis: node.axis.clone().transformDirection(frame)
+            };
+
+            const rotation = new THREE.Quaternion().setFromAxisAngle(node.axis, jointValues[node.name]);
+            transform.copy(frame).multiply(new THREE.Matrix4().makeRotationFromQuaternion(rotation));
+        } else {
+            transform.multiply(local.compose(node.position, node.quaternion, node.scale));
+        }
+    });
+
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    transform.decompose(position, quaternion, new THREE.Vector3());
+    return { position, quaternion, joints };
+};
+
+// Rotation taking `from` to `to`, as an axis scaled by the angle
+const rotationError = (from, to) => {
+    const delta = to.clone().multiply(from.clone().invert());
+    if (delta.w < 0) {
+        delta.set(-delta.x, -delta.y, -delta.z, -delta.w);
+    }
+    const angle = 2 * Math.acos(Math.min(1, delta.w));
+    const sinHalf = Math.sqrt(Math.max(0, 1 - delta.w * delta.w));
+    if (sinHalf < 1e-9) return new THREE.Vector3();
+    return new THREE.Vector3(delta.x, delta.y, delta.z).multiplyScalar(angle / sinHalf);
+};
+
+// Solve the square system A x = b (Gaussian elimination with partial pivoting)
+const solveLinear = (A, b) => {
+    const n = b.length;
+    const m = A.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+        }
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+        for (let row = col + 1; row < n; row++) {
+            const factor = m[row][col] / m[col][col];
+            for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = m[row][n];
+        for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+        x[row] = sum / m[row][row];
+    }
+    return x;
+};
+
+const clampToLimits = (joint, value) => {
+    if (joint.jointType === 'continuous' || joint.ignoreLimits) return value;
+    return Math.min(joint.limit.upper, Math.max(joint.limit.lower, value));
+};
+
+const toPose = ({ position, quaternion }) => ({
+    position: position.toArray(),
+    quaternion: quaternion.toArray()
+});
+
+/**
+ * Current end-effector pose
+ * @param {Object} robot - URDF robot
+ * @returns {Object|null} { position, quaternion } in scene coordinates
+ */
+export function getEndEffectorPose(robot) {
+    const chain = getChain(robot, END_EFFECTOR_LINK);
+    if (!chain) return null;
+    const jointValues = Object.fromEntries(ARM_JOINTS.map(name => [name, robot.joints[name]?.angle ?? 0]));
+    return toPose(forwardKinematics(robot, chain, jointValues));
+}
+
+// Damped least squares from one start configuration
+const solveFrom = (robot, chain, start, target, matchOrientation) => {
+    const values = { ...start };
+    let best = null;
+
+    for (let iteration = 0; iteration <= MAX_ITERATIONS; iteration++) {
+        const { position, quaternion, joints } = forwardKinematics(robot, chain, values);
+        const positionError = target.position.clone().sub(position);
+        const orientationError = rotationError(quaternion, target.quaternion);
+        const result = {
+            jointValues: { ...values },
+            positionError: positionError.length(),
+            orientationError: orientationError.length()
+        };
+        const cost = result.positionError + (matchOrientation ? ORIENTATION_WEIGHT * result.orientationError : 0);
+        if (!best || cost < best.cost) {
+            best = { ...result, cost };
+        }
+
+        const converged = result.positionError < POSITION_TOLERANCE * CONVERGENCE_RATIO &&
+            (!matchOrientation || result.orientationError < ORIENTATION_TOLERANCE * CONVERGENCE_RATIO);
+        if (converged || iteration === MAX_ITERATIONS) break;
+
+        // Jacobian rows: position (3), then weighted orientation (3)
+        const error = positionError.toArray();
+        const columns = ARM_JOINTS.map((name) => {
+            const { position: jointPosition, axis } = joints[name];
+            const linear = axis.clone().cross(position.clone().sub(jointPosition)).toArray();
+            return matchOrientation ? [...linear, ...axis.clone().multiplyScalar(ORIENTATION_WEIGHT).toArray()] : linear;
+        });
+        if (matchOrientation) {
+            error.push(...orientationError.multiplyScalar(ORIENTATION_WEIGHT).toArray());
+        }
+
+        // dq = J^T (J J^T + lambda^2 I)^-1 e
+        const rows = error.length;
+        const JJt = Array.from({ length: rows }, (_, i) => Array.from({ length: rows }, (_, j) =>
+            columns.reduce((sum, column) => sum + column[i] * column[j], 0) + (i === j ? DAMPING * DAMPING : 0)
+        ));
+        const y = solveLinear(JJt, error);
+        const steps = columns.map(column => column.reduce((sum, value, row) => sum + value * y[row], 0));
+        // Scale the whole step down rather than clipping joints, so its direction is kept
+        const scale = Math.min(1, MAX_STEP / Math.max(...steps.map(Math.abs)));
+        ARM_JOINTS.forEach((name, index) => {
+            values[name] = clampToLimits(robot.joints[name], values[name] + steps[index] * scale);
+        });
+    }
+
+    return best;
+};
+
+/**
+ * Solve the arm joints for an end-effector target
+ * Starts from the current configuration (or `options.start`); if that gets stuck in a local
+ * minimum, restarts from a few spots spread over the joint ranges, and returns the closest
+ * solution found.
+ * @param {Object} robot - URDF robot
+ * @param {Object} target - { position, quaternion? } in scene coordinates
+ * @param {Object} [options]
+ * @param {boolean} [options.matchOrientation] - Solve for the full pose, not only the position (default: when the target has a quaternion)
+ * @param {boolean} [options.restarts] - Try other start configurations when stuck (default: true); off for small
+ *   continuous steps, where jumping to another configuration would be jarring
+ * @param {Object} [options.start] - Arm joint values to start from instead of the robot's current ones,
+ *   e.g. the previous waypoint when planning a path ahead
+ * @returns {Object|null} { jointValues, reachable, positionError (m), orientationError (rad) }, null if the robot has no arm chain
+ */
+export function solveIK(robot, target, { matchOrientation = Boolean(target.quaternion), restarts: allowRestarts = true, start } = {}) {
+    const chain = getChain(robot, END_EFFECTOR_LINK);
+    if (!chain || ARM_JOINTS.some(name => !robot.joints?.[name])) return null;
+
+    const goal = {
+        position: new THREE.Vector3().fromArray(target.position),
+        quaternion: target.quaternion ? new THREE.Quaternion().fromArray(target.quaternion).normalize() : new THREE.Quaternion()
+    };
+    const orientation = matchOrientation && Boolean(target.quaternion);
+
+    const current = Object.fromEntries(ARM_JOINTS.map(name => [name, start?.[name] ?? robot.joints[name].angle ?? 0]));
+    // Alternate the fraction per joint so the restarts differ in elbow and wrist configuration
+    const restarts = !allowRestarts ? [] : RESTART_FRACTIONS.map((fraction, index) => Object.fromEntries(ARM_JOINTS.map((name, jointIndex) => {
+        const { lower, upper } = robot.joints[name].limit;
+        const f = (index + jointIndex) % 2 === 0 ? fraction : 1 - fraction;
+        return [name, lower + (upper - lower) * f];
+    })));
+
+    let best = null;
+    for (const start of [current, ...restarts]) {
+        const result = solveFrom(robot, chain, start, goal, orientation);
+        if (!best || result.cost < best.cost) {
+            best = result;
+        }
+        const reachable = best.positionError < POSITION_TOLERANCE &&
+            (!orientation || best.orientationError < ORIENTATION_TOLERANCE);
+        if (reachable) break;
+    }
+
+    const { jointValues, positionError, orientationError } = best;
+    return {
+        jointValues,
+        reachable: positionError < POSITION_TOLERANCE && (!orientation || orientationError < ORIENTATION_TOLERANCE),
+        positionError,
+        orientationError
+    };
+}
@@ -0,0 +1,80 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+
+/**
+ * Draggable end-effector target for IK control
+ *
+ * An axes marker with a TransformControls gizmo. Both live on their own layer,
+ * which only the viewer's camera renders, so they never show up in captures.
+ */
+
+// Layer of the marker and gizmo (capture cameras only render layer 0)
+const TARGET_LAYER = 1;
+
+const MARKER_SIZE = 0.05;
+
+const moveToLayer = (object) => object.traverse(child => child.layers.set(TARGET_LAYER));
+
+/**
+ * Attach a target to an urdf-viewer
+ * @param {HTMLElement} viewer - The urdf-viewer element (scene, camera, renderer, controls)
+ * @param {Object} options
+ * @param {Object} options.pose - Initial { position, quaternion } in scene coordinates
+ * @param {string} [options.mode] - 'translate' or 'rotate'
+ * @param {Function} [options.onChange] - Called with the target pose while it is dragged
+ * @returns {Object} { setPose, setMode, dispose }
+ */
+export function createIkTarget(viewer, { pose, mode = 'translate', onChange = () => {} }) {
+    const { scene, camera } = viewer;
+
+    const marker = new THREE.AxesHelper(MARKER_SIZE);
+    marker.name = 'ik-target';
+    moveToLayer(marker);
+    scene.add(marker);
+
+    const transform = new TransformControls(camera, viewer.renderer.domElement);
+    transform.setMode(mode);
+    transform.getRaycaster().layers.set(TARGET_LAYER);
+    const helper = transform.getHelper();
+    scene.add(helper);
+    camera.layers.enable(TARGET_LAYER);
+
+    const setPose = ({ position, quaternion }) => {
+        marker.position.fromArray(position);
+        if (quaternion) marker.quaternion.fromArray(quaternion);
+        viewer.redraw();
+    };
+    setPose(pose);
+    transform.attach(marker);
+    // The gizmo builds its handles on attach
+    moveToLayer(helper);
+
+    transform.addEventListener('change', () => viewer.redraw());
+
+    // Orbiting would fight the gizmo drag
+    transform.addEventListener('dragging-changed', (event) => {
+        if (viewer.controls) viewer.controls.enabled = !event.value;
+    });
+
+    transform.addEventListener('objectChange', () => {
+        onChange({
+            position: marker.position.toArray(),
+            quaternion: marker.quaternion.toArray()
+        });
+    });
+
+    return {
+        setPose,
+        setMode: (newMode) => transform.setMode(newMode),
+        dispose: () => {
+            transform.detach();
+            transform.dispose();
+            scene.remove(helper);
+            scene.remove(marker);
+            marker.dispose();
+            camera.layers.disable(TARGET_LAYER);
+            if (viewer.controls) viewer.controls.enabled = true;
+            viewer.redraw();
+        }
+    };
+}
@@ -0,0 +1,165 @@
+/**
+ * Smoothing of streamed joint targets
+ *
+ * Teleop messages arrive at the leader's rate (about 30 Hz) with sensor
+ * jitter. Targets are pushed as they arrive and the filter is stepped at the
+ * display rate. Each step, per joint:
+ * 1. Interpolate: ease from the previous target to the latest one over one
+ *    message interval (so the robot trails the leader by one message), or jump
+ *    to the latest target.
+ * 2. Smooth: an exponential low-pass with a fixed cutoff, or a One-Euro
+ *    filter, whose cutoff rises with speed (little lag on fast moves, strong
+ *    smoothing when nearly still; Casiez et al., CHI 2012).
+ * 3. Limit: move toward the smoothed value no faster than the joint's velocity
+ *    limit, changing speed no faster than its acceleration limit and braking in
+ *    time to stop on the value.
+ */
+
+export const FILTER_MODES = ['none', 'lowpass', 'oneEuro'];
+
+// Pass-through: the filter is opt-in
+export const DEFAULT_FILTER_SETTINGS = {
+    mode: 'none',
+    cutoff: 5, // Hz, low-pass
+    minCutoff: 1.0, // Hz, One-Euro cutoff when still
+    beta: 0.5, // One-Euro cutoff increase per rad/s
+    derivativeCutoff: 1.0, // Hz, smoothing of the One-Euro speed estimate
+    interpolate: false,
+    limitMotion: false,
+    showGhost: false
+};
+
+// Used when the URDF gives no velocity limit (rad/s)
+export const DEFAULT_MAX_VELOCITY = 10;
+
+// Default acceleration limit (rad/s²)
+export const DEFAULT_MAX_ACCELERATION = 40;
+
+// Gaps between messages longer than this (s) are interpolated over this long
+const MAX_INTERVAL = 0.1;
+
+// A joint within this of its target (rad) and slower than this (rad/s) has settled
+const SETTLE_DISTANCE = 1e-4;
+const SETTLE_SPEED = 1e-3;
+
+// Exponential smoothing factor for a cutoff frequency (Hz) over a step (s)
+const smoothingFactor = (cutoff, dt) => {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Create a filter for a stream of joint targets
+ * @returns {Object} { push, step, reset, targets }
+ */
+export function createJointFilter() {
+    let states = {}; // Per joint: previous / latest target, filter and output state
+
+    /**
+     * Add a target that just arrived
+     * @param {string} name - Joint name
+     * @param {number} value - Target value
+     * @param {number} time - Arrival time (s)
+     * @param {number} current - The joint's current value, where a joint seen for the first time starts from
+     */
+    const push = (name, value, time, current) => {
+        const state = states[name];
+        if (!state) {
+            const start = Number.isFinite(current) ? current : value;
+            states[name] = {
+                previous: { value: start, time },
+                latest: { value, time },
+                input: start,
+                smoothed: start,
+                speed: 0, // One-Euro speed estimate
+                output: start,
+                velocity: 0,
+                lastStep: null
+            };
+            return;
+        }
+        state.previous = state.latest;
+        state.latest = { value, time };
+    };
+
+    const interpolated = ({ previous, latest }, time) => {
+        const interval = Math.min(latest.time - previous.time, MAX_INTERVAL);
+        if (interval <= 0) return latest.value;
+        const t = clamp((time - latest.time) / interval, 0, 1);
+        return previous.value + (latest.value - previous.value) * t;
+    };
+
+    /**
+     * Advance every joint to `time`
+     * @param {number} time - Current time (s)
+     * @param {Object} settings - Filter settings (see DEFAULT_FILTER_SETTINGS)
+     * @param {Object} limits - { <joint>: { velocity, acceleration } }
+     * @returns {Object} { values: { <joint>: value }, settled } - settled once every joint rests on its latest target
+     */
+    const step = (time, settings, limits) => {
+        const values = {};
+        let settled = true;
+
+        Object.entries(states).forEach(([name, state]) => {
+            const dt = state.lastStep === null ? 0 : time - state.lastStep;
+            state.lastStep = time;
+
+            const input = settings.interpolate ? interpolated(state, time) : state.latest.value;
+            if (dt <= 0) {
+                state.input = input;
+                values[name] = state.output;
+                settled = false;
+                return;
+            }
+
+            // Smooth
+            if (settings.mode === 'lowpass') {
+                state.smoothed += smoothingFactor(settings.cutoff, dt) * (input - state.smoothed);
+            } else if (settings.mode === 'oneEuro') {
+                const rawSpeed = (input - state.input) / dt;
+                state.speed += smoothingFactor(settings.derivativeCutoff, dt) * (rawSpeed - state.speed);
+                const cutoff = settings.minCutoff + settings.beta * Math.abs(state.speed);
+                state.smoothed += smoothingFactor(cutoff, dt) * (input - state.smoothed);
+            } else {
+                state.smoothed = input;
+            }
+            state.input = input;
+
+            // Limit velocity and acceleration
+            const limit = limits[name];
+            if (settings.limitMotion && limit) {
+                const error = state.smoothed - state.output;
+                const maxSpeed = Math.min(limit.velocity, Math.sqrt(2 * limit.acceleration * Math.abs(error)));
+                const wanted = clamp(error / dt, -maxSpeed, maxSpeed);
+                const maxChange = limit.acceleration * dt;
+                state.velocity = clamp(wanted, state.velocity - maxChange, state.velocity + maxChange);
+                // Don't step past the value
+                if (Math.abs(state.velocity * dt) > Math.abs(error) && Math.sign(state.velocity) === Math.sign(error)) {
+                    state.velocity = error / dt;
+                }
+                state.output += state.velocity * dt;
+            } else {
+                state.velocity = (state.smoothed - state.output) / dt;
+                state.output = state.smoothed;
+            }
+
+            values[name] = state.output;
+            if (Math.abs(state.latest.value - state.output) > SETTLE_DISTANCE || Math.abs(state.velocity) > SETTLE_SPEED) {
+                settled = false;
+            }
+        });
+
+        return { values, settled };
+    };
+
+    // Latest raw target of every joint
+    const targets = () => Object.fromEntries(Object.entries(states).map(([name, state]) => [name, state.latest.value]));
+
+    const reset = () => {
+        states = {};
+    };
+
+    return { push, step, reset, targets };
+}
@@ -0,0 +1,350 @@
+import * as THREE from 'three';
+import RAPIER from '@dimforge/rapier3d-compat';
+
+/**
+ * Rigid-body physics for the scene objects (Rapier)
+ *
+ * The table is a static slab whose top is the plane y = 0. Scene objects are
+ * dynamic bodies: box primitives and Gaussian splats get a box collider fitted
+ * to their geometry, everything else the convex hull of its vertices. Every URDF
+ * link is a kinematic body driven by the link's pose, with its collision meshes
+ * as triangle meshes (a hull would fill the gap between the gripper jaws), so
+ * the arm pushes objects around and getLinkContacts reports where it touches them.
+ *
+ * The simulation owns an object's pose only while nothing else moves it: an
+ * object the gripper holds follows the gripper as a kinematic body, and an
+ * object moved from outside (domain randomization, the scene editor, an
+ * animation) is teleported to its new pose at rest.
+ */
+
+const GRAVITY = { x: 0, y: -9.81, z: 0 };
+
+// Fixed simulation step, and the most steps one frame may catch up on (e.g. after a hidden tab)
+const TIMESTEP = 1 / 60;
+const MAX_STEPS_PER_FRAME = 4;
+
+// Table slab: its top face is the table plane
+const TABLE_HALF_SIZE = 2;
+const TABLE_HALF_THICKNESS = 0.05;
+
+// Roughly plastic and wood, so objects don't slide off the jaws or skate on the table
+const OBJECT_DENSITY = 700;
+const FRICTION = 0.9;
+
+// Pose change (m / quaternion dot) above which an object counts as moved from outside
+const POSITION_EPSILON = 1e-6;
+const ROTATION_EPSILON = 1e-6;
+
+let initPromise = null;
+
+// Load the Rapier WASM module once
+const initRapier = () => {
+    if (!initPromise) {
+        initPromise = RAPIER.init().catch((error) => {
+            initPromise = null;
+            throw error;
+        });
+    }
+    return initPromise;
+};
+
+const readPose = (object) => {
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    object.updateMatrixWorld(true);
+    object.matrixWorld.decompose(position, quaternion, scale);
+    return { position, quaternion, scale };
+};
+
+/**
+ * Geometry points of an object in its body frame (world pose without scale, so scale is baked in)
+ * Splats contribute the corners of their bounds, meshes their vertices.
+ * @param {THREE.Object3D} object - Scene object or URDF link
+ * @param {Function} [include] - Filter for the meshes to collect
+ * @returns {THREE.Vector3[]}
+ */
+const collectBodyPoints = (object, include = () => true) => {
+    const { position, quaternion } = readPose(object);
+    const worldToBody = new THREE.Matrix4().compose(position, quaternion, new THREE.Vector3(1, 1, 1)).invert();
+    const points = [];
+
+    const splatMesh = object.userData.gaussianViewer?.splatMesh;
+    if (splatMesh) {
+        // Same cached bounds as the scene editor
+        if (!object.userData.localBounds) {
+            object.userData.localBounds = splatMesh.computeBoundingBox(true);
+        }
+        const { min, max } = object.userData.localBounds;
+        const splatToBody = new THREE.Matrix4().multiplyMatrices(worldToBody, splatMesh.matrixWorld);
+        for (let i = 0; i < 8; i++) {
+            points.push(new THREE.Vector3(
+                i & 1 ? max.x : min.x,
+                i & 2 ? max.y : min.y,
+                i & 4 ? max.z : min.z
+            ).applyMatrix4(splatToBody));
+        }
+        return points;
+    }
+
+    object.traverse((child) => {
+        if (!child.isMesh || !child.geometry?.attributes.position || !include(child)) return;
+        const meshToBody = new THREE.Matrix4().multiplyMatrices(worldToBody, child.matrixWorld);
+        const positions = child.geometry.attributes.position;
+        for (let i = 0; i < positions.count; i++) {
+            points.push(new THREE.Vector3().fromBufferAttribute(positions, i).applyMatrix4(meshToBody));
+        }
+    });
+    return points;
+};
+
+// Box collider around points, offset to their center
+const boxCollider = (points) => {
+    const bounds = new THREE.Box3().setFromPoints(points);
+    const center = bounds.getCenter(new THREE.Vector3());
+    const halfSize = bounds.getSize(new THREE.Vector3()).multiplyScalar(0.5).max(new THREE.Vector3(1e-3, 1e-3, 1e-3));
+    return RAPIER.ColliderDesc.cuboid(halfSize.x, halfSize.y, halfSize.z)
+        .setTranslation(center.x, center.y, center.z);
+};
+
+const toCoordinates = (points) => {
+    const coordinates = new Float32Array(points.length * 3);
+    points.forEach((point, i) => point.toArray(coordinates, i * 3));
+    return coordinates;
+};
+
+// Convex hull of points, or their box when the hull is degenerate (e.g. a flat mesh)
+const hullCollider = (points) => RAPIER.ColliderDesc.convexHull(toCoordinates(points)) || boxCollider(points);
+
+// Triangle mesh of a link's mesh, in the link's body frame
+const linkMeshCollider = (link, mesh) => {
+    const points = collectBodyPoints(link, child => child === mesh);
+    if (points.length < 3) return null;
+    const indices = mesh.geometry.index
+        ? Uint32Array.from(mesh.geometry.index.array)
+        : Uint32Array.from({ length: points.length - points.length % 3 }, (_, i) => i);
+    return RAPIER.ColliderDesc.trimesh(toCoordinates(points), indices);
+};
+
+const colliderForObject = (object) => {
+    const points = collectBodyPoints(object);
+    if (points.length === 0) return null;
+    const type = object.userData.sceneDefinition?.type;
+    const desc = type === 'box' || object.userData.gaussianViewer ? boxCollider(points) : hullCollider(points);
+    return desc.setDensity(OBJECT_DENSITY).setFriction(FRICTION);
+};
+
+/**
+ * Create a physics world with the table in it
+ * @param {Object} options
+ * @param {Function} [options.isHeld] - Returns true for the object the gripper holds
+ * @returns {Promise<Object>} { addObject, removeObject, setRobot, getLinkContacts, step, dispose }
+ */
+export async function createPhysicsWorld({ isHeld = () => false } = {}) {
+    await initRapier();
+
+    const world = new RAPIER.World(GRAVITY);
+    world.timestep = TIMESTEP;
+
+    const table = world.createRigidBody(RAPIER.RigidBodyDesc.fixed().setTranslation(0, -TABLE_HALF_THICKNESS, 0));
+    world.createCollider(
+        RAPIER.ColliderDesc.cuboid(TABLE_HALF_SIZE, TABLE_HALF_THICKNESS, TABLE_HALF_SIZE).setFriction(FRICTION),
+        table
+    );
+
+    const bodies = new Map(); // Scene object -> { body, collider, pose, scale }
+    let links = []; // { link, body, colliders }
+    let accumulator = 0;
+
+    const createBody = (object) => {
+        const { position, quaternion, scale } = readPose(object);
+        const body = world.createRigidBody(RAPIER.RigidBodyDesc.dynamic()
+            .setTranslation(position.x, position.y, position.z)
+            .setRotation(quaternion)
+            .setCcdEnabled(true));
+        const desc = colliderForObject(object);
+        const collider = desc ? world.createCollider(desc, body) : null;
+        return { body, collider, pose: { position, quaternion }, scale };
+    };
+
+    /**
+     * Simulate a scene object as a dynamic body, starting at rest at its current pose
+     * @param {THREE.Object3D} object - Object added by addSceneObject (its parent is the scene)
+     */
+    const addObject = (object) => {
+        if (bodies.has(object)) return;
+        bodies.set(object, createBody(object));
+    };
+
+    const removeObject = (object) => {
+        const entry = bodies.get(object);
+        if (!entry) return;
+        world.removeRigidBody(entry.body);
+        bodies.delete(object);
+    };
+
+    /**
+     * Give every link of the robot a kinematic body (replacing a previous robot's)
+     * @param {THREE.Object3D} robot - URDF robot
+     */
+    const setRobot = (robot) => {
+        links.forEach(({ body }) => world.removeRigidBody(body));
+        links = [];
+        if (!robot?.links) return;
+
+        Object.values(robot.links).forEach((link) => {
+            const { position, quaternion } = readPose(link);
+            const body = world.createRigidBody(RAPIER.RigidBodyDesc.kinematicPositionBased()
+                .setTranslation(position.x, position.y, position.z)
+                .setRotation(quaternion));
+
+            // Meshes that belong to this link, not to the links further down the chain;
+            // visual meshes stand in when the URDF has no collision geometry
+            const colliders = [];
+            const collisionParts = link.children.filter(child => child.isURDFCollider);
+            (collisionParts.length > 0 ? collisionParts : link.children.filter(child => child.isURDFVisual))
+                .forEach((part) => {
+                    part.traverse((mesh) => {
+                        if (!mesh.isMesh || !mesh.geometry?.attributes.position) return;
+                        const desc = linkMeshCollider(link, mesh);
+                        if (desc) {
+                            colliders.push(world.createCollider(desc.setFriction(FRICTION), body));
+                        }
+                    });
+                });
+
+            links.push({ link, body, colliders });
+        });
+    };
+
+    /**
+     * Where a scene object touches the robot, as of the last step
+     * A held object has no contacts: it moves with the gripper instead of being pushed.
+     * @param {THREE.Object3D} object - Simulated scene object
+     * @returns {Object} Link name -> { point, normal } in world coordinates; `point` is the
+     *   mean contact point, `normal` points from the object into the link
+     */
+    const getLinkContacts = (object) => {
+        const contacts = {};
+        const collider = bodies.get(object)?.collider;
+        if (!collider) return contacts;
+
+        links.forEach(({ link, colliders }) => {
+            colliders.forEach((linkCollider) => {
+                world.contactPair(collider, linkCollider, (manifold, flipped) => {
+                    const count = manifold.numSolverContacts();
+                    if (count === 0 || contacts[link.name]) return;
+
+                    const point = new THREE.Vector3();
+                    for (let i = 0; i < count; i++) {
+                        const contactPoint = manifold.solverContactPoint(i);
+                        point.add(new THREE.Vector3(contactPoint.x, contactPoint.y, contactPoint.z));
+                    }
+                    const { x, y, z } = manifold.normal();
+                    const normal = new THREE.Vector3(x, y, z);
+                    contacts[link.name] = {
+                        point: point.divideScalar(count),
+                        normal: flipped ? normal.negate() : normal
+                    };
+                });
+            });
+        });
+        return contacts;
+    };
+
+    // Teleport a body to its object's pose, at rest
+    const resetBody = (object, entry, { position, quaternion, scale }) => {
+        if (!scale.equals(entry.scale)) {
+            // Rescaled in the editor: the collider has to be rebuilt
+            world.removeRigidBody(entry.body);
+            bodies.set(object, createBody(object));
+            return;
+        }
+        entry.body.setTranslation(position, true);
+        entry.body.setRotation(quaternion, true);
+        entry.body.setLinvel({ x: 0, y: 0, z: 0 }, true);
+        entry.body.setAngvel({ x: 0, y: 0, z: 0 }, true);
+        entry.pose = { position, quaternion };
+    };
+
+    // Hand the bodies the poses that were set from outside since the last step
+    const syncFromScene = () => {
+        links.forEach(({ link, body }) => {
+            const { position, quaternion } = readPose(link);
+            body.setNextKinematicTranslation(position);
+            body.setNextKinematicRotation(quaternion);
+        });
+
+        bodies.forEach((entry, object) => {
+            const pose = readPose(object);
+            const { body } = entry;
+
+            if (isHeld(object)) {
+                if (!body.isKinematic()) {
+                    body.setBodyType(RAPIER.RigidBodyType.KinematicPositionBased, true);
+                }
+                body.setNextKinematicTranslation(pose.position);
+                body.setNextKinematicRotation(pose.quaternion);
+                entry.pose = pose;
+                return;
+            }
+
+            if (body.isKinematic()) {
+                // Released: fall from where the gripper let go
+                body.setBodyType(RAPIER.RigidBodyType.Dynamic, true);
+                resetBody(object, entry, pose);
+                return;
+            }
+
+            const moved = pose.position.distanceToSquared(entry.pose.position) > POSITION_EPSILON ** 2 ||
+                1 - Math.abs(pose.quaternion.dot(entry.pose.quaternion)) > ROTATION_EPSILON;
+            if (moved || !pose.scale.equals(entry.scale)) {
+                resetBody(object, entry, pose);
+            }
+        });
+    };
+
+    // Write the simulated poses back to the objects; true when anything moved
+    const syncToScene = () => {
+        let moved = false;
+        bodies.forEach((entry, object) => {
+            const { body } = entry;
+            if (!body.isDynamic() || body.isSleeping()) return;
+
+            const translation = body.translation();
+            const rotation = body.rotation();
+            // Scene objects are children of the scene, so world and local poses match
+            object.position.set(translation.x, translation.y, translation.z);
+            object.quaternion.set(rotation.x, rotation.y, rotation.z, rotation.w);
+            object.updateMatrixWorld(true);
+            entry.pose = { position: object.position.clone(), quaternion: object.quaternion.clone() };
+            moved = true;
+        });
+        return moved;
+    };
+
+    /**
+     * Advance the simulation by the time since the last frame, in fixed steps
+     * @param {number} deltaSeconds - Frame time
+     * @returns {boolean} True when an object moved (the view needs a redraw)
+     */
+    const step = (deltaSeconds) => {
+        accumulator = Math.min(accumulator + deltaSeconds, TIMESTEP * MAX_STEPS_PER_FRAME);
+        if (accumulator < TIMESTEP) return false;
+
+        syncFromScene();
+        while (accumulator >= TIMESTEP) {
+            world.step();
+            accumulator -= TIMESTEP;
+        }
+        return syncToScene();
+    };
+
+    const dispose = () => {
+        bodies.clear();
+        links = [];
+        world.free();
+    };
+
+    return { addObject, removeObject, setRobot, getLinkContacts, step, dispose };
+}
@@ -0,0 +1,203 @@
+import * as THREE from 'three';
+import { ARM_JOINTS } from './ik.js';
+import { GRIPPER_JOINT } from './grasp.js';
+
+/**
+ * Scripted pick-and-place motions
+ *
+ * A pick-and-place is planned as a sequence of motion primitives: approach
+ * (joint space, to above the object), descend, grasp, lift, move, place,
+ * release and retreat. Straight-line primitives are sampled every
+ * CARTESIAN_STEP and solved one sample after the other, each starting from the
+ * previous solution, so the arm follows the line without switching
+ * configuration. Poses are in scene coordinates (Y up, table at y = 0, robot
+ * base at the origin).
+ *
+ * The SO-101 wrist can't point straight down everywhere, so grasps approach
+ * from above tilted away from the base by the smallest angle that works. The
+ * jaws close roughly across the arm (the wrist can't roll far enough to close
+ * along it), on the pair of box faces closest to that direction.
+ */
+
+export const PICK_AND_PLACE_PHASES = ['approach', 'descend', 'grasp', 'lift', 'move', 'place', 'release', 'retreat'];
+
+// Height (m) above the grasp point from which the gripper descends and to which it lifts
+const HOVER_HEIGHT = 0.08;
+
+// Lowest grasp point (m), so the jaws stay clear of the table
+const MIN_GRASP_HEIGHT = 0.015;
+
+// The object is released this far (m) above where it would rest
+const PLACE_CLEARANCE = 0.005;
+
+// Spacing (m) of the solved samples along straight-line primitives
+const CARTESIAN_STEP = 0.01;
+
+// Tilts of the approach away from vertical, tried in order
+const APPROACH_TILTS = [0, 10, 20, 30, 40, 50, 60].map(THREE.MathUtils.degToRad);
+
+// Motion speeds; every primitive takes at least MIN_DURATION
+const LINEAR_SPEED = 0.08; // m/s
+const JOINT_SPEED = 0.8; // rad/s
+const GRIPPER_DURATION = 1.0; // s
+const MIN_DURATION = 0.4; // s
+
+const UP = new THREE.Vector3(0, 1, 0);
+const DOWN = new THREE.Vector3(0, -1, 0);
+
+/**
+ * Gripper frame orientation for a grasp from above
+ *
+ * The gripper frame approaches along its +Z and its jaws close along its X.
+ * @param {number[]} position - Grasp point
+ * @param {number|null} yaw - Object yaw (rad) to align the jaws with its faces, null to close straight across the arm
+ * @param {number} tilt - Approach tilt away from vertical (rad)
+ * @returns {number[]} Quaternion [x, y, z, w]
+ */
+const graspQuaternion = (position, yaw, tilt) => {
+    const radial = new THREE.Vector3(position[0], 0, position[2]).normalize();
+    const across = UP.clone().cross(radial);
+    // The arm can only pitch the gripper within its vertical plane
+    const approach = DOWN.clone().multiplyScalar(Math.cos(tilt)).addScaledVector(radial, Math.sin(tilt));
+
+    let closing = across;
+    if (yaw !== null) {
+        const faces = [new THREE.Vector3(Math.cos(yaw), 0, -Math.sin(yaw)), new THREE.Vector3(Math.sin(yaw), 0, Math.cos(yaw))];
+        const face = faces.reduce((best, candidate) => (Math.abs(candidate.dot(across)) > Math.abs(best.dot(across)) ? candidate : best));
+        closing = face.addScaledVector(approach, -face.dot(approach)).normalize();
+    }
+    if (closing.dot(across) < 0) closing = closing.clone().negate();
+
+    const side = approach.clone().cross(closing);
+    return new THREE.Quaternion()
+        .setFromRotationMatrix(new THREE.Matrix4().makeBasis(closing, side, approach))
+        .toArray();
+};
+
+const armValues = (jointValues) => Object.fromEntries(ARM_JOINTS.map(name => [name, jointValues[name] ?? 0]));
+
+const jointDistance = (a, b) => Math.max(...ARM_JOINTS.map(name => Math.abs(a[name] - b[name])));
+
+/**
+ * Solve a straight line between two poses, sample by sample
+ * @returns {Object[]|null} Arm joint values per sample (the start included), null if a sample can't be reached
+ */
+const solveLine = (solve, from, to, start) => {
+    const fromPosition = new THREE.Vector3().fromArray(from.position);
+    const toPosition = new THREE.Vector3().fromArray(to.position);
+    const fromQuaternion = new THREE.Quaternion().fromArray(from.quaternion);
+    const toQuaternion = new THREE.Quaternion().fromArray(to.quaternion);
+    const samples = Math.max(1, Math.ceil(fromPosition.distanceTo(toPosition) / CARTESIAN_STEP));
+
+    const frames = [start];
+    for (let i = 1; i <= samples; i++) {
+        const t = i / samples;
+        const pose = {
+            position: fromPosition.clone().lerp(toPosition, t).toArray(),
+            quaternion: fromQuaternion.clone().slerp(toQuaternion, t).toArray()
+        };
+        const solution = solve(pose, { start: frames[frames.length - 1], restarts: false });
+        if (!solution?.reachable) return null;
+        frames.push(armValues(solution.jointValues));
+    }
+    return frames;
+};
+
+/**
+ * Vertical descent onto a point, with the smallest approach tilt that can be reached all the way down
+ * @returns {Object|null} { hover, quaternion, frames } where frames go from the hover pose down to the point
+ */
+const planDescent = (solve, position, yaw, start) => {
+    const hover = [position[0], position[1] + HOVER_HEIGHT, position[2]];
+    for (const tilt of APPROACH_TILTS) {
+        const quaternion = graspQuaternion(position, yaw, tilt);
+        const above = solve({ position: hover, quaternion }, { start });
+        if (!above?.reachable) continue;
+
+        const frames = solveLine(solve, { position: hover, quaternion }, { position, quaternion }, armValues(above.jointValues));
+        if (frames) return { hover, quaternion, frames };
+    }
+    return null;
+};
+
+const lineDuration = (from, to) =>
+    Math.max(MIN_DURATION, new THREE.Vector3().fromArray(from).distanceTo(new THREE.Vector3().fromArray(to)) / LINEAR_SPEED);
+
+const jointDuration = (frames) =>
+    Math.max(MIN_DURATION, frames.slice(1).reduce((sum, frame, i) => sum + jointDistance(frames[i], frame), 0) / JOINT_SPEED);
+
+/**
+ * Plan a pick-and-place
+ * @param {Object} options
+ * @param {Function} options.solve - (pose, { start, restarts }) => IK solution, e.g. the viewer's solveIK
+ * @param {Object} options.start - Current joint values (arm and gripper)
+ * @param {Object} options.object - { position (bounds center), yaw } of the object to pick
+ * @param {number[]} options.place - [x, z] to put the object down at
+ * @param {Object} options.gripper - { open, closed } gripper joint values
+ * @returns {Object[]} Primitives in order: { phase, duration (s), frames (arm joint values along the
+ *   motion), gripper: [from, to], stopWhenHeld }
+ * @throws {Error} If a primitive can't be reached
+ */
+export function planPickAndPlace({ solve, start, object, place, gripper }) {
+    const startArm = armValues(start);
+    const graspPoint = [object.position[0], Math.max(object.position[1], MIN_GRASP_HEIGHT), object.position[2]];
+    const placePoint = [place[0], graspPoint[1] + PLACE_CLEARANCE, place[1]];
+
+    const pick = planDescent(solve, graspPoint, object.yaw, startArm);
+    if (!pick) throw new Error('Object is out of reach');
+
+    const pickHover = pick.frames[0];
+    const putDown = planDescent(solve, placePoint, null, pickHover);
+    if (!putDown) throw new Error('Place target is out of reach');
+
+    // Carry along a straight line at hover height; if that isn't reachable all the way, move in joint space
+    const carry = solveLine(
+        solve,
+        { position: pick.hover, quaternion: pick.quaternion },
+        { position: putDown.hover, quaternion: putDown.quaternion },
+        pickHover
+    ) || [pickHover];
+    carry.push(putDown.frames[0]);
+
+    const approach = [startArm, pickHover];
+    const lift = [...pick.frames].reverse();
+    const retreat = [...putDown.frames].reverse();
+    const still = (frames) => [frames[frames.length - 1]];
+    const { open, closed } = gripper;
+    const primitive = (phase, frames, duration, gripperValues, stopWhenHeld = false) =>
+        ({ phase, frames, duration, gripper: gripperValues, stopWhenHeld });
+
+    return [
+        primitive('approach', approach, jointDuration(approach), [start[GRIPPER_JOINT] ?? open, open]),
+        primitive('descend', pick.frames, lineDuration(pick.hover, graspPoint), [open, open]),
+        primitive('grasp', still(pick.frames), GRIPPER_DURATION, [open, closed], true),
+        primitive('lift', lift, lineDuration(graspPoint, pick.hover), [closed, closed]),
+        primitive('move', carry, Math.max(lineDuration(pick.hover, putDown.hover), jointDuration(carry)), [closed, closed]),
+        primitive('place', putDown.frames, lineDuration(putDown.hover, placePoint), [closed, closed]),
+        primitive('release', still(putDown.frames), GRIPPER_DURATION, [closed, open]),
+        primitive('retreat', retreat, lineDuration(placePoint, putDown.hover), [open, open])
+    ];
+}
+
+// Smooth start and stop within each primitive
+const ease = (t) => t * t * (3 - 2 * t);
+
+/**
+ * Joint values at a point of a primitive
+ * @param {Object} primitive - From planPickAndPlace
+ * @param {number} t - Progress from 0 to 1
+ * @returns {Object} Arm and gripper joint values
+ */
+export function samplePrimitive({ frames, gripper }, t) {
+    const progress = ease(Math.min(1, Math.max(0, t)));
+    const position = progress * (frames.length - 1);
+    const index = Math.min(Math.floor(position), frames.length - 2);
+    const from = frames[Math.max(0, index)];
+    const to = frames[Math.max(0, index) + 1] || from;
+    const fraction = frames.length > 1 ? position - index : 0;
+
+    return {
+        ...Object.fromEntries(ARM_JOINTS.map(name => [name, from[name] + (to[name] - from[name]) * fraction])),
+        [GRIPPER_JOINT]: gripper[0] + (gripper[1] - gripper[0]) * progress
+    };
+}
@@ -0,0 +1,27 @@
+/**
+ * Backend calls for scene definitions (scenes/*.json)
+ */
+
+const SERVER_URL = 'http://localhost:3000';
+
+/**
+ * Save a scene definition, creating the scene if it does not exist yet
+ * @param {string} sceneId - Scene id (file name in scenes/)
+ * @param {Object} scene - Full scene definition
+ * @returns {Promise<Object>} { sceneId, created }
+ */
+export async function saveScene(sceneId, scene) {
+    const response = await fetch(`${SERVER_URL}/scenes/${encodeURIComponent(sceneId)}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ scene })
+    });
+
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+        throw new Error(data.error || `Failed to save scene ${sceneId}`);
+    }
+    return data;
+}
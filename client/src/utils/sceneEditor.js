@@ -0,0 +1,243 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+
+/**
+ * Scene editor for the viewer's scene objects
+ *
+ * A click selects a scene object (meshes by ray hit, Gaussian splats by their
+ * bounds) and attaches a TransformControls gizmo to it. Scale is kept uniform,
+ * because scene definitions store one scale per object. exportSceneObject turns
+ * an edited object back into its scene definition entry.
+ */
+
+// Pointer movement (pixels) up to which a press counts as a click rather than an orbit drag
+const CLICK_TOLERANCE_PX = 4;
+
+// Smallest uniform scale factor a drag can apply
+const MIN_SCALE_RATIO = 0.01;
+
+const round = (value) => Math.round(value * 10000) / 10000;
+const roundScale = (value) => Number(value.toPrecision(4));
+
+/**
+ * Scene objects the editor can select (everything from the scene definition except lights)
+ * @param {THREE.Scene} scene
+ * @returns {THREE.Object3D[]}
+ */
+export function listSceneObjects(scene) {
+    const objects = [];
+    scene.traverse((child) => {
+        if (child.userData.sceneObject && !child.isLight) {
+            objects.push(child);
+        }
+    });
+    return objects;
+}
+
+/**
+ * World-space bounds of a scene object
+ * Splat bounds come from the splat centers, computed once and cached.
+ * @param {THREE.Object3D} object
+ * @returns {THREE.Box3}
+ */
+export function getObjectBounds(object) {
+    object.updateMatrixWorld(true);
+    const splatMesh = object.userData.gaussianViewer?.splatMesh;
+    if (splatMesh) {
+        if (!object.userData.localBounds) {
+            object.userData.localBounds = splatMesh.computeBoundingBox(true);
+        }
+        return object.userData.localBounds.clone().applyMatrix4(splatMesh.matrixWorld);
+    }
+    return new THREE.Box3().setFromObject(object);
+}
+
+/**
+ * Rest an object on the table plane (y = 0) without changing x, z or orientation
+ * @param {THREE.Object3D} object - Scene object whose parent is the scene
+ */
+export function snapToTable(object) {
+    const bounds = getObjectBounds(object);
+    if (bounds.isEmpty()) return;
+    object.position.y -= bounds.min.y;
+    object.updateMatrixWorld(true);
+    delete object.userData.randomizationBase;
+}
+
+/**
+ * Scene definition entry for an object's current pose
+ *
+ * The pose is taken in scene coordinates, so an object held by the gripper is
+ * saved where it is. `placeOnGround` is dropped since the position already
+ * reflects it.
+ * @param {THREE.Object3D} object - Object added by addSceneObject
+ * @returns {Object} Entry for the scene definition's `objects`
+ */
+export function exportSceneObject(object) {
+    const definition = { ...object.userData.sceneDefinition };
+    delete definition.placeOnGround;
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    object.updateMatrixWorld(true);
+    object.matrixWorld.decompose(position, quaternion, scale);
+
+    definition.name = object.name;
+    definition.position = position.toArray().map(round);
+
+    if (definition.type === 'splat') {
+        // The definition's rotation and scale are baked into the splat data, the Group adds the edit
+        const dataRotation = new THREE.Quaternion().fromArray(definition.rotation || [0, 0, 0, 1]);
+        definition.rotation = quaternion.multiply(dataRotation).toArray().map(round);
+        definition.scale = (definition.scale || [1, 1, 1]).map(value => roundScale(value * scale.x));
+        return definition;
+    }
+
+    const rotation = new THREE.Euler().setFromQuaternion(quaternion, 'XYZ').toArray().slice(0, 3).map(round);
+    if (definition.rotation || rotation.some(angle => angle !== 0)) {
+        definition.rotation = rotation;
+    }
+
+    if (definition.type === 'box') {
+        const size = definition.size ?? 0.05;
+        definition.size = Array.isArray(size)
+            ? size.map(value => roundScale(value * scale.x))
+            : roundScale(size * scale.x);
+    } else if (definition.type === 'sphere' || definition.type === 'cylinder') {
+        definition.radius = roundScale((definition.radius ?? 0.025) * scale.x);
+        if (definition.type === 'cylinder') {
+            definition.height = roundScale((definition.height ?? 0.05) * scale.x);
+        }
+    } else {
+        // Mesh loaders set the definition's scale on the object itself
+        definition.scale = roundScale(scale.x);
+    }
+
+    return definition;
+}
+
+// Nearest scene object under the ray: meshes by their triangles, splats by their bounds
+const pickObject = (raycaster, objects) => {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    const hitPoint = new THREE.Vector3();
+
+    objects.forEach(object => {
+        let distance = Infinity;
+        if (object.userData.gaussianViewer) {
+            if (raycaster.ray.intersectBox(getObjectBounds(object), hitPoint)) {
+                distance = hitPoint.distanceTo(raycaster.ray.origin);
+            }
+        } else {
+            const hit = raycaster.intersectObject(object, true)[0];
+            if (hit) distance = hit.distance;
+        }
+
+        if (distance < nearestDistance) {
+            nearest = object;
+            nearestDistance = distance;
+        }
+    });
+
+    return nearest;
+};
+
+/**
+ * Attach the editor to an urdf-viewer
+ * @param {HTMLElement} viewer - The urdf-viewer element (scene, camera, renderer, controls)
+ * @param {Object} options
+ * @param {string} [options.mode] - 'translate', 'rotate' or 'scale'
+ * @param {Function} [options.onSelect] - Called with the selected object, or null
+ * @returns {Object} { select, getSelected, setMode, snapSelected, dispose }
+ */
+export function createSceneEditor(viewer, { mode = 'translate', onSelect = () => {} } = {}) {
+    const { scene, camera } = viewer;
+    const domElement = viewer.renderer.domElement;
+
+    const transform = new TransformControls(camera, domElement);
+    transform.setMode(mode);
+    const helper = transform.getHelper();
+    scene.add(helper);
+
+    let scaleStart = null;
+
+    transform.addEventListener('change', () => viewer.redraw());
+
+    // Orbiting would fight the gizmo drag
+    transform.addEventListener('dragging-changed', (event) => {
+        if (viewer.controls) viewer.controls.enabled = !event.value;
+    });
+
+    transform.addEventListener('mouseDown', () => {
+        scaleStart = transform.object ? transform.object.scale.clone() : null;
+    });
+
+    transform.addEventListener('objectChange', () => {
+        const object = transform.object;
+        if (transform.mode === 'scale' && scaleStart) {
+            // Keep scale uniform: follow the axis that was dragged furthest
+            const ratio = ['x', 'y', 'z']
+                .map(axis => object.scale[axis] / scaleStart[axis])
+                .reduce((a, b) => (Math.abs(b - 1) > Math.abs(a - 1) ? b : a));
+            object.scale.copy(scaleStart).multiplyScalar(Math.max(ratio, MIN_SCALE_RATIO));
+        }
+        // Randomization jitters around the edited pose from now on
+        delete object.userData.randomizationBase;
+    });
+
+    const select = (object) => {
+        if (object) {
+            transform.attach(object);
+        } else {
+            transform.detach();
+        }
+        onSelect(object || null);
+        viewer.redraw();
+    };
+
+    // Select on click; presses that turn into orbit drags or gizmo drags are ignored
+    const raycaster = new THREE.Raycaster();
+    let pressedAt = null;
+
+    const handlePointerDown = (event) => {
+        pressedAt = transform.axis ? null : { x: event.clientX, y: event.clientY };
+    };
+
+    const handlePointerUp = (event) => {
+        if (!pressedAt) return;
+        const moved = Math.hypot(event.clientX - pressedAt.x, event.clientY - pressedAt.y);
+        pressedAt = null;
+        if (moved > CLICK_TOLERANCE_PX) return;
+
+        const rect = domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        raycaster.setFromCamera(pointer, camera);
+        select(pickObject(raycaster, listSceneObjects(scene)));
+    };
+
+    domElement.addEventListener('pointerdown', handlePointerDown);
+    domElement.addEventListener('pointerup', handlePointerUp);
+
+    return {
+        select,
+        getSelected: () => transform.object || null,
+        setMode: (newMode) => transform.setMode(newMode),
+        snapSelected: () => {
+            if (!transform.object) return;
+            snapToTable(transform.object);
+            viewer.redraw();
+        },
+        dispose: () => {
+            domElement.removeEventListener('pointerdown', handlePointerDown);
+            domElement.removeEventListener('pointerup', handlePointerUp);
+            transform.detach();
+            transform.dispose();
+            scene.remove(helper);
+            if (viewer.controls) viewer.controls.enabled = true;
+            viewer.redraw();
+        }
+    };
+}
@@ -0,0 +1,173 @@
+import * as THREE from 'three';
+import { renderToImageData } from './cameraRig.js';
+
+/**
+ * Instance/semantic segmentation pass for captures
+ *
+ * Every robot link and every grippable object gets an ID with a flat color;
+ * the background is ID 0 (black). The legend maps IDs to names and classes:
+ *   [{ id, name, class: 'background' | 'robot' | 'object', color: [r, g, b] }]
+ *
+ * Gaussian splat groups have no surface to shade, so they are replaced during
+ * the pass by a point cloud of their splat centers.
+ */
+
+// Splats drawn into a proxy point cloud at most, and the size of each point in metres
+const MAX_PROXY_POINTS = 50000;
+const PROXY_POINT_SIZE = 0.006;
+
+// Distinct, stable colors: hues spaced by the golden ratio
+function idColor(id) {
+    if (id === 0) return [0, 0, 0];
+    const color = new THREE.Color().setHSL((id * 0.618033988749895) % 1, 0.7, 0.5, THREE.LinearSRGBColorSpace);
+    return [Math.round(color.r * 255), Math.round(color.g * 255), Math.round(color.b * 255)];
+}
+
+/**
+ * Build the ID legend for a robot and the scene's grippable objects
+ * @param {Object} robot - URDF robot (links are labeled in URDF order)
+ * @param {Object} grippableObjects - { key: THREE.Object3D } as returned by addSceneObjects
+ * @returns {Object[]} Legend entries
+ */
+export function buildSegmentationLegend(robot, grippableObjects) {
+    const legend = [{ id: 0, name: 'background', class: 'background', color: idColor(0) }];
+
+    Object.keys(robot?.links || {}).forEach(linkName => {
+        const id = legend.length;
+        legend.push({ id, name: linkName, class: 'robot', color: idColor(id) });
+    });
+
+    Object.values(grippableObjects || {}).forEach(object => {
+        if (!object) return;
+        const id = legend.length;
+        legend.push({ id, name: object.name, class: 'object', color: idColor(id) });
+    });
+
+    return legend;
+}
+
+// Point cloud of a splat group's splat centers, created once and kept hidden
+function getSplatProxy(group) {
+    if (group.userData.segmentationProxy) {
+        return group.userData.segmentationProxy;
+    }
+
+    const splatMesh = group.userData.gaussianViewer?.splatMesh;
+    const splatCount = splatMesh?.getSplatCount() || 0;
+    if (splatCount === 0) return null;
+
+    const step = Math.max(1, Math.ceil(splatCount / MAX_PROXY_POINTS));
+    const positions = [];
+    const center = new THREE.Vector3();
+    for (let i = 0; i < splatCount; i += step) {
+        splatMesh.getSplatCenter(i, center, true);
+        positions.push(center.x, center.y, center.z);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    const proxy = new THREE.Points(geometry); // Material is assigned per pass
+    proxy.name = 'segmentation-proxy';
+    proxy.visible = false;
+
+    // Parent next to the splat mesh so it follows the same transforms
+    splatMesh.parent.add(proxy);
+    group.userData.segmentationProxy = proxy;
+    return proxy;
+}
+
+/**
+ * Render the segmentation image of a camera
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Scene} scene
+ * @param {THREE.Camera} camera
+ * @param {THREE.WebGLRenderTarget} renderTarget - Non-multisampled target (edges must not blend IDs)
+ * @param {Object} options
+ * @param {Object} options.robot - URDF robot
+ * @param {Object} options.grippableObjects - { key: THREE.Object3D }
+ * @param {Object[]} options.legend - Legend from buildSegmentationLegend
+ * @returns {ImageData} Top-down image with one flat color per ID
+ */
+export function renderSegmentation(renderer, scene, camera, renderTarget, { robot, grippableObjects, legend }) {
+    const materials = new Map();
+    const getMaterial = (entry, points = false) => {
+        const key = `${entry.id}-${points}`;
+        if (!materials.has(key)) {
+            // Colors are written to the linear target as-is, so the stored bytes are the legend colors
+            const color = new THREE.Color().setRGB(entry.color[0] / 255, entry.color[1] / 255, entry.color[2] / 255, THREE.LinearSRGBColorSpace);
+            materials.set(key, points
+                ? new THREE.PointsMaterial({ color, size: PROXY_POINT_SIZE, toneMapped: false })
+                : new THREE.MeshBasicMaterial({ color, toneMapped: false }));
+        }
+        return materials.get(key);
+    };
+
+    const linkEntries = new Map();
+    const objectEntries = new Map();
+    Object.values(robot?.links || {}).forEach(link => {
+        const entry = legend.find(e => e.class === 'robot' && e.name === link.name);
+        if (entry) linkEntries.set(link, entry);
+    });
+    Object.values(grippableObjects || {}).forEach(object => {
+        const entry = object && legend.find(e => e.class === 'object' && e.name === object.name);
+        if (entry) objectEntries.set(object, entry);
+    });
+
+    // Nearest labeled ancestor; a held object is closer than the gripper link it is attached to
+    const findEntry = (object) => {
+        for (let node = object; node; node = node.parent) {
+            if (objectEntries.has(node)) return { entry: objectEntries.get(node), root: node };
+            if (linkEntries.has(node)) return { entry: linkEntries.get(node), root: node };
+        }
+        return null;
+    };
+
+    // Swap materials of labeled geometry, hide everything else
+    const restore = [];
+    const proxies = [];
+    objectEntries.forEach((entry, object) => {
+        if (!object.userData.gaussianViewer) return;
+        const proxy = getSplatProxy(object);
+        if (proxy) {
+            proxy.material = getMaterial(entry, true);
+            proxies.push(proxy);
+        }
+    });
+
+    scene.traverseVisible(object => {
+        if (!(object.isMesh || object.isPoints || object.isLine || object.isSprite)) return;
+        const match = findEntry(object);
+        restore.push({ object, material: object.material });
+        if (match && !match.root.userData.gaussianViewer) {
+            object.material = getMaterial(match.entry, !!object.isPoints);
+        } else {
+            object.visible = false;
+        }
+    });
+    proxies.forEach(proxy => { proxy.visible = true; });
+
+    // A (randomized) scene background would cover the black background ID
+    const originalBackground = scene.background;
+    scene.background = null;
+
+    const originalClearColor = new THREE.Color();
+    renderer.getClearColor(originalClearColor);
+    const originalClearAlpha = renderer.getClearAlpha();
+    renderer.setClearColor(0x000000, 1);
+
+    let imageData;
+    try {
+        imageData = renderToImageData(renderer, scene, camera, renderTarget);
+    } finally {
+        renderer.setClearColor(originalClearColor, originalClearAlpha);
+        scene.background = originalBackground;
+        proxies.forEach(proxy => { proxy.visible = false; });
+        restore.forEach(({ object, material }) => {
+            object.material = material;
+            object.visible = true;
+        });
+        materials.forEach(material => material.dispose());
+    }
+
+    return imageData;
+}
@@ -0,0 +1,109 @@
+/**
+ * Backend calls for capture sessions, their episodes and joint trajectories
+ */
+
+const SERVER_URL = 'http://localhost:3000';
+
+async function postJson(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body)
+    });
+
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+        throw new Error(data.error || `Request to ${url} failed`);
+    }
+    return data;
+}
+
+async function getJson(url) {
+    const response = await fetch(url);
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `Request to ${url} failed`);
+    }
+    return data;
+}
+
+/**
+ * Generate a session ID based on the current datetime
+ */
+export function createSessionId() {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    const hours = String(now.getHours()).padStart(2, '0');
+    const minutes = String(now.getMinutes()).padStart(2, '0');
+    const seconds = String(now.getSeconds()).padStart(2, '0');
+    return `session-${year}-${month}-${day}-${hours}-${minutes}-${seconds}`;
+}
+
+/**
+ * Start a new episode in a session (the server creates the session if needed)
+ * @returns {Promise<Object>} The created episode ({ episodeIndex, task, startedAt, ... })
+ */
+export async function startEpisode(sceneType, sessionId, task) {
+    const data = await postJson(`${SERVER_URL}/sessions/${sceneType}/${sessionId}/episodes`, { task });
+    return data.episode;
+}
+
+/**
+ * End an episode and label its outcome
+ * @param {boolean|null} success - true for success, false for failure, null if unlabeled
+ * @returns {Promise<Object>} The updated episode
+ */
+export async function endEpisode(sceneType, sessionId, episodeIndex, success) {
+    const data = await postJson(
+        `${SERVER_URL}/sessions/${sceneType}/${sessionId}/episodes/${episodeIndex}/end`,
+        { success }
+    );
+    return data.episode;
+}
+
+/**
+ * List the sessions of a scene, newest first
+ * @returns {Promise<Object[]>} Sessions ({ sessionId, captureCount, episodeCount, hasTrajectory, ... })
+ */
+export async function listSessions(sceneType) {
+    const data = await getJson(`${SERVER_URL}/sessions/${sceneType}`);
+    return data.sessions;
+}
+
+/**
+ * Append joint samples to a session's trajectory.jsonl
+ * @param {Object[]} samples - [{ timestamp, teleopTimestamp, episodeIndex, joints: { name: value } }]
+ */
+export async function appendTrajectory(sceneType, sessionId, samples) {
+    await postJson(`${SERVER_URL}/sessions/${sceneType}/${sessionId}/trajectory`, { samples });
+}
+
+/**
+ * Load the recorded trajectory of a session
+ * @returns {Promise<Object[]>} Samples in recording order
+ */
+export async function fetchTrajectory(sceneType, sessionId) {
+    const data = await getJson(`${SERVER_URL}/sessions/${sceneType}/${sessionId}/trajectory`);
+    return data.samples;
+}
+
+/**
+ * List the episodes of a session with their task and success label
+ * @returns {Promise<Object[]>} Episodes ({ episodeIndex, task, success, frameCount, ... })
+ */
+export async function listEpisodes(sceneType, sessionId) {
+    const data = await getJson(`${SERVER_URL}/sessions/${sceneType}/${sessionId}/episodes`);
+    return data.episodes;
+}
+
+/**
+ * Record in session.json where a session's frames came from
+ * @param {Object} source - e.g. { type: 'trajectory', sceneType, sessionId } for an offline render
+ */
+export async function setSessionSource(sceneType, sessionId, source) {
+    await postJson(`${SERVER_URL}/sessions/${sceneType}/${sessionId}/source`, { source });
+}
@@ -0,0 +1,149 @@
+/**
+ * Keyboard and gamepad bindings for browser teleop
+ *
+ * Input is read into commands in [-1, 1]: joint rates in joint mode, end-effector
+ * velocity (scene axes: +X forward, +Y up, +Z right) and wrist roll in Cartesian
+ * mode. Gamepads use the standard mapping of the Gamepad API. Applied joint
+ * values go out as teleop messages in the leader arm's units.
+ */
+
+export const TELEOP_MODES = ['joint', 'cartesian'];
+
+// Stick values below this are treated as centered
+const STICK_DEADZONE = 0.15;
+
+// [positive key, negative key] per command
+const KEY_BINDINGS = {
+    joint: {
+        shoulder_pan: ['a', 'd'],
+        shoulder_lift: ['w', 's'],
+        elbow_flex: ['r', 'f'],
+        wrist_flex: ['t', 'g'],
+        wrist_roll: ['e', 'q']
+    },
+    cartesian: {
+        x: ['w', 's'],
+        y: ['r', 'f'],
+        z: ['d', 'a'],
+        roll: ['e', 'q']
+    }
+};
+
+const GRIPPER_KEY = ' ';
+const MODE_KEY = 'm';
+
+// Standard gamepad layout
+const AXIS = { leftX: 0, leftY: 1, rightX: 2, rightY: 3 };
+const BUTTON = { a: 0, y: 3, leftBumper: 4, rightBumper: 5, dpadUp: 12, dpadDown: 13 };
+
+// Shown in the teleop panel
+export const BINDING_HELP = {
+    joint: [
+        ['A / D', 'shoulder pan', 'left stick ←→'],
+        ['W / S', 'shoulder lift', 'left stick ↑↓'],
+        ['R / F', 'elbow flex', 'right stick ↑↓'],
+        ['T / G', 'wrist flex', 'D-pad ↑↓'],
+        ['E / Q', 'wrist roll', 'right stick ←→']
+    ],
+    cartesian: [
+        ['W / S', 'forward / back', 'left stick ↑↓'],
+        ['A / D', 'left / right', 'left stick ←→'],
+        ['R / F', 'up / down', 'right stick ↑↓'],
+        ['E / Q', 'wrist roll', 'right stick ←→']
+    ],
+    common: [
+        ['Space', 'gripper open / close', 'A'],
+        ['M', 'switch mode', 'Y']
+    ]
+};
+
+const keyAxis = (pressedKeys, [positive, negative]) =>
+    (pressedKeys.has(positive) ? 1 : 0) - (pressedKeys.has(negative) ? 1 : 0);
+
+const stick = (gamepad, axis) => {
+    const value = gamepad?.axes[axis] ?? 0;
+    return Math.abs(value) < STICK_DEADZONE ? 0 : value;
+};
+
+const pressed = (gamepad, button) => Boolean(gamepad?.buttons[button]?.pressed);
+
+// Keyboard and gamepad add up, limited to full speed
+const combine = (a, b) => Math.max(-1, Math.min(1, a + b));
+
+/**
+ * Commands for the current input state
+ * @param {string} mode - 'joint' or 'cartesian'
+ * @param {Set<string>} pressedKeys - Lower-case `key` values held down
+ * @param {Gamepad|null} gamepad
+ * @returns {Object} { joints: { name: rate } } in joint mode, { linear: [x, y, z], roll } in Cartesian
+ *   mode, plus the held state of the gripper and mode buttons (`gripperButton`, `modeButton`)
+ */
+export function readTeleopInput(mode, pressedKeys, gamepad) {
+    const buttons = {
+        gripperButton: pressedKeys.has(GRIPPER_KEY) || pressed(gamepad, BUTTON.a),
+        modeButton: pressedKeys.has(MODE_KEY) || pressed(gamepad, BUTTON.y)
+    };
+    const dpad = (pressed(gamepad, BUTTON.dpadUp) ? 1 : 0) - (pressed(gamepad, BUTTON.dpadDown) ? 1 : 0);
+
+    if (mode === 'cartesian') {
+        const keys = KEY_BINDINGS.cartesian;
+        return {
+            ...buttons,
+            linear: [
+                combine(keyAxis(pressedKeys, keys.x), -stick(gamepad, AXIS.leftY)),
+                combine(keyAxis(pressedKeys, keys.y), -stick(gamepad, AXIS.rightY)),
+                combine(keyAxis(pressedKeys, keys.z), stick(gamepad, AXIS.leftX))
+            ],
+            roll: combine(keyAxis(pressedKeys, keys.roll), stick(gamepad, AXIS.rightX))
+        };
+    }
+
+    const keys = KEY_BINDINGS.joint;
+    return {
+        ...buttons,
+        joints: {
+            shoulder_pan: combine(keyAxis(pressedKeys, keys.shoulder_pan), -stick(gamepad, AXIS.leftX)),
+            shoulder_lift: combine(keyAxis(pressedKeys, keys.shoulder_lift), -stick(gamepad, AXIS.leftY)),
+            elbow_flex: combine(keyAxis(pressedKeys, keys.elbow_flex), -stick(gamepad, AXIS.rightY)),
+            wrist_flex: combine(keyAxis(pressedKeys, keys.wrist_flex), dpad),
+            wrist_roll: combine(keyAxis(pressedKeys, keys.wrist_roll), stick(gamepad, AXIS.rightX))
+        }
+    };
+}
+
+/**
+ * Whether a key event belongs to teleop (and should not scroll the page or type)
+ * @param {KeyboardEvent} event
+ * @returns {boolean}
+ */
+export function isTeleopKey(event) {
+    const key = event.key.toLowerCase();
+    return key === GRIPPER_KEY || key === MODE_KEY ||
+        Object.values(KEY_BINDINGS).some(bindings => Object.values(bindings).some(pair => pair.includes(key)));
+}
+
+/**
+ * Joint values as the `actions` of a teleop message, in the leader arm's units:
+ * -100..100 over each joint's range, 0..100 for the gripper (see useWebSocket)
+ * @param {Object} jointValues - { name: value (rad) }
+ * @param {Object} joints - Joint configuration object ({ name: { min, max } })
+ * @returns {Object} { name: action }
+ */
+export function toTeleopActions(jointValues, joints) {
+    return Object.fromEntries(Object.entries(jointValues)
+        .filter(([name]) => joints[name])
+        .map(([name, value]) => {
+            const { min, max } = joints[name];
+            const fraction = (value - min) / (max - min);
+            return [name, name.includes('gripper') ? fraction * 100 : fraction * 200 - 100];
+        }));
+}
+
+/**
+ * First connected gamepad
+ * @returns {Gamepad|null}
+ */
+export function getGamepad() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+    return Array.from(navigator.getGamepads()).find(Boolean) || null;
+}
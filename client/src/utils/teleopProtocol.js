@@ -0,0 +1,118 @@
+/**
+ * Teleop WebSocket protocol, version 1
+ *
+ * Every message is a JSON object with a `type`. Timestamps are in seconds
+ * (Python `time.time()`, `Date.now() / 1000`).
+ *
+ * Teleop source (teleop/main.py, server/mockTeleop.js) to client:
+ *   hello    { type, protocol, units, joints, rate, source? } - first message on every connection.
+ *            units: 'normalized' (-100..100 over each joint's range, 0..100 for the gripper),
+ *            'degrees' or 'radians'; joints: names of the streamed joints; rate: messages per second
+ *   state    { type, timestamp, actions: { <joint>: value } } - joint positions in the hello's units
+ *   gripper  { type, timestamp, event: 'open' | 'close' } - discrete gripper command (e.g. a button)
+ *   command  { type, timestamp, command, ... } - control commands:
+ *            'start_episode' ({ task? }), 'end_episode' ({ success?: true | false | null }), 'capture_frame'
+ *   pong     { type, timestamp } - echoes a ping's timestamp
+ *   error    { type, message } - the source rejected something the client sent
+ *
+ * Client to teleop source:
+ *   hello    { type, protocol, joints } - sent on connect, the robot's joint names
+ *   ping     { type, timestamp } - heartbeat
+ *
+ * Streams from before the handshake (`{ timestamp, actions }` without a type
+ * or hello) are accepted as protocol 0 with normalized units.
+ */
+
+export const TELEOP_PROTOCOL_VERSION = 1;
+
+export const TELEOP_UNITS = ['normalized', 'degrees', 'radians'];
+
+export const GRIPPER_EVENTS = ['open', 'close'];
+
+export const TELEOP_COMMANDS = ['start_episode', 'end_episode', 'capture_frame'];
+
+// Session assumed for streams without a handshake
+export const LEGACY_SESSION = { protocol: 0, units: 'normalized', joints: null, rate: null, source: null };
+
+// Timestamps past this are milliseconds (year 5138 in seconds)
+const MAX_TIMESTAMP_SECONDS = 1e11;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check a hello message against the robot
+ * @param {Object} message - Parsed hello message
+ * @param {string[]} robotJoints - Joint names of the loaded robot (empty while it loads)
+ * @returns {string|null} What is wrong with it, or null when the stream can be used
+ */
+export function validateHello(message, robotJoints) {
+    if (message.protocol !== TELEOP_PROTOCOL_VERSION) {
+        return `Teleop protocol ${message.protocol} is not supported (this client speaks version ${TELEOP_PROTOCOL_VERSION})`;
+    }
+    if (!TELEOP_UNITS.includes(message.units)) {
+        return `Unknown units "${message.units}" (must be one of ${TELEOP_UNITS.join(', ')})`;
+    }
+    if (!Array.isArray(message.joints) || message.joints.length === 0 || !message.joints.every(name => typeof name === 'string')) {
+        return 'The hello must list the streamed joint names';
+    }
+    if (!isNumber(message.rate) || message.rate <= 0) {
+        return 'The hello must give the message rate in Hz';
+    }
+    if (robotJoints.length > 0) {
+        const unknown = message.joints.filter(name => !robotJoints.includes(name));
+        if (unknown.length > 0) {
+            return `The stream has joints the robot doesn't: ${unknown.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+const validateTimestamp = (timestamp) => {
+    if (!isNumber(timestamp)) return 'needs a numeric timestamp';
+    if (timestamp > MAX_TIMESTAMP_SECONDS) return 'has a timestamp in milliseconds, the protocol uses seconds';
+    return null;
+};
+
+/**
+ * Check a state, gripper or command message
+ * @param {Object} message - Parsed message with its `type` (legacy messages count as 'state')
+ * @param {Object} session - Handshake ({ joints }), or LEGACY_SESSION
+ * @param {string[]} robotJoints - Joint names of the loaded robot (empty while it loads)
+ * @returns {string|null} What is wrong with it, or null when it can be applied
+ */
+export function validateMessage(message, session, robotJoints) {
+    const type = message.type || 'state';
+    const timestampProblem = validateTimestamp(message.timestamp);
+    if (timestampProblem) return `A ${type} message ${timestampProblem}`;
+
+    if (type === 'state') {
+        if (!isObject(message.actions)) return 'A state message needs an actions object';
+        const known = session.joints || robotJoints;
+        for (const [name, value] of Object.entries(message.actions)) {
+            if (known.length > 0 && !known.includes(name)) {
+                return `A state message has unknown joint ${name}`;
+            }
+            if (!isNumber(value)) {
+                return `A state message has a non-numeric value for ${name}`;
+            }
+        }
+        return null;
+    }
+    if (type === 'gripper') {
+        return GRIPPER_EVENTS.includes(message.event)
+            ? null
+            : `Unknown gripper event "${message.event}" (must be one of ${GRIPPER_EVENTS.join(', ')})`;
+    }
+    if (type === 'command') {
+        if (!TELEOP_COMMANDS.includes(message.command)) {
+            return `Unknown command "${message.command}" (must be one of ${TELEOP_COMMANDS.join(', ')})`;
+        }
+        if (message.command === 'end_episode' && ![undefined, null, true, false].includes(message.success)) {
+            return 'end_episode needs success to be true, false or null';
+        }
+        return null;
+    }
+    return `Unknown message type "${type}"`;
+}
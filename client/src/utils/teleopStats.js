@@ -0,0 +1,114 @@
+/**
+ * Live statistics of a teleop message stream
+ *
+ * Arrivals are kept for a sliding window. The rate and inter-arrival jitter
+ * come from arrival times; latency is the arrival time minus the sender's
+ * `timestamp` (seconds), so it includes any clock offset between the two
+ * machines. Dropped frames are estimated from gaps in the sender timestamps
+ * against the stream's usual period; stale frames are ones that arrive older
+ * than the newest frame already applied, or too late to be worth applying.
+ * Lateness is measured against the lowest latency seen on the stream, which
+ * stands in for the clock offset, so skewed clocks don't make every frame stale.
+ */
+
+// Length of the sliding window (ms)
+const WINDOW_MS = 2000;
+
+// A frame arriving this much (s) later than the stream's lowest latency is stale
+const MAX_AGE = 1.0;
+
+// A timestamp gap counts as dropped frames past this many periods
+const GAP_FACTOR = 1.5;
+
+const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Create a statistics tracker
+ * @returns {Object} { onMessage(timestamp, receivedAt) => { stale }, snapshot(now), reset() }
+ */
+export function createTeleopStats() {
+    let arrivals = []; // { receivedAt (ms), latency (ms or null) }
+    let periods = []; // Recent sender periods (s)
+    let lastTimestamp = null;
+    let minLatency = null; // Lowest latency seen (ms): clock offset plus the fastest delivery
+    let messages = 0;
+    let dropped = 0;
+    let stale = 0;
+
+    /**
+     * Record an incoming frame
+     * @param {number|undefined} timestamp - Sender timestamp in seconds
+     * @param {number} receivedAt - Arrival time in ms (Date.now())
+     * @returns {Object} { stale } - Stale frames should not be applied
+     */
+    const onMessage = (timestamp, receivedAt) => {
+        messages += 1;
+        const hasTimestamp = typeof timestamp === 'number' && Number.isFinite(timestamp);
+        const latency = hasTimestamp ? receivedAt - timestamp * 1000 : null;
+
+        arrivals.push({ receivedAt, latency });
+        arrivals = arrivals.filter(arrival => receivedAt - arrival.receivedAt <= WINDOW_MS);
+
+        if (!hasTimestamp) return { stale: false };
+
+        minLatency = minLatency === null ? latency : Math.min(minLatency, latency);
+        if ((lastTimestamp !== null && timestamp <= lastTimestamp) || latency - minLatency > MAX_AGE * 1000) {
+            stale += 1;
+            return { stale: true };
+        }
+
+        if (lastTimestamp !== null) {
+            const gap = timestamp - lastTimestamp;
+            const period = median(periods);
+            if (period && gap > period * GAP_FACTOR) {
+                dropped += Math.round(gap / period) - 1;
+            } else {
+                // Gaps themselves would inflate the period estimate
+                periods = [...periods, gap].slice(-50);
+            }
+        }
+        lastTimestamp = timestamp;
+        return { stale: false };
+    };
+
+    /**
+     * Current statistics
+     * @param {number} now - Time in ms (Date.now())
+     * @returns {Object} { rate (Hz), jitter (ms, std dev of inter-arrival times), latency (ms, mean; null
+     *   without timestamps), messages, dropped, stale }
+     */
+    const snapshot = (now) => {
+        const recent = arrivals.filter(arrival => now - arrival.receivedAt <= WINDOW_MS);
+        const intervals = recent.slice(1).map((arrival, i) => arrival.receivedAt - recent[i].receivedAt);
+        const meanInterval = intervals.reduce((sum, value) => sum + value, 0) / (intervals.length || 1);
+        const jitter = intervals.length > 1
+            ? Math.sqrt(intervals.reduce((sum, value) => sum + (value - meanInterval) ** 2, 0) / intervals.length)
+            : null;
+        const latencies = recent.map(arrival => arrival.latency).filter(value => value !== null);
+
+        return {
+            rate: meanInterval > 0 ? 1000 / meanInterval : 0,
+            jitter,
+            latency: latencies.length ? latencies.reduce((sum, value) => sum + value, 0) / latencies.length : null,
+            messages,
+            dropped,
+            stale
+        };
+    };
+
+    const reset = () => {
+        arrivals = [];
+        periods = [];
+        lastTimestamp = null;
+        minLatency = null;
+        messages = 0;
+        dropped = 0;
+        stale = 0;
+    };
+
+    return { onMessage, snapshot, reset };
+}
@@ -0,0 +1,95 @@
+/**
+ * Helpers for recorded joint trajectories
+ *
+ * A trajectory is a list of samples { timestamp (ms), teleopTimestamp (s or null),
+ * episodeIndex, joints: { name: value } } as stored in a session's trajectory.jsonl.
+ */
+
+// Sample times in seconds; the teleop clock is preferred when every sample has it
+function sampleTimes(samples) {
+    const useTeleopClock = samples.every(sample => typeof sample.teleopTimestamp === 'number');
+    const times = samples.map(sample => (useTeleopClock ? sample.teleopTimestamp : sample.timestamp / 1000));
+    // Keep times non-decreasing so the lookup below stays valid with a jittery clock
+    for (let i = 1; i < times.length; i++) {
+        times[i] = Math.max(times[i], times[i - 1]);
+    }
+    return times;
+}
+
+// Index of the last sample at or before time t
+function findSampleIndex(times, t) {
+    let low = 0;
+    let high = times.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (times[mid] <= t) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Prepare samples for playback: sorted, with sample times and total duration
+ * @param {Object[]} samples - Recorded samples
+ * @returns {{ samples: Object[], times: number[], duration: number }}
+ */
+export function createTrajectory(samples) {
+    const sorted = samples
+        .filter(sample => sample && sample.joints)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    const times = sampleTimes(sorted);
+    const duration = sorted.length > 1 ? times[times.length - 1] - times[0] : 0;
+    return { samples: sorted, times, duration };
+}
+
+/**
+ * Joint values at a position, linearly interpolated between the neighbouring samples
+ * @param {Object} trajectory - From createTrajectory
+ * @param {number} seconds - Position from the start of the trajectory
+ * @returns {Object} { name: value }, empty for an empty trajectory
+ */
+export function interpolateJoints(trajectory, seconds) {
+    const { samples, times } = trajectory;
+    if (samples.length === 0) return {};
+
+    const t = times[0] + seconds;
+    const index = findSampleIndex(times, t);
+    const nextIndex = Math.min(index + 1, samples.length - 1);
+    const span = times[nextIndex] - times[index];
+    const alpha = span > 0 ? Math.min(Math.max((t - times[index]) / span, 0), 1) : 0;
+
+    const joints = {};
+    Object.entries(samples[index].joints).forEach(([name, value]) => {
+        const nextValue = samples[nextIndex].joints[name] ?? value;
+        joints[name] = value + (nextValue - value) * alpha;
+    });
+    return joints;
+}
+
+/**
+ * Parse a trajectory file: JSONL (one sample per line) or a JSON array of samples
+ * @param {string} text - File contents
+ * @returns {Object[]} Samples with at least { timestamp, joints }
+ */
+export function parseTrajectoryFile(text) {
+    const trimmed = text.trim();
+    const entries = trimmed.startsWith('[')
+        ? JSON.parse(trimmed)
+        : trimmed.split('\n').filter(line => line.trim()).map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                throw new Error(`Line ${i + 1} is not valid JSON`);
+            }
+        });
+
+    return entries.map((entry, i) => {
+        if (!entry || typeof entry.joints !== 'object' || typeof entry.timestamp !== 'number') {
+            throw new Error(`Sample ${i + 1} needs a numeric "timestamp" (ms) and a "joints" object`);
+        }
+        return entry;
+    });
+}
@@ -4,4 +4,8 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Scene definitions are read from scenes/ at the repository root
+    fs: { allow: ['..'] },
+  },
 })
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Leader arm calibration profiles
+ *
+ * Every calibrations/<name>.json at the repository root is a named profile
+ * mapping leader joint values onto the URDF joints:
+ * { joints: { <joint>: { inputMin, inputMax, offset, sign, deadZone } }, updatedAt }.
+ * The mapping itself is applied in the client (client/src/utils/calibration.js).
+ */
+
+const calibrationsDir = path.join(__dirname, '..', 'calibrations');
+
+const PROFILE_NAME_PATTERN = /^[\w-]+$/;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+function profilePath(name) {
+    return path.join(calibrationsDir, `${name}.json`);
+}
+
+/**
+ * Names of the saved profiles, sorted
+ * @returns {string[]}
+ */
+function listCalibrations() {
+    if (!fs.existsSync(calibrationsDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(calibrationsDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.replace(/\.json$/, ''))
+        .filter(name => PROFILE_NAME_PATTERN.test(name))
+        .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Read a profile
+ * @param {string} name - Profile name, already validated
+ * @returns {Object|null} The profile with its `name`, or null if there is none
+ */
+function readCalibration(name) {
+    const filePath = profilePath(name);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return { ...JSON.parse(fs.readFileSync(filePath, 'utf8')), name };
+}
+
+function isCalibrationName(name) {
+    return typeof name === 'string' && PROFILE_NAME_PATTERN.test(name);
+}
+
+/**
+ * Check a profile before it is written
+ * @param {string} name - Profile name (file name)
+ * @param {Object} profile - { joints }
+ * @returns {string|null} What is wrong with it, or null when it can be saved
+ */
+function validateCalibration(name, profile) {
+    if (!isCalibrationName(name)) {
+        return 'Profile names may only contain letters, digits, "_" and "-"';
+    }
+    if (!profile || typeof profile.joints !== 'object' || profile.joints === null || Array.isArray(profile.joints)) {
+        return 'Calibration must have a joints object';
+    }
+
+    for (const [joint, entry] of Object.entries(profile.joints)) {
+        if (!entry || !['inputMin', 'inputMax', 'offset', 'deadZone'].every(key => isNumber(entry[key]))) {
+            return `${joint} needs numeric inputMin, inputMax, offset and deadZone`;
+        }
+        if (entry.inputMin === entry.inputMax) {
+            return `${joint} has an empty input range`;
+        }
+        if (entry.sign !== 1 && entry.sign !== -1) {
+            return `${joint} needs a sign of 1 or -1`;
+        }
+        if (entry.deadZone < 0) {
+            return `${joint} has a negative dead-zone`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Write a profile to calibrations/<name>.json (creating or replacing it)
+ * @param {string} name - Profile name, already validated
+ * @param {Object} profile - Profile, already validated
+ * @returns {Object} The saved profile
+ */
+function writeCalibration(name, profile) {
+    if (!fs.existsSync(calibrationsDir)) {
+        fs.mkdirSync(calibrationsDir, { recursive: true });
+    }
+
+    const saved = { joints: profile.joints, updatedAt: new Date().toISOString() };
+    fs.writeFileSync(profilePath(name), JSON.stringify(saved, null, 4) + '\n');
+    return { ...saved, name };
+}
+
+/**
+ * Delete a profile
+ * @param {string} name - Profile name, already validated
+ * @returns {boolean} False if there was no such profile
+ */
+function deleteCalibration(name) {
+    const filePath = profilePath(name);
+    if (!fs.existsSync(filePath)) {
+        return false;
+    }
+    fs.unlinkSync(filePath);
+    return true;
+}
+
+module.exports = {
+    calibrationsDir,
+    listCalibrations,
+    readCalibration,
+    isCalibrationName,
+    validateCalibration,
+    writeCalibration,
+    deleteCalibration
+};
@@ -0,0 +1,80 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal 16-bit grayscale PNG encoder for depth images
+ *
+ * Depth arrives from the client as little-endian uint16 millimetres, rows
+ * top-down. PNG stores 16-bit samples big-endian, one filter byte per row.
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndData), 0);
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode little-endian uint16 samples as a 16-bit grayscale PNG
+ * @param {number} width
+ * @param {number} height
+ * @param {Buffer} samples - width * height little-endian uint16 values, rows top-down
+ * @returns {Buffer} PNG file contents
+ */
+function encodeGray16Png(width, height, samples) {
+    if (samples.length !== width * height * 2) {
+        throw new Error(`Expected ${width * height * 2} bytes of depth data, got ${samples.length}`);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 16; // Bit depth
+    header[9] = 0;  // Color type: grayscale
+    header[10] = 0; // Compression
+    header[11] = 0; // Filter
+    header[12] = 0; // No interlace
+
+    const rowLength = width * 2;
+    const raw = Buffer.alloc((rowLength + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * (rowLength + 1);
+        raw[rowStart] = 0; // Filter type: none
+        for (let x = 0; x < width; x++) {
+            const src = (y * width + x) * 2;
+            const dst = rowStart + 1 + x * 2;
+            raw[dst] = samples[src + 1];
+            raw[dst + 1] = samples[src];
+        }
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = { encodeGray16Png };
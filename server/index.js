@@ -2,6 +2,17 @@ const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const { exportLeRobotDataset, findLayoutMismatches } = require('./lerobotExport');
+const { encodeGray16Png } = require('./depthPng');
+const { listScenes, isSceneType, invalidSceneTypeMessage, validateScene, writeScene } = require('./scenes');
+const {
+    listCalibrations,
+    readCalibration,
+    isCalibrationName,
+    validateCalibration,
+    writeCalibration,
+    deleteCalibration
+} = require('./calibrations');
 const app = express();
 const port = 3000;
 
@@ -36,23 +47,208 @@ async function withMetadataLock(lockKey, operation) {
     return newLock;
 }
 
+// Each capture-<timestamp>.png has a capture-<timestamp>.json state record next to it
+function getStateFilename(imageFilename) {
+    return imageFilename.replace(/\.png$/, '') + '.json';
+}
+
+function readCaptureState(sessionDir, imageFilename) {
+    const statePath = path.join(sessionDir, getStateFilename(imageFilename));
+    if (!fs.existsSync(statePath)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch (err) {
+        console.error('Error reading capture state:', err);
+        return null;
+    }
+}
+
 // Create captures directory and subdirectories if they don't exist
 const capturesDir = path.join(__dirname, '..', 'captures');
-const tableCapturesDir = path.join(capturesDir, 'table');
-const moonCapturesDir = path.join(capturesDir, 'moon');
-const catCapturesDir = path.join(capturesDir, 'cat');
+const exportsDir = path.join(capturesDir, 'exports');
 
 if (!fs.existsSync(capturesDir)) {
     fs.mkdirSync(capturesDir, { recursive: true });
 }
-if (!fs.existsSync(tableCapturesDir)) {
-    fs.mkdirSync(tableCapturesDir, { recursive: true });
+if (!fs.existsSync(exportsDir)) {
+    fs.mkdirSync(exportsDir, { recursive: true });
+}
+
+// Captures of a scene live in captures/<sceneType>/ (created with its first session)
+function getSceneCapturesDir(sceneType) {
+    return path.join(capturesDir, sceneType);
+}
+
+// Camera name of sessions captured before multi-camera rigs (single PNG per frame at the session root)
+const DEFAULT_CAMERA_NAME = 'front';
+
+// Multi-camera frames store one image per camera under <camera>/ and a single
+// state record at the session root whose `images` map points at them
+function readMultiCameraRecords(sessionDir) {
+    return fs.readdirSync(sessionDir)
+        .filter(file => file.startsWith('capture-') && file.endsWith('.json'))
+        .map(file => readCaptureState(sessionDir, file.replace(/\.json$/, '.png')))
+        .filter(state => state && state.images)
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// List the captures of a session in capture order, with their state records.
+// For multi-camera sessions these are the images of the primary (first) camera.
+function listSessionCaptures(sceneType, sessionId, sessionDir) {
+    const rootImages = fs.readdirSync(sessionDir).filter(file => file.endsWith('.png'));
+    if (rootImages.length === 0) {
+        return readMultiCameraRecords(sessionDir).map(state => {
+            const imagePath = Object.values(state.images)[0];
+            return {
+                filename: imagePath,
+                path: `${sceneType}/${sessionId}/${imagePath}`,
+                timestamp: new Date(state.timestamp),
+                state
+            };
+        });
+    }
+
+    return rootImages
+        .map(file => ({
+            filename: file,
+            path: `${sceneType}/${sessionId}/${file}`,
+            timestamp: fs.statSync(path.join(sessionDir, file)).mtime,
+            state: readCaptureState(sessionDir, file)
+        }))
+        .sort((a, b) => a.timestamp - b.timestamp); // Sort by capture order
+}
+
+// Frames of a session grouped by timestep across cameras:
+// { timestamp, episodeIndex, images: { <camera>: <path under captures/> }, depth?, segmentation?, state }
+function listSessionFrames(sceneType, sessionId, sessionDir) {
+    const records = readMultiCameraRecords(sessionDir);
+    if (records.length > 0) {
+        return records.map(state => ({
+            timestamp: state.timestamp,
+            episodeIndex: state.episodeIndex ?? null,
+            images: Object.fromEntries(Object.entries(state.images)
+                .map(([camera, imagePath]) => [camera, `${sceneType}/${sessionId}/${imagePath}`])),
+            ...(state.depth && {
+                depth: Object.fromEntries(Object.entries(state.depth)
+                    .map(([camera, { path: depthPath }]) => [camera, `${sceneType}/${sessionId}/${depthPath}`]))
+            }),
+            ...(state.segmentation && {
+                segmentation: Object.fromEntries(Object.entries(state.segmentation)
+                    .map(([camera, maskPath]) => [camera, `${sceneType}/${sessionId}/${maskPath}`]))
+            }),
+            state
+        }));
+    }
+
+    return listSessionCaptures(sceneType, sessionId, sessionDir).map(capture => ({
+        timestamp: capture.state?.timestamp ?? capture.timestamp.getTime(),
+        episodeIndex: capture.state?.episodeIndex ?? null,
+        images: { [DEFAULT_CAMERA_NAME]: capture.path },
+        state: capture.state
+    }));
+}
+
+// Session-level camera calibration (OpenCV intrinsics and world-to-camera extrinsics in the URDF frame)
+function writeSessionCameras(sceneType, sessionId, sessionDir, cameraModels) {
+    return withMetadataLock(`cameras-${sceneType}-${sessionId}`, () => {
+        const camerasPath = path.join(sessionDir, 'cameras.json');
+        let current = null;
+        if (fs.existsSync(camerasPath)) {
+            try {
+                current = JSON.parse(fs.readFileSync(camerasPath, 'utf8')).cameras;
+            } catch (err) {
+                console.error('Error reading cameras.json:', err);
+            }
+        }
+
+        // Only rewrite when the rig changed (it is sent with every capture)
+        const cameras = { ...current, ...cameraModels };
+        if (JSON.stringify(cameras) === JSON.stringify(current)) {
+            return;
+        }
+
+        const record = {
+            frame: 'URDF base frame (Z up), metres',
+            convention: 'OpenCV pinhole: x right, y down, z forward; extrinsics map world points into camera coordinates. ' +
+                'Cameras with attachTo move with their link: linkFromCamera is their mount, per-frame worldToCamera is in capture-*.json',
+            cameras
+        };
+        const tempPath = camerasPath + '.tmp';
+        fs.writeFileSync(tempPath, JSON.stringify(record, null, 2));
+        fs.renameSync(tempPath, camerasPath);
+    });
+}
+
+// Number of frames in a session without reading every state record
+function countSessionFrames(sessionDir) {
+    const rootImages = fs.readdirSync(sessionDir).filter(file => file.endsWith('.png')).length;
+    return rootImages > 0 ? rootImages : readMultiCameraRecords(sessionDir).length;
 }
-if (!fs.existsSync(moonCapturesDir)) {
-    fs.mkdirSync(moonCapturesDir, { recursive: true });
+
+// Session-level metadata (episodes with task and success labels) lives in session.json
+function readSessionMetadata(sessionDir) {
+    const metadataPath = path.join(sessionDir, 'session.json');
+    if (!fs.existsSync(metadataPath)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+    } catch (err) {
+        console.error('Error reading session metadata:', err);
+        return null;
+    }
 }
-if (!fs.existsSync(catCapturesDir)) {
-    fs.mkdirSync(catCapturesDir, { recursive: true });
+
+function updateSessionMetadata(sceneType, sessionId, sessionDir, update) {
+    return withMetadataLock(`session-${sceneType}-${sessionId}`, () => {
+        const metadata = readSessionMetadata(sessionDir) ||
+            { sessionId, sceneType, created: new Date().toISOString(), episodes: [] };
+
+        const result = update(metadata);
+        metadata.lastUpdated = new Date().toISOString();
+
+        // Write metadata atomically
+        const metadataPath = path.join(sessionDir, 'session.json');
+        const tempPath = metadataPath + '.tmp';
+        fs.writeFileSync(tempPath, JSON.stringify(metadata, null, 2));
+        fs.renameSync(tempPath, metadataPath);
+
+        return result === undefined ? metadata : result;
+    });
+}
+
+// Episodes of a session with the number of captures recorded in each
+function listSessionEpisodes(sessionDir, captures) {
+    const metadata = readSessionMetadata(sessionDir);
+    const episodes = metadata?.episodes || [];
+    return episodes.map(episode => ({
+        ...episode,
+        frameCount: captures.filter(capture => capture.state?.episodeIndex === episode.episodeIndex).length
+    }));
+}
+
+// Joint trajectories are stored one sample per line, independent of the captured images
+const TRAJECTORY_FILENAME = 'trajectory.jsonl';
+
+function readTrajectory(sessionDir) {
+    const trajectoryPath = path.join(sessionDir, TRAJECTORY_FILENAME);
+    if (!fs.existsSync(trajectoryPath)) {
+        return [];
+    }
+    return fs.readFileSync(trajectoryPath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (err) {
+                // A line cut off by a crash mid-write is skipped
+                return null;
+            }
+        })
+        .filter(sample => sample && sample.joints);
 }
 
 // Serve static files from captures directory
@@ -62,29 +258,159 @@ app.get('/', (req, res) => {
     res.send('Hello from Node.js server!');
 });
 
+// Endpoint to list the scenes found in scenes/
+app.get('/scenes', (req, res) => {
+    try {
+        const scenes = listScenes().map(({ id, name, description }) => ({ id, name: name || id, description }));
+        res.json({ scenes });
+    } catch (error) {
+        console.error('Error listing scenes:', error);
+        res.status(500).json({ error: 'Failed to list scenes', details: error.message });
+    }
+});
+
+// Endpoint to save a scene definition (from the scene editor) as scenes/<sceneId>.json
+// Body: { scene } with the full definition; an existing scene is replaced
+app.post('/scenes/:sceneId', async (req, res) => {
+    try {
+        const { sceneId } = req.params;
+        const { scene } = req.body;
+
+        const problem = validateScene(sceneId, scene);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+
+        const created = await withMetadataLock(`scene-${sceneId}`, () => writeScene(sceneId, scene));
+
+        console.log(`${created ? 'Created' : 'Saved'} scene ${sceneId} (${(scene.objects || []).length} objects)`);
+        res.json({ success: true, sceneId, created });
+    } catch (error) {
+        console.error('Error saving scene:', error);
+        res.status(500).json({ error: 'Failed to save scene', details: error.message });
+    }
+});
+
+// Endpoint to list the leader calibration profiles in calibrations/
+app.get('/calibrations', (req, res) => {
+    try {
+        res.json({ profiles: listCalibrations() });
+    } catch (error) {
+        console.error('Error listing calibrations:', error);
+        res.status(500).json({ error: 'Failed to list calibrations', details: error.message });
+    }
+});
+
+// Endpoint to read one calibration profile
+app.get('/calibrations/:name', (req, res) => {
+    try {
+        const { name } = req.params;
+        if (!isCalibrationName(name)) {
+            return res.status(400).json({ error: 'Invalid profile name' });
+        }
+
+        const profile = readCalibration(name);
+        if (!profile) {
+            return res.status(404).json({ error: 'Calibration profile not found' });
+        }
+        res.json({ profile });
+    } catch (error) {
+        console.error('Error reading calibration:', error);
+        res.status(500).json({ error: 'Failed to read calibration', details: error.message });
+    }
+});
+
+// Endpoint to save a calibration profile as calibrations/<name>.json
+// Body: { profile: { joints: { <joint>: { inputMin, inputMax, offset, sign, deadZone } } } }
+app.post('/calibrations/:name', async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { profile } = req.body;
+
+        const problem = validateCalibration(name, profile);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+
+        const saved = await withMetadataLock(`calibration-${name}`, () => writeCalibration(name, profile));
+
+        console.log(`Saved calibration ${name} (${Object.keys(saved.joints).length} joints)`);
+        res.json({ success: true, profile: saved });
+    } catch (error) {
+        console.error('Error saving calibration:', error);
+        res.status(500).json({ error: 'Failed to save calibration', details: error.message });
+    }
+});
+
+// Endpoint to delete a calibration profile
+app.delete('/calibrations/:name', async (req, res) => {
+    try {
+        const { name } = req.params;
+        if (!isCalibrationName(name)) {
+            return res.status(400).json({ error: 'Invalid profile name' });
+        }
+
+        const deleted = await withMetadataLock(`calibration-${name}`, () => deleteCalibration(name));
+        if (!deleted) {
+            return res.status(404).json({ error: 'Calibration profile not found' });
+        }
+
+        console.log(`Deleted calibration ${name}`);
+        res.json({ success: true, name });
+    } catch (error) {
+        console.error('Error deleting calibration:', error);
+        res.status(500).json({ error: 'Failed to delete calibration', details: error.message });
+    }
+});
+
 // Endpoint to save camera captures
-app.post('/save-capture', (req, res) => {
+// Accepts a single `imageData` or `images` ({ <camera>: <data URL> }) for multi-camera rigs.
+// `depth` ({ <camera>: { data, width, height, near, far } }, data = base64 little-endian
+// uint16 millimetres) is saved as a 16-bit PNG next to the camera's image, `segmentation`
+// ({ <camera>: <data URL> }) as a mask whose ID legend (`segmentationLegend`) goes into session.json.
+// `cameraModels` ({ <camera>: { K, width, height, extrinsics, ... } }) is kept in the session's cameras.json.
+app.post('/save-capture', async (req, res) => {
     try {
-        const { imageData, filename, sceneType = 'table', sessionId } = req.body;
+        const {
+            imageData,
+            images,
+            depth,
+            segmentation,
+            segmentationLegend,
+            cameraModels,
+            filename,
+            sceneType = 'table',
+            sessionId,
+            state
+        } = req.body;
 
-        if (!imageData) {
+        if (!imageData && (!images || Object.keys(images).length === 0)) {
             return res.status(400).json({ error: 'No image data provided' });
         }
 
+        if (images && Object.keys(images).some(camera => !/^[\w-]+$/.test(camera))) {
+            return res.status(400).json({ error: 'Camera names may only contain letters, digits, "_" and "-"' });
+        }
+
+        if (depth && Object.keys(depth).some(camera => !images || !images[camera])) {
+            return res.status(400).json({ error: 'Depth images require an image of the same camera' });
+        }
+
+        if (segmentation && Object.keys(segmentation).some(camera => !images || !images[camera])) {
+            return res.status(400).json({ error: 'Segmentation masks require an image of the same camera' });
+        }
+
         // Validate scene type
-        if (!['table', 'moon', 'cat'].includes(sceneType)) {
-            return res.status(400).json({ error: 'Invalid scene type. Must be "table", "moon", or "cat"' });
+        if (!isSceneType(sceneType)) {
+            return res.status(400).json({ error: invalidSceneTypeMessage() });
         }
 
         if (!sessionId) {
             return res.status(400).json({ error: 'Session ID is required' });
         }
 
-        // Remove the data:image/png;base64, prefix
-        const base64Data = imageData.replace(/^data:image\/png;base64,/, '');
-
         // Determine the base directory based on scene type
-        const baseDir = sceneType === 'moon' ? moonCapturesDir : (sceneType === 'cat' ? catCapturesDir : tableCapturesDir);
+        const baseDir = getSceneCapturesDir(sceneType);
         
         // Create session directory if it doesn't exist
         const sessionDir = path.join(baseDir, sessionId);
@@ -94,13 +420,82 @@ app.post('/save-capture', (req, res) => {
 
         // Generate filename with timestamp if not provided
         const finalFilename = filename || `capture-${Date.now()}.png`;
-        const filePath = path.join(sessionDir, finalFilename);
 
-        // Write the file
-        fs.writeFileSync(filePath, base64Data, 'base64');
+        // Write the image(s), one per camera subfolder for multi-camera captures
+        let filePath = path.join(sessionDir, finalFilename);
+        let imagePaths = null;
+        if (images) {
+            imagePaths = {};
+            Object.entries(images).forEach(([camera, data]) => {
+                const cameraDir = path.join(sessionDir, camera);
+                if (!fs.existsSync(cameraDir)) {
+                    fs.mkdirSync(cameraDir, { recursive: true });
+                }
+                // Remove the data:image/png;base64, prefix
+                fs.writeFileSync(path.join(cameraDir, finalFilename), data.replace(/^data:image\/png;base64,/, ''), 'base64');
+                imagePaths[camera] = `${camera}/${finalFilename}`;
+            });
+            filePath = path.join(sessionDir, Object.values(imagePaths)[0]);
+        } else {
+            // Remove the data:image/png;base64, prefix
+            fs.writeFileSync(filePath, imageData.replace(/^data:image\/png;base64,/, ''), 'base64');
+        }
+
+        // Write depth images next to the RGB images, with the range they were rendered with
+        let depthRecords = null;
+        if (depth && Object.keys(depth).length > 0) {
+            depthRecords = {};
+            const depthFilename = finalFilename.replace(/\.png$/, '') + '.depth.png';
+            Object.entries(depth).forEach(([camera, { data, width, height, near, far }]) => {
+                const png = encodeGray16Png(width, height, Buffer.from(data, 'base64'));
+                fs.writeFileSync(path.join(sessionDir, camera, depthFilename), png);
+                depthRecords[camera] = { path: `${camera}/${depthFilename}`, units: 'mm', near, far };
+            });
+        }
+
+        // Write segmentation masks next to the RGB images
+        let segmentationPaths = null;
+        if (segmentation && Object.keys(segmentation).length > 0) {
+            segmentationPaths = {};
+            const maskFilename = finalFilename.replace(/\.png$/, '') + '.seg.png';
+            Object.entries(segmentation).forEach(([camera, data]) => {
+                fs.writeFileSync(path.join(sessionDir, camera, maskFilename), data.replace(/^data:image\/png;base64,/, ''), 'base64');
+                segmentationPaths[camera] = `${camera}/${maskFilename}`;
+            });
+        }
+
+        // The ID legend is the same for every frame of a scene; keep it in session.json
+        if (segmentationLegend) {
+            const current = readSessionMetadata(sessionDir)?.segmentation?.legend;
+            if (JSON.stringify(current) !== JSON.stringify(segmentationLegend)) {
+                await updateSessionMetadata(sceneType, sessionId, sessionDir, metadata => {
+                    metadata.segmentation = { legend: segmentationLegend };
+                });
+            }
+        }
+
+        if (cameraModels) {
+            await writeSessionCameras(sceneType, sessionId, sessionDir, cameraModels);
+        }
+
+        // Write the matching state record (joints, cameras, object poses, gripper)
+        let stateFilename = null;
+        if (state || imagePaths) {
+            stateFilename = getStateFilename(finalFilename);
+            const record = {
+                filename: finalFilename,
+                sceneType,
+                sessionId,
+                ...state,
+                ...(imagePaths && { images: imagePaths }),
+                ...(depthRecords && { depth: depthRecords }),
+                ...(segmentationPaths && { segmentation: segmentationPaths })
+            };
+            fs.writeFileSync(path.join(sessionDir, stateFilename), JSON.stringify(record, null, 2));
+        }
 
         console.log(`Saved ${sceneType} capture to session ${sessionId}: ${filePath}`);
-        res.json({ success: true, filename: finalFilename, path: filePath, sceneType, sessionId });
+        res.json({ success: true, filename: finalFilename, stateFilename, images: imagePaths, depth: depthRecords, segmentation: segmentationPaths, path: filePath, sceneType, sessionId });
     } catch (error) {
         console.error('Error saving capture:', error);
         res.status(500).json({ error: 'Failed to save image', details: error.message });
@@ -113,11 +508,11 @@ app.get('/sessions/:sceneType', (req, res) => {
         const { sceneType } = req.params;
 
         // Validate scene type
-        if (!['table', 'moon', 'cat'].includes(sceneType)) {
-            return res.status(400).json({ error: 'Invalid scene type. Must be "table", "moon", or "cat"' });
+        if (!isSceneType(sceneType)) {
+            return res.status(400).json({ error: invalidSceneTypeMessage() });
         }
 
-        const targetDir = sceneType === 'moon' ? moonCapturesDir : (sceneType === 'cat' ? catCapturesDir : tableCapturesDir);
+        const targetDir = getSceneCapturesDir(sceneType);
 
         // Read directory
         if (!fs.existsSync(targetDir)) {
@@ -132,13 +527,14 @@ app.get('/sessions/:sceneType', (req, res) => {
             const stats = fs.statSync(entryPath);
             
             if (stats.isDirectory()) {
-                // Count PNG files in the session directory
-                const files = fs.readdirSync(entryPath).filter(f => f.endsWith('.png'));
-                
+                const metadata = readSessionMetadata(entryPath);
+
                 sessions.push({
                     sessionId: entry,
                     sceneType: sceneType,
-                    captureCount: files.length,
+                    captureCount: countSessionFrames(entryPath),
+                    episodeCount: metadata?.episodes?.length || 0,
+                    hasTrajectory: fs.existsSync(path.join(entryPath, TRAJECTORY_FILENAME)),
                     created: stats.birthtime || stats.mtime,
                     modified: stats.mtime
                 });
@@ -161,11 +557,11 @@ app.get('/sessions/:sceneType/:sessionId', (req, res) => {
         const { sceneType, sessionId } = req.params;
 
         // Validate scene type
-        if (!['table', 'moon', 'cat'].includes(sceneType)) {
-            return res.status(400).json({ error: 'Invalid scene type. Must be "table", "moon", or "cat"' });
+        if (!isSceneType(sceneType)) {
+            return res.status(400).json({ error: invalidSceneTypeMessage() });
         }
 
-        const baseDir = sceneType === 'moon' ? moonCapturesDir : (sceneType === 'cat' ? catCapturesDir : tableCapturesDir);
+        const baseDir = getSceneCapturesDir(sceneType);
         const sessionDir = path.join(baseDir, sessionId);
 
         // Check if session exists
@@ -173,33 +569,226 @@ app.get('/sessions/:sceneType/:sessionId', (req, res) => {
             return res.status(404).json({ error: 'Session not found' });
         }
 
-        const files = fs.readdirSync(sessionDir)
-            .filter(file => file.endsWith('.png'))
-            .map(file => ({
-                filename: file,
-                path: `${sceneType}/${sessionId}/${file}`,
-                timestamp: fs.statSync(path.join(sessionDir, file)).mtime
-            }))
-            .sort((a, b) => a.timestamp - b.timestamp); // Sort by capture order
+        const files = listSessionCaptures(sceneType, sessionId, sessionDir);
+        const frames = listSessionFrames(sceneType, sessionId, sessionDir);
+        const episodes = listSessionEpisodes(sessionDir, files);
+        const cameras = frames.length > 0 ? Object.keys(frames[0].images) : [];
+        const metadata = readSessionMetadata(sessionDir);
+        const segmentationLegend = metadata?.segmentation?.legend || null;
+        const source = metadata?.source || null;
 
-        res.json({ captures: files, sessionId, sceneType });
+        res.json({ captures: files, frames, cameras, episodes, segmentationLegend, source, sessionId, sceneType });
     } catch (error) {
         console.error('Error listing session captures:', error);
         res.status(500).json({ error: 'Failed to list captures', details: error.message });
     }
 });
 
+// Endpoint to list the episodes of a session
+app.get('/sessions/:sceneType/:sessionId/episodes', (req, res) => {
+    try {
+        const { sceneType, sessionId } = req.params;
+
+        // Validate scene type
+        if (!isSceneType(sceneType)) {
+            return res.status(400).json({ error: invalidSceneTypeMessage() });
+        }
+
+        const baseDir = getSceneCapturesDir(sceneType);
+        const sessionDir = path.join(baseDir, sessionId);
+
+        if (!fs.existsSync(sessionDir)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const captures = listSessionCaptures(sceneType, sessionId, sessionDir);
+        res.json({ episodes: listSessionEpisodes(sessionDir, captures), sessionId, sceneType });
+    } catch (error) {
+        console.error('Error listing episodes:', error);
+        res.status(500).json({ error: 'Failed to list episodes', details: error.message });
+    }
+});
+
+// Endpoint to start a new episode in a session (creates the session if needed)
+app.post('/sessions/:sceneType/:sessionId/episodes', async (req, res) => {
+    try {
+        const { sceneType, sessionId } = req.params;
+        const { task = '' } = req.body;
+
+        // Validate scene type
+        if (!isSceneType(sceneType)) {
+            return res.status(400).json({ error: invalidSceneTypeMessage() });
+        }
+
+        const baseDir = getSceneCapturesDir(sceneType);
+        const sessionDir = path.join(baseDir, sessionId);
+        if (!fs.existsSync(sessionDir)) {
+            fs.mkdirSync(sessionDir, { recursive: true });
+        }
+
+        const episode = await updateSessionMetadata(sceneType, sessionId, sessionDir, (metadata) => {
+            const newEpisode = {
+                episodeIndex: metadata.episodes.length,
+                task,
+                startedAt: new Date().toISOString(),
+                endedAt: null,
+                success: null
+            };
+            metadata.episodes.push(newEpisode);
+            return newEpisode;
+        });
+
+        console.log(`Started episode ${episode.episodeIndex} in ${sceneType}/${sessionId}: "${task}"`);
+        res.json({ success: true, episode, sessionId, sceneType });
+    } catch (error) {
+        console.error('Error starting episode:', error);
+        res.status(500).json({ error: 'Failed to start episode', details: error.message });
+    }
+});
+
+// Endpoint to end an episode and label it as success or failure
+app.post('/sessions/:sceneType/:sessionId/episodes/:episodeIndex/end', async (req, res) => {
+    try {
+        const { sceneType, sessionId } = req.params;
+        const episodeIndex = parseInt(req.params.episodeIndex);
+        const { success } = req.body;
+
+        // Validate scene type
+        if (!isSceneType(sceneType)) {
+            return res.status(400).json({ error: invalidSceneTypeMessage() });
+        }
+
+        if (success !== undefined && success !== null && typeof success !== 'boolean') {
+            return res.status(400).json({ error: 'success must be true, false or null' });
+        }
+
+        const baseDir = getSceneCapturesDir(sceneType);
+        const sessionDir = path.join(baseDir, sessionId);
+
+        const metadata = fs.existsSync(sessionDir) ? readSessionMetadata(sessionDir) : null;
+        if (!metadata || !metadata.episodes[episodeIndex]) {
+            return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        const episode = await updateSessionMetadata(sceneType, sessionId, sessionDir, (current) => {
+            const target = current.episodes[episodeIndex];
+            target.endedAt = new Date().toISOString();
+            target.success = success ?? null;
+            return target;
+        });
+
+        console.log(`Ended episode ${episodeIndex} in ${sceneType}/${sessionId} (success: ${episode.success})`);
+        res.json({ success: true, episode, sessionId, sceneType });
+    } catch (error) {
+        console.error('Error ending episode:', error);
+        res.status(500).json({ error: 'Failed to end episode', details: error.message });
+    }
+});
+
+// Endpoint to append joint samples to a session's trajectory
+app.post('/sessions/:sceneType/:sessionId/trajectory', async (req, res) => {
+    try {
+        const { sceneType, sessionId } = req.params;
+        const { samples } = req.body;
+
+        // Validate scene type
+        if (!isSceneType(sceneType)) {
+            return res.status(400).json({ error: invalidSceneTypeMessage() });
+        }
+
+        if (!Array.isArray(samples) || samples.some(sample => typeof sample?.timestamp !== 'number' || !sample.joints)) {
+            return res.status(400).json({ error: 'samples must be an array of { timestamp, joints }' });
+        }
+
+        const baseDir = getSceneCapturesDir(sceneType);
+        const sessionDir = path.join(baseDir, sessionId);
+        if (!fs.existsSync(sessionDir)) {
+            fs.mkdirSync(sessionDir, { recursive: true });
+        }
+
+        if (samples.length > 0) {
+            // Serialize appends so batches from overlapping requests never interleave
+            await withMetadataLock(`trajectory-${sceneType}-${sessionId}`, () => {
+                const lines = samples.map(sample => JSON.stringify(sample)).join('\n') + '\n';
+                fs.appendFileSync(path.join(sessionDir, TRAJECTORY_FILENAME), lines);
+            });
+        }
+
+        res.json({ success: true, appended: samples.length, sessionId, sceneType });
+    } catch (error) {
+        console.error('Error saving trajectory:', error);
+        res.status(500).json({ error: 'Failed to save trajectory', details: error.message });
+    }
+});
+
+// Endpoint to read back a session's recorded trajectory
+app.get('/sessions/:sceneType/:sessionId/trajectory', (req, res) => {
+    try {
+        const { sceneType, sessionId } = req.params;
+
+        // Validate scene type
+        if (!isSceneType(sceneType)) {
+            return res.status(400).json({ error: invalidSceneTypeMessage() });
+        }
+
+        const baseDir = getSceneCapturesDir(sceneType);
+        const sessionDir = path.join(baseDir, sessionId);
+
+        if (!fs.existsSync(sessionDir)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ samples: readTrajectory(sessionDir), sessionId, sceneType });
+    } catch (error) {
+        console.error('Error reading trajectory:', error);
+        res.status(500).json({ error: 'Failed to read trajectory', details: error.message });
+    }
+});
+
+// Endpoint to record where a session's frames came from (e.g. an offline render of a trajectory)
+app.post('/sessions/:sceneType/:sessionId/source', async (req, res) => {
+    try {
+        const { sceneType, sessionId } = req.params;
+        const { source } = req.body;
+
+        // Validate scene type
+        if (!isSceneType(sceneType)) {
+            return res.status(400).json({ error: invalidSceneTypeMessage() });
+        }
+
+        if (!source || typeof source !== 'object' || Array.isArray(source)) {
+            return res.status(400).json({ error: 'source must be an object' });
+        }
+
+        const baseDir = getSceneCapturesDir(sceneType);
+        const sessionDir = path.join(baseDir, sessionId);
+        if (!fs.existsSync(sessionDir)) {
+            fs.mkdirSync(sessionDir, { recursive: true });
+        }
+
+        await updateSessionMetadata(sceneType, sessionId, sessionDir, (metadata) => {
+            metadata.source = source;
+        });
+
+        console.log(`Linked ${sceneType}/${sessionId} to source:`, source);
+        res.json({ success: true, source, sessionId, sceneType });
+    } catch (error) {
+        console.error('Error saving session source:', error);
+        res.status(500).json({ error: 'Failed to save session source', details: error.message });
+    }
+});
+
 // Endpoint to list all generations for a session
 app.get('/sessions/:sceneType/:sessionId/generations', (req, res) => {
     try {
         const { sceneType, sessionId } = req.params;
 
         // Validate scene type
-        if (!['table', 'moon', 'cat'].includes(sceneType)) {
-            return res.status(400).json({ error: 'Invalid scene type. Must be "table", "moon", or "cat"' });
+        if (!isSceneType(sceneType)) {
+            return res.status(400).json({ error: invalidSceneTypeMessage() });
         }
 
-        const baseDir = sceneType === 'moon' ? moonCapturesDir : (sceneType === 'cat' ? catCapturesDir : tableCapturesDir);
+        const baseDir = getSceneCapturesDir(sceneType);
         const generationsDir = path.join(baseDir, sessionId, 'generations');
 
         // Check if generations directory exists
@@ -248,11 +837,11 @@ app.get('/sessions/:sceneType/:sessionId/generations/:generationId', (req, res)
         const { sceneType, sessionId, generationId } = req.params;
 
         // Validate scene type
-        if (!['table', 'moon', 'cat'].includes(sceneType)) {
-            return res.status(400).json({ error: 'Invalid scene type. Must be "table", "moon", or "cat"' });
+        if (!isSceneType(sceneType)) {
+            return res.status(400).json({ error: invalidSceneTypeMessage() });
         }
 
-        const baseDir = sceneType === 'moon' ? moonCapturesDir : (sceneType === 'cat' ? catCapturesDir : tableCapturesDir);
+        const baseDir = getSceneCapturesDir(sceneType);
         const generationDir = path.join(baseDir, sessionId, 'generations', generationId);
 
         // Check if generation directory exists
@@ -307,11 +896,11 @@ app.post('/save-generated', async (req, res) => {
         }
 
         // Validate scene type
-        if (!['table', 'moon', 'cat'].includes(sceneType)) {
-            return res.status(400).json({ error: 'Invalid scene type. Must be "table", "moon", or "cat"' });
+        if (!isSceneType(sceneType)) {
+            return res.status(400).json({ error: invalidSceneTypeMessage() });
         }
 
-        const baseDir = sceneType === 'moon' ? moonCapturesDir : (sceneType === 'cat' ? catCapturesDir : tableCapturesDir);
+        const baseDir = getSceneCapturesDir(sceneType);
         const sessionDir = path.join(baseDir, sessionId);
         const generationsDir = path.join(sessionDir, 'generations');
         const generationDir = path.join(generationsDir, generationId);
@@ -421,6 +1010,118 @@ app.post('/save-generated', async (req, res) => {
     }
 });
 
+// Endpoint to export sessions as a LeRobot-style dataset
+app.post('/export/lerobot', (req, res) => {
+    try {
+        const { sceneType, sessions, task, fps, successOnly = false } = req.body;
+
+        // Validate scene type
+        if (!isSceneType(sceneType)) {
+            return res.status(400).json({ error: invalidSceneTypeMessage() });
+        }
+
+        if (!Array.isArray(sessions) || sessions.length === 0) {
+            return res.status(400).json({ error: 'At least one session is required' });
+        }
+
+        const baseDir = getSceneCapturesDir(sceneType);
+        const defaultTask = `Teleoperation in the ${sceneType} scene`;
+        const episodes = [];
+
+        for (const { sessionId, generationId, episodes: episodeFilter } of sessions) {
+            const sessionDir = path.join(baseDir, sessionId);
+            if (!sessionId || !fs.existsSync(sessionDir)) {
+                return res.status(404).json({ error: `Session not found: ${sessionId}` });
+            }
+
+            const captures = listSessionCaptures(sceneType, sessionId, sessionDir);
+            const sessionFrames = listSessionFrames(sceneType, sessionId, sessionDir);
+            if (captures.length === 0) {
+                return res.status(400).json({ error: `Session ${sessionId} has no captures` });
+            }
+
+            const missingState = captures.filter(capture => !capture.state || !capture.state.joints).length;
+            if (missingState > 0) {
+                return res.status(400).json({
+                    error: `Session ${sessionId} has ${missingState} capture(s) without joint state and cannot be exported`
+                });
+            }
+
+            // Swap in generated images (generated-<index>.png) when a generation is chosen
+            let generationDir = null;
+            if (generationId) {
+                generationDir = path.join(sessionDir, 'generations', generationId);
+                const missingGenerated = captures
+                    .filter((capture, index) => !fs.existsSync(path.join(generationDir, `generated-${index}.png`)))
+                    .length;
+                if (missingGenerated > 0) {
+                    return res.status(400).json({
+                        error: `Generation ${generationId} is missing ${missingGenerated} of ${captures.length} images`
+                    });
+                }
+            }
+
+            // Generated images are indexed by position in the whole session and
+            // replace the primary camera's images
+            const frames = sessionFrames.map((frame, index) => {
+                const images = {};
+                Object.entries(frame.images).forEach(([camera, imagePath], cameraIndex) => {
+                    images[camera] = generationDir && cameraIndex === 0
+                        ? path.join(generationDir, `generated-${index}.png`)
+                        : path.join(capturesDir, imagePath);
+                });
+                return { images, state: frame.state };
+            });
+
+            const sessionEpisodes = listSessionEpisodes(sessionDir, captures);
+            if (sessionEpisodes.length === 0) {
+                // Sessions recorded before episodes existed export as a single episode
+                episodes.push({ source: sessionId, task: task || defaultTask, frames });
+                continue;
+            }
+
+            sessionEpisodes
+                .filter(episode => !episodeFilter || episodeFilter.includes(episode.episodeIndex))
+                .filter(episode => !successOnly || episode.success === true)
+                .forEach(episode => {
+                    const episodeFrames = frames.filter(frame => frame.state.episodeIndex === episode.episodeIndex);
+                    if (episodeFrames.length > 0) {
+                        episodes.push({
+                            source: sessionId,
+                            task: episode.task || task || defaultTask,
+                            success: episode.success,
+                            frames: episodeFrames
+                        });
+                    }
+                });
+        }
+
+        if (episodes.length === 0) {
+            return res.status(400).json({ error: 'No episodes match the export selection' });
+        }
+
+        // Every frame fills the same dataset columns
+        const layout = findLayoutMismatches(episodes);
+        if (layout.mismatched.length > 0) {
+            return res.status(400).json({
+                error: `Frames of session(s) ${layout.mismatched.join(', ')} don't have the cameras ` +
+                    `(${layout.cameras.join(', ')}) and joints (${layout.joints.join(', ')}) of the first exported frame; ` +
+                    'export sessions with different camera rigs separately'
+            });
+        }
+
+        const exportId = `lerobot-${sceneType}-${Date.now()}`;
+        const outputDir = path.join(exportsDir, exportId);
+        const summary = exportLeRobotDataset({ episodes, outputDir, fps });
+
+        console.log(`Exported ${summary.totalEpisodes} episode(s), ${summary.totalFrames} frames to ${outputDir}`);
+        res.json({ success: true, exportId, path: `exports/${exportId}`, outputDir, ...summary });
+    } catch (error) {
+        console.error('Error exporting dataset:', error);
+        res.status(500).json({ error: 'Failed to export dataset', details: error.message });
+    }
+});
+
 app.listen(port, () => {
     console.log(`Server listening at http://localhost:${port}`);
 });
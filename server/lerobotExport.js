@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * LeRobot-style dataset export
+ *
+ * Turns capture sessions into the directory layout LeRobot datasets use:
+ *
+ *   <outputDir>/
+ *   ├── meta/info.json
+ *   ├── meta/episodes.jsonl
+ *   ├── meta/tasks.jsonl
+ *   ├── data/chunk-000/episode_000000.jsonl
+ *   └── images/observation.images.<camera>/episode_000000/frame_000000.png
+ *
+ * Frame tables are written as JSON Lines (one row per frame) rather than
+ * parquet, so no native dependencies are needed; `info.json` points at them
+ * through `data_path`.
+ */
+
+const CODEBASE_VERSION = 'v2.1';
+const CHUNKS_SIZE = 1000;
+const DEFAULT_FPS = 1;
+const imageKey = (camera) => `observation.images.${camera}`;
+
+// Read width/height from a PNG's IHDR chunk
+function readPngSize(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const header = Buffer.alloc(24);
+        fs.readSync(fd, header, 0, 24, 0);
+        return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Capture time of a frame in ms; frames synced to teleop carry the sender's clock (seconds)
+function frameTime(frame) {
+    const { teleopTimestamp, timestamp } = frame.state;
+    return typeof teleopTimestamp === 'number' ? teleopTimestamp * 1000 : timestamp;
+}
+
+// Estimate the capture rate from the median interval between frames
+function estimateFps(episodes) {
+    const intervals = [];
+    episodes.forEach(episode => {
+        for (let i = 1; i < episode.frames.length; i++) {
+            intervals.push(frameTime(episode.frames[i]) - frameTime(episode.frames[i - 1]));
+        }
+    });
+    if (intervals.length === 0) return DEFAULT_FPS;
+
+    intervals.sort((a, b) => a - b);
+    const median = intervals[Math.floor(intervals.length / 2)];
+    return median > 0 ? Math.max(1, Math.round(1000 / median)) : DEFAULT_FPS;
+}
+
+function padIndex(index, width) {
+    return String(index).padStart(width, '0');
+}
+
+function writeJsonLines(filePath, rows) {
+    fs.writeFileSync(filePath, rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+}
+
+// Cameras and joints of a frame, the columns it fills
+function frameLayout(frame) {
+    return {
+        cameras: Object.keys(frame.images).sort(),
+        joints: Object.keys(frame.state.joints).sort()
+    };
+}
+
+/**
+ * Find frames whose cameras or joints differ from the first frame's
+ *
+ * A dataset has one set of columns, so every exported frame needs the same
+ * camera images and joints (rigs change per scene and with the wrist camera).
+ * @param {Object[]} episodes - Episodes as passed to exportLeRobotDataset, with an optional `source` label
+ * @returns {Object} { cameras, joints, mismatched } - The first frame's layout and the sources of frames that differ
+ */
+function findLayoutMismatches(episodes) {
+    const expected = frameLayout(episodes[0].frames[0]);
+    const expectedKey = JSON.stringify(expected);
+    const mismatched = new Set();
+    episodes.forEach(episode => {
+        if (episode.frames.some(frame => JSON.stringify(frameLayout(frame)) !== expectedKey)) {
+            mismatched.add(episode.source);
+        }
+    });
+    return { ...expected, mismatched: [...mismatched] };
+}
+
+/**
+ * Write episodes as a LeRobot-style dataset
+ * @param {Object} options
+ * @param {Object[]} options.episodes - Episodes in export order, all frames with the same cameras and joints
+ * @param {string} options.episodes[].task - Task description for the episode
+ * @param {boolean|null} [options.episodes[].success] - Success label written to episodes.jsonl
+ * @param {Object[]} options.episodes[].frames - Frames in capture order
+ * @param {Object} options.episodes[].frames[].images - Absolute image path to copy per camera name
+ * @param {Object} options.episodes[].frames[].state - Capture state record (timestamp, teleopTimestamp, joints)
+ * @param {string} options.outputDir - Dataset directory to create
+ * @param {number} [options.fps] - Frame rate; estimated from capture timestamps if omitted
+ * @param {string} [options.robotType] - Robot type recorded in info.json
+ * @returns {Object} Summary of the written dataset
+ */
+function exportLeRobotDataset({ episodes, outputDir, fps, robotType = 'so101' }) {
+    if (episodes.length === 0) {
+        throw new Error('No episodes to export');
+    }
+    if (findLayoutMismatches(episodes).mismatched.length > 0) {
+        throw new Error('Frames differ in their cameras or joints');
+    }
+
+    // A failed export leaves no partial dataset behind
+    try {
+        return writeDataset({ episodes, outputDir, fps, robotType });
+    } catch (error) {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+        throw error;
+    }
+}
+
+function writeDataset({ episodes, outputDir, fps, robotType }) {
+
+    const firstFrame = episodes[0].frames[0];
+    const jointNames = Object.keys(firstFrame.state.joints);
+    const cameras = Object.keys(firstFrame.images);
+    const imageSizes = Object.fromEntries(cameras.map(camera => [camera, readPngSize(firstFrame.images[camera])]));
+    const datasetFps = fps || estimateFps(episodes);
+
+    const tasks = [];
+    const episodeRows = [];
+    let globalIndex = 0;
+
+    fs.mkdirSync(path.join(outputDir, 'meta'), { recursive: true });
+
+    episodes.forEach((episode, episodeIndex) => {
+        const chunk = `chunk-${padIndex(Math.floor(episodeIndex / CHUNKS_SIZE), 3)}`;
+        const episodeName = `episode_${padIndex(episodeIndex, 6)}`;
+        const dataDir = path.join(outputDir, 'data', chunk);
+        fs.mkdirSync(dataDir, { recursive: true });
+        cameras.forEach(camera => {
+            fs.mkdirSync(path.join(outputDir, 'images', imageKey(camera), episodeName), { recursive: true });
+        });
+
+        let taskIndex = tasks.indexOf(episode.task);
+        if (taskIndex === -1) {
+            taskIndex = tasks.length;
+            tasks.push(episode.task);
+        }
+
+        const startTimestamp = frameTime(episode.frames[0]);
+        const toVector = (joints) => jointNames.map(name => joints[name] ?? 0);
+
+        const rows = episode.frames.map((frame, frameIndex) => {
+            const imageName = `frame_${padIndex(frameIndex, 6)}.png`;
+            const imageColumns = {};
+            cameras.forEach(camera => {
+                const relativePath = path.posix.join('images', imageKey(camera), episodeName, imageName);
+                fs.copyFileSync(frame.images[camera], path.join(outputDir, relativePath));
+                imageColumns[imageKey(camera)] = relativePath;
+            });
+
+            // The sim follows the commanded joints immediately, so the action
+            // for a frame is the joint target reached by the next frame
+            const nextFrame = episode.frames[frameIndex + 1] || frame;
+
+            return {
+                ...imageColumns,
+                'observation.state': toVector(frame.state.joints),
+                'action': toVector(nextFrame.state.joints),
+                'timestamp': (frameTime(frame) - startTimestamp) / 1000,
+                'frame_index': frameIndex,
+                'episode_index': episodeIndex,
+                'index': globalIndex++,
+                'task_index': taskIndex
+            };
+        });
+
+        writeJsonLines(path.join(dataDir, `${episodeName}.jsonl`), rows);
+        episodeRows.push({
+            episode_index: episodeIndex,
+            tasks: [episode.task],
+            length: rows.length,
+            ...(episode.success !== undefined && { success: episode.success })
+        });
+    });
+
+    const jointFeature = {
+        dtype: 'float32',
+        shape: [jointNames.length],
+        names: jointNames
+    };
+    const scalarFeature = (dtype) => ({ dtype, shape: [1], names: null });
+
+    const info = {
+        codebase_version: CODEBASE_VERSION,
+        robot_type: robotType,
+        total_episodes: episodes.length,
+        total_frames: globalIndex,
+        total_tasks: tasks.length,
+        total_videos: 0,
+        total_chunks: Math.ceil(episodes.length / CHUNKS_SIZE),
+        chunks_size: CHUNKS_SIZE,
+        fps: datasetFps,
+        splits: { train: `0:${episodes.length}` },
+        data_path: 'data/chunk-{episode_chunk:03d}/episode_{episode_index:06d}.jsonl',
+        image_path: 'images/{image_key}/episode_{episode_index:06d}/frame_{frame_index:06d}.png',
+        video_path: null,
+        features: {
+            ...Object.fromEntries(cameras.map(camera => [imageKey(camera), {
+                dtype: 'image',
+                shape: [imageSizes[camera].height, imageSizes[camera].width, 3],
+                names: ['height', 'width', 'channels']
+            }])),
+            'observation.state': jointFeature,
+            'action': jointFeature,
+            'timestamp': scalarFeature('float32'),
+            'frame_index': scalarFeature('int64'),
+            'episode_index': scalarFeature('int64'),
+            'index': scalarFeature('int64'),
+            'task_index': scalarFeature('int64')
+        }
+    };
+
+    fs.writeFileSync(path.join(outputDir, 'meta', 'info.json'), JSON.stringify(info, null, 2));
+    writeJsonLines(path.join(outputDir, 'meta', 'episodes.jsonl'), episodeRows);
+    writeJsonLines(
+        path.join(outputDir, 'meta', 'tasks.jsonl'),
+        tasks.map((task, taskIndex) => ({ task_index: taskIndex, task }))
+    );
+
+    return {
+        totalEpisodes: episodes.length,
+        totalFrames: globalIndex,
+        fps: datasetFps,
+        jointNames,
+        cameras
+    };
+}
+
+module.exports = { exportLeRobotDataset, findLayoutMismatches };
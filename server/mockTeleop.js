@@ -0,0 +1,360 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { WebSocketServer } = require('ws');
+
+/**
+ * Mock teleop server
+ *
+ * Stands in for teleop/main.py when no SO-101 leader arm is connected: speaks
+ * the same teleop protocol (client/src/utils/teleopProtocol.js) - a hello on
+ * connect, then `{ type: 'state', timestamp, actions }` messages (timestamp in
+ * seconds, actions in normalized leader units: -100..100 over each joint's
+ * range, 0..100 for the gripper) - and answers heartbeat pings. Sources:
+ *
+ *   replay  Replay a JSONL recording at its original timing (scaled by --speed).
+ *           Lines are teleop messages ({ timestamp, actions }) or trajectory
+ *           samples ({ timestamp, teleopTimestamp, episodeIndex, joints } from a
+ *           session's trajectory.jsonl, joints in radians).
+ *   sine    Sine sweep of every joint (or the --joints list), phase-shifted per joint.
+ *   script  Move through a pose sequence from a JSON file (or a built-in pick-and-place-like one):
+ *           [{ "actions": { <joint>: value }, "duration": s, "hold": s }, ...]
+ *
+ * Usage: node mockTeleop.js --source sine [--port 8765] [--fps 30] ...; --help lists all options.
+ */
+
+// Teleop protocol version, mirrors TELEOP_PROTOCOL_VERSION in client/src/utils/teleopProtocol.js
+const PROTOCOL_VERSION = 1;
+
+const JOINT_NAMES = ['shoulder_pan', 'shoulder_lift', 'elbow_flex', 'wrist_flex', 'wrist_roll', 'gripper'];
+const URDF_PATH = path.join(__dirname, '..', 'client', 'public', 'robot', 'so101_new_calib.urdf');
+
+// Built-in pose sequence for --source script
+const DEFAULT_SCRIPT = [
+    { actions: { shoulder_pan: 0, shoulder_lift: 0, elbow_flex: 0, wrist_flex: 0, wrist_roll: 0, gripper: 50 }, duration: 1, hold: 0.5 },
+    { actions: { shoulder_pan: 30, shoulder_lift: 40, elbow_flex: -30, wrist_flex: 40, wrist_roll: 0, gripper: 90 }, duration: 2, hold: 0.5 },
+    { actions: { shoulder_pan: 30, shoulder_lift: 55, elbow_flex: -45, wrist_flex: 50, wrist_roll: 0, gripper: 90 }, duration: 1, hold: 0.3 },
+    { actions: { shoulder_pan: 30, shoulder_lift: 55, elbow_flex: -45, wrist_flex: 50, wrist_roll: 0, gripper: 10 }, duration: 1, hold: 0.3 },
+    { actions: { shoulder_pan: -30, shoulder_lift: 20, elbow_flex: -10, wrist_flex: 30, wrist_roll: 20, gripper: 10 }, duration: 2.5, hold: 0.3 },
+    { actions: { shoulder_pan: -30, shoulder_lift: 20, elbow_flex: -10, wrist_flex: 30, wrist_roll: 20, gripper: 90 }, duration: 1, hold: 0.5 }
+];
+
+const HELP = `Mock teleop server: streams leader-arm state messages like teleop/main.py, without a leader arm
+
+Options:
+  --source <replay|sine|script>  Where actions come from (default: sine)
+  --port <n>                     WebSocket port (default: 8765)
+  --host <name>                  Host to listen on (default: localhost)
+  --fps <n>                      Message rate for sine and script (default: 30)
+  --file <path>                  replay: JSONL recording; script: JSON pose sequence
+  --speed <x>                    replay: playback speed (default: 1)
+  --episode <n>                  replay: only this episode of a trajectory.jsonl
+  --once                         replay/script: stop after one pass instead of looping
+  --period <s>                   sine: seconds per sweep (default: 4)
+  --amplitude <n>                sine: leader units either side of the middle (default: 80)
+  --joints <a,b,...>             sine: joints to sweep, the others stay in the middle (default: all)
+  --help                         Show this help`;
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+// Joints appearing in any of the poses, in JOINT_NAMES order first
+const jointNamesOf = (poses) => {
+    const names = new Set(poses.flatMap(actions => Object.keys(actions)));
+    return [...JOINT_NAMES.filter(name => names.has(name)), ...[...names].filter(name => !JOINT_NAMES.includes(name))];
+};
+
+// Middle of the leader range
+const neutral = (name) => (name.includes('gripper') ? 50 : 0);
+
+/**
+ * Joint limits from the robot URDF, for converting recorded joint angles to leader units
+ * @returns {Object} { <joint>: { min, max } }
+ */
+function readJointLimits() {
+    const xml = fs.readFileSync(URDF_PATH, 'utf8');
+    const limits = {};
+    for (const [, name, body] of xml.matchAll(/<joint name="([^"]+)" type="(?:revolute|prismatic)">([\s\S]*?)<\/joint>/g)) {
+        const lower = body.match(/lower="([^"]+)"/);
+        const upper = body.match(/upper="([^"]+)"/);
+        if (lower && upper) {
+            limits[name] = { min: parseFloat(lower[1]), max: parseFloat(upper[1]) };
+        }
+    }
+    return limits;
+}
+
+// Same conversion as toTeleopActions in client/src/utils/teleopInput.js
+function toLeaderUnits(joints, limits) {
+    return Object.fromEntries(Object.entries(joints)
+        .filter(([name]) => limits[name])
+        .map(([name, value]) => {
+            const { min, max } = limits[name];
+            const fraction = (value - min) / (max - min);
+            return [name, name.includes('gripper') ? fraction * 100 : fraction * 200 - 100];
+        }));
+}
+
+/**
+ * Read a recording as frames on a common timeline
+ * @returns {Object[]} [{ time (s from the first frame), actions }]
+ */
+function loadRecording(file, episode) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+    let limits = null;
+    const frames = [];
+
+    lines.forEach((line, index) => {
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            console.warn(`Skipping unreadable line ${index + 1}`);
+            return;
+        }
+        if (episode !== undefined && record.episodeIndex !== episode) return;
+
+        if (record.actions) {
+            // Teleop messages carry seconds
+            frames.push({ time: record.timestamp, actions: record.actions });
+        } else if (record.joints) {
+            // Trajectory samples: teleop time in seconds when there was one, else the wall clock in ms
+            limits = limits || readJointLimits();
+            const time = typeof record.teleopTimestamp === 'number' ? record.teleopTimestamp : record.timestamp / 1000;
+            frames.push({ time, actions: toLeaderUnits(record.joints, limits) });
+        }
+    });
+
+    if (frames.length === 0) {
+        throw new Error(`No frames in ${file}${episode !== undefined ? ` for episode ${episode}` : ''}`);
+    }
+    const start = frames[0].time;
+    return frames.map(frame => ({ time: (frame.time ?? start) - start, actions: frame.actions }));
+}
+
+/**
+ * Frame source replaying a recording
+ * @returns {Object} { joints, rate (recorded frames per second), next: (elapsed s) => actions, or null once a single pass is over }
+ */
+function replaySource({ file, speed, episode, once }) {
+    const frames = loadRecording(file, episode);
+    const duration = frames[frames.length - 1].time;
+    console.log(`Replaying ${frames.length} frames (${duration.toFixed(1)} s) from ${file} at ${speed}x`);
+
+    let index = 0;
+    let passStart = 0;
+    const next = (elapsed) => {
+        let time = elapsed * speed - passStart;
+        if (time > duration) {
+            if (once) return null;
+            passStart += Math.max(duration, 1e-3);
+            time -= Math.max(duration, 1e-3);
+            index = 0;
+        }
+        while (index + 1 < frames.length && frames[index + 1].time <= time) {
+            index += 1;
+        }
+        return frames[index].actions;
+    };
+    const rate = duration > 0 ? Math.round((frames.length - 1) / duration * speed * 10) / 10 : null;
+    return { joints: jointNamesOf(frames.map(frame => frame.actions)), rate, next };
+}
+
+// Sine sweep, each joint a sixth of a period behind the previous one
+function sineSource({ period, amplitude, joints }) {
+    const moving = joints || JOINT_NAMES;
+    console.log(`Sweeping ${moving.join(', ')} ±${amplitude} every ${period} s`);
+    const next = (elapsed) => Object.fromEntries(JOINT_NAMES.map((name, i) => {
+        if (!moving.includes(name)) return [name, neutral(name)];
+        const phase = 2 * Math.PI * (elapsed / period - i / JOINT_NAMES.length);
+        // The gripper range is half as wide
+        const scale = name.includes('gripper') ? 0.5 : 1;
+        return [name, neutral(name) + scale * amplitude * Math.sin(phase)];
+    }));
+    return { joints: JOINT_NAMES, next };
+}
+
+// Ease through a pose sequence, holding at each pose
+function scriptSource({ file, once }) {
+    const poses = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : DEFAULT_SCRIPT;
+    if (!Array.isArray(poses) || poses.length === 0 || poses.some(pose => !pose?.actions)) {
+        throw new Error('A pose script must be a non-empty array of { actions, duration, hold }');
+    }
+    console.log(`Running ${poses.length} poses from ${file || 'the built-in script'}`);
+
+    const segments = poses.map(pose => ({ ...pose, duration: pose.duration ?? 1, hold: pose.hold ?? 0 }));
+    const total = segments.reduce((sum, pose) => sum + pose.duration + pose.hold, 0);
+
+    const next = (elapsed) => {
+        if (once && elapsed > total) return null;
+        let time = total > 0 ? elapsed % total : 0;
+        let from = segments[segments.length - 1].actions;
+        for (const pose of segments) {
+            if (time < pose.duration) {
+                const t = smoothstep(time / pose.duration);
+                return Object.fromEntries(Object.entries(pose.actions).map(([name, value]) => {
+                    const start = from[name] ?? value;
+                    return [name, start + (value - start) * t];
+                }));
+            }
+            time -= pose.duration;
+            if (time < pose.hold) return { ...pose.actions };
+            time -= pose.hold;
+            from = pose.actions;
+        }
+        return { ...from };
+    };
+    return { joints: jointNamesOf(segments.map(pose => pose.actions)), next };
+}
+
+function createSource(options) {
+    switch (options.source) {
+        case 'replay':
+            if (!options.file) throw new Error('--source replay needs --file');
+            return replaySource(options);
+        case 'sine':
+            return sineSource(options);
+        case 'script':
+            return scriptSource(options);
+        default:
+            throw new Error(`Unknown source "${options.source}" (must be replay, sine or script)`);
+    }
+}
+
+function readOptions() {
+    const { values } = parseArgs({
+        options: {
+            source: { type: 'string', default: 'sine' },
+            port: { type: 'string', default: '8765' },
+            host: { type: 'string', default: 'localhost' },
+            fps: { type: 'string', default: '30' },
+            file: { type: 'string' },
+            speed: { type: 'string', default: '1' },
+            episode: { type: 'string' },
+            once: { type: 'boolean', default: false },
+            period: { type: 'string', default: '4' },
+            amplitude: { type: 'string', default: '80' },
+            joints: { type: 'string' },
+            help: { type: 'boolean', default: false }
+        }
+    });
+
+    const positive = (name) => {
+        const value = parseFloat(values[name]);
+        if (!(value > 0)) throw new Error(`--${name} must be a positive number`);
+        return value;
+    };
+
+    return {
+        help: values.help,
+        source: values.source,
+        port: positive('port'),
+        host: values.host,
+        fps: positive('fps'),
+        file: values.file,
+        speed: positive('speed'),
+        episode: values.episode !== undefined ? parseInt(values.episode, 10) : undefined,
+        once: values.once,
+        period: positive('period'),
+        amplitude: parseFloat(values.amplitude) || 0,
+        joints: values.joints ? values.joints.split(',').map(name => name.trim()).filter(Boolean) : null
+    };
+}
+
+function main() {
+    let options;
+    let source;
+    try {
+        options = readOptions();
+        if (options.help) {
+            console.log(HELP);
+            return;
+        }
+        source = createSource(options);
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${HELP}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const server = new WebSocketServer({ host: options.host, port: options.port });
+
+    const hello = JSON.stringify({
+        type: 'hello',
+        protocol: PROTOCOL_VERSION,
+        units: 'normalized',
+        joints: source.joints,
+        rate: source.rate || options.fps,
+        source: `mock-${options.source}`
+    });
+
+    server.on('connection', (socket) => {
+        console.log(`Client connected. Total clients: ${server.clients.size}`);
+        socket.send(hello);
+        // Check the client's hello and answer heartbeat pings like teleop/main.py
+        socket.on('message', (message) => {
+            let data;
+            try {
+                data = JSON.parse(message.toString());
+            } catch {
+                return;
+            }
+            if (data?.type === 'ping') {
+                socket.send(JSON.stringify({ type: 'pong', timestamp: data.timestamp }));
+            } else if (data?.type === 'hello') {
+                if (data.protocol !== PROTOCOL_VERSION) {
+                    console.warn(`Client speaks teleop protocol ${data.protocol}, this server ${PROTOCOL_VERSION}`);
+                    socket.send(JSON.stringify({
+                        type: 'error',
+                        message: `Unsupported teleop protocol ${data.protocol} (server speaks version ${PROTOCOL_VERSION})`
+                    }));
+                }
+            }
+        });
+        socket.on('close', () => {
+            console.log(`Client disconnected. Total clients: ${server.clients.size}`);
+        });
+    });
+
+    server.on('listening', () => {
+        console.log(`🤖 Mock teleop server started on ws://${options.host}:${options.port} (source: ${options.source})`);
+    });
+
+    server.on('error', (error) => {
+        console.error(`❌ WebSocket server error: ${error.message}`);
+        process.exitCode = 1;
+    });
+
+    // Replays send every recorded frame at its own time, so they tick faster than --fps
+    const tickMs = options.source === 'replay' ? 2 : 1000 / options.fps;
+    const startTime = performance.now();
+    let lastActions = null;
+
+    const timer = setInterval(() => {
+        const actions = source.next((performance.now() - startTime) / 1000);
+        if (!actions) {
+            console.log('Done');
+            clearInterval(timer);
+            server.close();
+            return;
+        }
+        // A replay frame is only sent once
+        if (actions === lastActions) return;
+        lastActions = actions;
+
+        const message = JSON.stringify({ type: 'state', timestamp: Date.now() / 1000, actions });
+        server.clients.forEach((client) => {
+            if (client.readyState === client.OPEN) {
+                client.send(message);
+            }
+        });
+    }, tickMs);
+
+    process.on('SIGINT', () => {
+        console.log('\nShutting down...');
+        clearInterval(timer);
+        server.close();
+        server.clients.forEach(client => client.terminate());
+    });
+}
+
+main();
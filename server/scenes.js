@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Scene discovery
+ *
+ * Every scenes/<id>.json at the repository root is a scene; its file name is the
+ * scene type used in capture paths and API routes. The folder is re-read on every
+ * call, so a new scene is picked up without restarting the server.
+ */
+
+const scenesDir = path.join(__dirname, '..', 'scenes');
+
+// Scene types double as folder names under captures/, next to exports/
+const SCENE_ID_PATTERN = /^[\w-]+$/;
+const RESERVED_SCENE_IDS = ['exports'];
+
+// Object types the client knows how to load (client/src/config/sceneObjects.js)
+const OBJECT_TYPES = ['box', 'sphere', 'cylinder', 'obj', 'fbx', 'ply', 'splat'];
+const MESH_TYPES = ['obj', 'fbx', 'ply', 'splat'];
+
+function readSceneFile(filename) {
+    const id = filename.replace(/\.json$/, '');
+    if (!SCENE_ID_PATTERN.test(id) || RESERVED_SCENE_IDS.includes(id)) {
+        console.warn(`Ignoring scene file with an unusable name: ${filename}`);
+        return null;
+    }
+
+    try {
+        const definition = JSON.parse(fs.readFileSync(path.join(scenesDir, filename), 'utf8'));
+        return { ...definition, id };
+    } catch (error) {
+        console.warn(`Ignoring unreadable scene file ${filename}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * All scene definitions, in their declared `order` (then by id)
+ * @returns {Object[]} Parsed scene definitions with their `id`
+ */
+function listScenes() {
+    if (!fs.existsSync(scenesDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(scenesDir)
+        .filter(file => file.endsWith('.json'))
+        .map(readSceneFile)
+        .filter(Boolean)
+        .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.id.localeCompare(b.id));
+}
+
+function isSceneType(sceneType) {
+    return typeof sceneType === 'string' && listScenes().some(scene => scene.id === sceneType);
+}
+
+// Error message for requests naming an unknown scene
+function invalidSceneTypeMessage() {
+    const ids = listScenes().map(scene => `"${scene.id}"`);
+    return `Invalid scene type. Must be one of ${ids.join(', ')}`;
+}
+
+const isVector = (value, length) => Array.isArray(value) && value.length === length &&
+    value.every(component => typeof component === 'number' && Number.isFinite(component));
+
+/**
+ * Check a scene definition before it is written
+ * @param {string} sceneId - Scene id (file name)
+ * @param {Object} definition - Scene definition
+ * @returns {string|null} What is wrong with it, or null when it can be saved
+ */
+function validateScene(sceneId, definition) {
+    if (typeof sceneId !== 'string' || !SCENE_ID_PATTERN.test(sceneId)) {
+        return 'Scene ids may only contain letters, digits, "_" and "-"';
+    }
+    if (RESERVED_SCENE_IDS.includes(sceneId)) {
+        return `"${sceneId}" is reserved and cannot be used as a scene id`;
+    }
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        return 'Scene definition must be an object';
+    }
+    if (definition.objects !== undefined && !Array.isArray(definition.objects)) {
+        return 'Scene objects must be an array';
+    }
+
+    const names = new Set();
+    for (const [index, object] of (definition.objects || []).entries()) {
+        const label = object?.name || `Object ${index}`;
+        if (!object || !OBJECT_TYPES.includes(object.type)) {
+            return `${label} has an unknown type (must be one of ${OBJECT_TYPES.join(', ')})`;
+        }
+        if (MESH_TYPES.includes(object.type) && (typeof object.path !== 'string' || !object.path)) {
+            return `${label} needs a path`;
+        }
+        if (object.position !== undefined && !isVector(object.position, 3)) {
+            return `${label} needs a position of three numbers`;
+        }
+        if (object.name !== undefined) {
+            if (names.has(object.name)) {
+                return `Object name ${object.name} is used twice`;
+            }
+            names.add(object.name);
+        }
+    }
+
+    const { animation } = definition;
+    if (animation !== undefined) {
+        if (!animation || typeof animation.object !== 'string' || !names.has(animation.object)) {
+            return 'The animation must name one of the scene objects';
+        }
+        if (!isVector(animation.to, 3)) {
+            return 'The animation needs a "to" position of three numbers';
+        }
+        if (animation.duration !== undefined && !(typeof animation.duration === 'number' && animation.duration > 0)) {
+            return 'The animation duration must be a positive number of seconds';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Write a scene definition to scenes/<sceneId>.json (creating or replacing the scene)
+ * @param {string} sceneId - Scene id, already validated
+ * @param {Object} definition - Scene definition, already validated
+ * @returns {boolean} True when a new scene was created
+ */
+function writeScene(sceneId, definition) {
+    if (!fs.existsSync(scenesDir)) {
+        fs.mkdirSync(scenesDir, { recursive: true });
+    }
+
+    const scenePath = path.join(scenesDir, `${sceneId}.json`);
+    const created = !fs.existsSync(scenePath);
+    const { id, ...content } = definition; // The file name is the id
+    // Keep vectors and quaternions on one line like the hand-written files
+    const json = JSON.stringify(content, null, 4)
+        .replace(/\[\s+(-?[\d.e+-]+(?:,\s+-?[\d.e+-]+)*)\s+\]/g, (match, values) => `[${values.split(/,\s+/).join(', ')}]`);
+    fs.writeFileSync(scenePath, json + '\n');
+    return created;
+}
+
+module.exports = { scenesDir, listScenes, isSceneType, invalidSceneTypeMessage, validateScene, writeScene };
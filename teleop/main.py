@@ -8,6 +8,9 @@ import websockets
 
 PORT_LEADER = "/dev/tty.usbmodem5A4B0479861"
 
+# Teleop WebSocket protocol version, see client/src/utils/teleopProtocol.js
+PROTOCOL_VERSION = 1
+
 
 def get_leader_config():
     return SO101LeaderConfig(
@@ -95,13 +98,45 @@ def teleop_websocket(fps: int = 30, host: str = "localhost", port: int = 8765):
     
     print(f"Leader device connected on {PORT_LEADER}")
     
+    # Handshake sent to every client: positions are normalized leader values
+    # (-100..100 over each joint's range, 0..100 for the gripper)
+    hello = json.dumps({
+        "type": "hello",
+        "protocol": PROTOCOL_VERSION,
+        "units": "normalized",
+        "joints": [motor.replace('.pos', '') for motor in teleop_device.action_features],
+        "rate": fps,
+        "source": "so101-leader"
+    })
+    
     async def handle_client(websocket):
         """Handle new WebSocket client connection."""
+        try:
+            # The hello goes out before the client joins the broadcast, so it is the first message
+            await websocket.send(hello)
+        except websockets.exceptions.ConnectionClosed:
+            return
         connected_clients.add(websocket)
         print(f"Client connected. Total clients: {len(connected_clients)}")
         try:
-            # Keep connection alive and wait for disconnect
-            await websocket.wait_closed()
+            # Check the client's hello and answer heartbeat pings until the client disconnects
+            async for message in websocket:
+                try:
+                    data = json.loads(message)
+                except json.JSONDecodeError:
+                    continue
+                if not isinstance(data, dict):
+                    continue
+                if data.get("type") == "ping":
+                    await websocket.send(json.dumps({"type": "pong", "timestamp": data.get("timestamp")}))
+                elif data.get("type") == "hello" and data.get("protocol") != PROTOCOL_VERSION:
+                    print(f"\nClient speaks teleop protocol {data.get('protocol')}, this server {PROTOCOL_VERSION}")
+                    await websocket.send(json.dumps({
+                        "type": "error",
+                        "message": f"Unsupported teleop protocol {data.get('protocol')} (server speaks version {PROTOCOL_VERSION})"
+                    }))
+        except websockets.exceptions.ConnectionClosed:
+            pass
         finally:
             connected_clients.remove(websocket)
             print(f"Client disconnected. Total clients: {len(connected_clients)}")
@@ -119,6 +154,7 @@ def teleop_websocket(fps: int = 30, host: str = "localhost", port: int = 8765):
             # Convert action to JSON-serializable format
             # Strip .pos suffix from motor names to match URDF joint names
             action_data = {
+                "type": "state",
                 "timestamp": time.time(),
                 "actions": {motor.replace('.pos', ''): float(value) for motor, value in action.items()}
             }